@@ -0,0 +1,183 @@
+/*************************************************************
+ * Business Calendar
+ * Working days for reminder scheduling: Monday to Friday, minus the
+ * dates listed on a "Holidays" tab in the Automation Info Sheet
+ * (columns Date | Holiday).
+ *
+ * - Escalation days count working days: summary days past the due
+ *   date, and contact days left in the month the child was seen.
+ * - The engines send nothing on a weekend or holiday; the next
+ *   working day's run picks the reminders up instead.
+ * - Weekday repeats ("Monday") that land on a non-working day move
+ *   to the next working day.
+ *************************************************************/
+
+const HOLIDAYS_SHEET_NAME = "Holidays";
+const HOLIDAYS_HEADERS = ["Date", "Holiday"];
+
+// Holidays read during this execution, keyed "yyyy-MM-dd" (null = not read yet)
+var holidayDates = null;
+
+/**
+ * Returns the holidays from the "Holidays" tab.
+ * @returns {Object} Holiday name by "yyyy-MM-dd" key (empty if there is no tab).
+ */
+function getHolidays() {
+  if (holidayDates) return holidayDates;
+  holidayDates = {};
+
+  try {
+    ensureAutomationInfoSheetURL();
+    if (!automationInfoSheet) {
+      automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+    }
+    const sheet = automationInfoSheet.getSheetByName(HOLIDAYS_SHEET_NAME);
+    if (!sheet) return holidayDates;
+
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === "" || values[i][0] === null) continue;
+      const date = parseSheetDate(values[i][0]);
+      if (!date) {
+        Logger.log(`⚠️ ${HOLIDAYS_SHEET_NAME} row ${i + 1}: "${values[i][0]}" is not a date, ignored.`);
+        continue;
+      }
+      holidayDates[getCalendarDateKey(date)] = (values[i][1] || "Holiday").toString().trim();
+    }
+  } catch (e) {
+    Logger.log(`❌ Failed to read ${HOLIDAYS_SHEET_NAME}: ${e.message}`);
+  }
+  return holidayDates;
+}
+
+/**
+ * Key for one calendar day, in the script's local time.
+ * @param {Date} date Any time on the day.
+ * @returns {string} "yyyy-MM-dd".
+ */
+function getCalendarDateKey(date) {
+  const pad = n => (n < 10 ? "0" : "") + n;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Midnight at the start of a date's day.
+ * @param {Date} date Any time on the day.
+ * @returns {Date} New Date at 00:00.
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Whether a date is a working day (Monday to Friday and not a holiday).
+ * @param {Date} date Any time on the day.
+ * @returns {boolean} True on working days.
+ */
+function isWorkingDay(date) {
+  const weekday = date.getDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !getHolidays()[getCalendarDateKey(date)];
+}
+
+/**
+ * Returns the date itself if it is a working day, otherwise the next one.
+ * @param {Date} date Any time on the day.
+ * @returns {Date} Start of that working day.
+ */
+function nextWorkingDay(date) {
+  const day = startOfDay(date);
+  // A year of holidays in a row means the tab is wrong; stop looking
+  for (let i = 0; i < 366 && !isWorkingDay(day); i++) {
+    day.setDate(day.getDate() + 1);
+  }
+  return day;
+}
+
+/**
+ * Adds working days to a date (e.g. 3 working days after a Thursday
+ * due date is the following Tuesday). Negative days count back.
+ * @param {Date} date Start date.
+ * @param {number} days Working days to add (negative to subtract).
+ * @returns {Date} Start of the resulting day.
+ */
+function addWorkingDays(date, days) {
+  const day = startOfDay(date);
+  const step = days < 0 ? -1 : 1;
+  let added = 0;
+  for (let i = 0; added < Math.abs(days) && i < 3660; i++) {
+    day.setDate(day.getDate() + step);
+    if (isWorkingDay(day)) added++;
+  }
+  return day;
+}
+
+/**
+ * Working days from one date to another: the working days after the
+ * earlier date up to and including the later one, negative if "to"
+ * comes first. Times of day are ignored.
+ * @param {Date} from Start date (e.g. the Summary Due Date).
+ * @param {Date} to End date (e.g. today).
+ * @returns {number} Signed number of working days.
+ */
+function businessDaysBetween(from, to) {
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+  const sign = end < start ? -1 : 1;
+  const day = sign > 0 ? start : end;
+  const last = sign > 0 ? end : start;
+
+  let count = 0;
+  while (day < last) {
+    day.setDate(day.getDate() + 1);
+    if (isWorkingDay(day)) count++;
+  }
+  return sign * count;
+}
+
+/**
+ * Whether a weekday schedule (e.g. Mondays) sends today: true on the
+ * scheduled weekday, or on the first working day after a scheduled
+ * weekday that was a weekend or holiday.
+ * @param {number[]} weekdays Scheduled days (0 = Sunday).
+ * @param {Date} today Day of the run.
+ * @returns {boolean} True if the schedule's send falls on today.
+ */
+function isWeekdayScheduleDueToday(weekdays, today) {
+  if (!isWorkingDay(today)) return false;
+
+  // Walk back over the non-working days before today
+  const day = startOfDay(today);
+  for (let i = 0; i < 366; i++) {
+    if (weekdays.includes(day.getDay())) return true;
+    day.setDate(day.getDate() - 1);
+    if (isWorkingDay(day)) return false;
+  }
+  return false;
+}
+
+/**
+ * Menu entry: creates the "Holidays" tab (Date | Holiday) if it
+ * doesn't exist yet.
+ */
+function setUpHolidaysTab() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  const ui = SpreadsheetApp.getUi();
+  if (automationInfoSheet.getSheetByName(HOLIDAYS_SHEET_NAME)) {
+    ui.alert(`⚠️ The ${HOLIDAYS_SHEET_NAME} tab already exists; nothing was changed.`);
+    return;
+  }
+
+  const sheet = automationInfoSheet.insertSheet(HOLIDAYS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, HOLIDAYS_HEADERS.length)
+    .setValues([HOLIDAYS_HEADERS])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  holidayDates = null;
+  ui.alert(`✅ ${HOLIDAYS_SHEET_NAME} tab created. Add one row per holiday (e.g. 01/19/2026 | MLK Day); reminders skip those days.`);
+}
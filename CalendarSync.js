@@ -0,0 +1,288 @@
+/*************************************************************
+ * Court Calendar Sync
+ * Mirrors the tracker onto the Google Calendar named by the
+ * "courtCalendarId" Variables row, two events per tracker row:
+ * - a hearing event on the Next Court Date (timed when Hearing Time
+ *   can be read, all-day otherwise);
+ * - an all-day "Summary Due" event on the Summary Due Date, removed
+ *   once the summary is Submitted.
+ * Both descriptions carry the case details and the summary link.
+ *
+ * Event ids are stored on the row ("Hearing Event ID" / "Summary
+ * Event ID", added if missing), so each run updates the same events
+ * instead of adding new ones, and clearing a date deletes its event.
+ * Every event is also tagged (CALENDAR_EVENT_TAG) with the tracker's
+ * spreadsheet id and its case, e.g. "<id>:hearing:C-100", so that once
+ * a row is deleted, the events of this tracker no row points at any
+ * more are deleted too. Untagged events (added by hand) and events of
+ * other trackers sharing the calendar are never touched.
+ *
+ * Once a summary's escalation rule copies the supervisor (the
+ * overdue tier by default, EscalationRules.js), the assigned worker's
+ * supervisor is invited to the summary event.
+ *
+ * Runs from the "Sync Court Calendar" menu item and a daily trigger
+ * (Triggers.js); without a calendar id it does nothing.
+ *************************************************************/
+
+const CALENDAR_ID_VARIABLE_KEY = "courtCalendarId";
+const HEARING_EVENT_MINUTES = 60;
+const CALENDAR_EVENT_TAG = "caseTrackerEvent";
+// How far back and ahead to look for events whose row was deleted
+const CALENDAR_CLEANUP_DAYS_BACK = 365;
+const CALENDAR_CLEANUP_DAYS_AHEAD = 730;
+
+/**
+ * Opens the configured court calendar.
+ * @returns {Calendar|null} The calendar, or null if none is configured.
+ * @throws {Error} If the id is set but the calendar can't be opened.
+ */
+function getCourtCalendar() {
+  const id = (ensureGlobalVariables()[CALENDAR_ID_VARIABLE_KEY] || "").toString().trim();
+  if (!id) {
+    Logger.log(`📅 No "${CALENDAR_ID_VARIABLE_KEY}" in the Variables tab; calendar sync skipped.`);
+    return null;
+  }
+
+  const calendar = CalendarApp.getCalendarById(id);
+  if (!calendar) {
+    throw new Error(`Calendar "${id}" (${CALENDAR_ID_VARIABLE_KEY}) not found or not shared with this account.`);
+  }
+  return calendar;
+}
+
+/**
+ * Reads a Hearing Time cell.
+ * @param {*} value Time cell (Date) or text such as "9:30 AM" or "14:00".
+ * @returns {Object|null} {hours, minutes}, or null if blank or unreadable.
+ */
+function parseHearingTime(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return { hours: value.getHours(), minutes: value.getMinutes() };
+  }
+
+  const match = (value || "").toString().trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = (match[3] || "").toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59 || (!meridiem && !match[2])) return null;
+  return { hours: hours, minutes: minutes };
+}
+
+/**
+ * Builds an event description from a tracker row.
+ * @param {Object} row Row read by readRowFields().
+ * @returns {string} Plain text description.
+ */
+function buildCourtEventDescription(row) {
+  const lines = [`Case: ${row.caseName}`];
+  if (row.caseNumber) lines.push(`Case Number: ${row.caseNumber}`);
+  if (row.children) lines.push(`Children: ${row.children}`);
+  if (row.hearingType) lines.push(`Hearing Type: ${row.hearingType}`);
+  lines.push(`Summary: ${row.summaryLink || "(no link yet)"}`);
+  return lines.join("\n");
+}
+
+/**
+ * Creates, updates or deletes one event so it matches what the row wants.
+ * @param {Calendar} calendar Court calendar.
+ * @param {string} eventId Id stored on the row ("" if none).
+ * @param {Object|null} wanted {title, date, time ({hours, minutes} or null), description, guests, tag}, or null for no event.
+ * @returns {Object} {id ("" when deleted), action: "created" | "updated" | "deleted" | "unchanged"}
+ */
+function syncCalendarEvent(calendar, eventId, wanted) {
+  let event = null;
+  if (eventId) {
+    try {
+      event = calendar.getEventById(eventId);
+    } catch (e) {
+      Logger.log(`⚠️ Could not open event ${eventId}: ${e.message}`);
+    }
+  }
+
+  if (!wanted) {
+    if (!event) return { id: "", action: "unchanged" };
+    event.deleteEvent();
+    return { id: "", action: "deleted" };
+  }
+
+  const start = wanted.time
+    ? new Date(wanted.date.getFullYear(), wanted.date.getMonth(), wanted.date.getDate(), wanted.time.hours, wanted.time.minutes)
+    : startOfDay(wanted.date);
+  const end = new Date(start.getTime() + HEARING_EVENT_MINUTES * 60 * 1000);
+  let action = "unchanged";
+
+  if (!event) {
+    event = wanted.time
+      ? calendar.createEvent(wanted.title, start, end, { description: wanted.description })
+      : calendar.createAllDayEvent(wanted.title, start, { description: wanted.description });
+    action = "created";
+  } else {
+    const sameTime = wanted.time
+      ? !event.isAllDayEvent() && event.getStartTime().getTime() === start.getTime()
+      : event.isAllDayEvent() && getCalendarDateKey(event.getAllDayStartDate()) === getCalendarDateKey(start);
+
+    if (!sameTime) {
+      if (wanted.time) event.setTime(start, end);
+      else event.setAllDayDate(start);
+      action = "updated";
+    }
+    if (event.getTitle() !== wanted.title) {
+      event.setTitle(wanted.title);
+      action = "updated";
+    }
+    if (event.getDescription() !== wanted.description) {
+      event.setDescription(wanted.description);
+      action = "updated";
+    }
+  }
+
+  if (wanted.tag && event.getTag(CALENDAR_EVENT_TAG) !== wanted.tag) {
+    event.setTag(CALENDAR_EVENT_TAG, wanted.tag);
+    if (action === "unchanged") action = "updated";
+  }
+
+  const invited = event.getGuestList().map(guest => guest.getEmail().toLowerCase());
+  (wanted.guests || []).forEach(email => {
+    if (email && !invited.includes(email.toLowerCase())) {
+      event.addGuest(email);
+      if (action === "unchanged") action = "updated";
+    }
+  });
+
+  return { id: event.getId(), action: action };
+}
+
+/**
+ * Deletes this tracker's tagged events that no tracker row points at
+ * any more (their row was deleted, taking the stored event id with it).
+ * @param {Calendar} calendar Court calendar.
+ * @param {string[]} keptIds Event ids still stored on the tracker.
+ * @param {Date} today Today.
+ * @param {string} tagPrefix Tag prefix of this tracker's events ("<spreadsheet id>:").
+ * @returns {number} Events deleted.
+ */
+function deleteOrphanedCourtEvents(calendar, keptIds, today, tagPrefix) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - CALENDAR_CLEANUP_DAYS_BACK);
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + CALENDAR_CLEANUP_DAYS_AHEAD);
+  let deleted = 0;
+
+  calendar.getEvents(start, end).forEach(event => {
+    const tag = event.getTag(CALENDAR_EVENT_TAG);
+    if (!tag || !tag.startsWith(tagPrefix) || keptIds.includes(event.getId())) return;
+    try {
+      event.deleteEvent();
+      deleted++;
+      Logger.log(`🗑️ Deleted "${event.getTitle()}" (${tag}): no tracker row uses it any more.`);
+    } catch (e) {
+      Logger.log(`❌ Could not delete orphaned event "${event.getTitle()}": ${e.message}`);
+    }
+  });
+  return deleted;
+}
+
+/**
+ * Whether a summary escalation rule copies the supervisor.
+ * @param {Object|null} rule From findEscalationRule().
+ * @returns {boolean} True for the overdue tiers (by default).
+ */
+function copiesSupervisor(rule) {
+  return !!rule && [rule.to, rule.cc, rule.bcc].some(tokens => tokens.includes("supervisor"));
+}
+
+/**
+ * Syncs every tracker row to the court calendar.
+ * @returns {Object|null} {created, updated, deleted} event counts, or null if no calendar is configured.
+ */
+function syncCourtCalendar() {
+  getGlobalVariables(false);
+
+  const calendar = getCourtCalendar();
+  if (!calendar) return null;
+
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const sheet = getCaseTrackerSheet(ss);
+  const [columns] = requireSheetColumns([{ sheet: sheet, schema: CASE_TRACKER_SCHEMA }]);
+  ensureSheetColumn(sheet, CASE_TRACKER_SCHEMA, columns, "hearingEventId");
+  ensureSheetColumn(sheet, CASE_TRACKER_SCHEMA, columns, "summaryEventId");
+
+  const rules = getEscalationRules("summary");
+  const today = startOfDay(new Date());
+  const data = sheet.getDataRange().getValues();
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  const keptIds = [];
+  // Other trackers may share the calendar, so tags start with this one's id
+  const tagPrefix = `${ss.getId()}:`;
+
+  for (let i = 1; i < data.length; i++) {
+    const row = readRowFields(data[i], columns);
+    const caseName = (row.caseName || "").toString().trim();
+    const courtDate = parseSheetDate(row.nextCourtDate);
+    const dueDate = parseSheetDate(row.summaryDueDate);
+    const submitted = row.submitted === true;
+    const description = buildCourtEventDescription(row);
+    const caseKey = (row.caseNumber || caseName).toString().trim();
+
+    const hearing = caseName && courtDate ? {
+      title: `Hearing: ${caseName}${row.hearingType ? ` (${row.hearingType})` : ""}`,
+      date: courtDate,
+      time: parseHearingTime(row.hearingTime),
+      description: description,
+      tag: `${tagPrefix}hearing:${caseKey}`
+    } : null;
+
+    const rule = dueDate ? findEscalationRule(rules, businessDaysBetween(dueDate, today)) : null;
+    const worker = copiesSupervisor(rule) ? getSummaryWorker((row.assignedWorker || "").toString().trim()) : null;
+    const summary = caseName && dueDate && !submitted ? {
+      title: `Summary Due: ${caseName}`,
+      date: dueDate,
+      time: null,
+      description: description,
+      guests: worker && worker.supervisorEmail ? [worker.supervisorEmail] : [],
+      tag: `${tagPrefix}summary:${caseKey}`
+    } : null;
+
+    [
+      { field: "hearingEventId", wanted: hearing },
+      { field: "summaryEventId", wanted: summary }
+    ].forEach(item => {
+      const eventId = (row[item.field] || "").toString().trim();
+      try {
+        const result = syncCalendarEvent(calendar, eventId, item.wanted);
+        if (result.action !== "unchanged") counts[result.action]++;
+        if (result.id !== eventId) sheet.getRange(i + 1, columns[item.field]).setValue(result.id);
+        if (result.id) keptIds.push(result.id);
+      } catch (e) {
+        if (eventId) keptIds.push(eventId);
+        Logger.log(`Row ${i + 1}: ❌ Could not sync ${item.field === "hearingEventId" ? "hearing" : "summary"} event: ${e.message}`);
+      }
+    });
+  }
+
+  counts.deleted += deleteOrphanedCourtEvents(calendar, keptIds, today, tagPrefix);
+
+  Logger.log(`✅ Court calendar synced: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted.`);
+  return counts;
+}
+
+/**
+ * Menu entry: syncs the court calendar and says what changed.
+ */
+function syncCourtCalendarFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const counts = syncCourtCalendar();
+    if (!counts) {
+      ui.alert(`Add the calendar id to the "${CALENDAR_ID_VARIABLE_KEY}" row of the Variables tab first.`);
+      return;
+    }
+    ui.alert(`✅ Court calendar synced: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted.`);
+  } catch (e) {
+    Logger.log(`❌ Failed to sync the court calendar: ${e.message}`);
+    ui.alert(`❌ Failed to sync the court calendar: ${e.message}`);
+  }
+}
@@ -0,0 +1,172 @@
+/*************************************************************
+ * Completed Months
+ * Store for contact months that no longer need reminders.
+ *
+ * Months are keyed by name AND year ("January 2026") so marking
+ * last January complete never suppresses this January. The list
+ * lives in the "contactCompleteMonths" row of the Variables tab
+ * (mirrored in cache/properties like every other variable) and
+ * in the CONTACT_COMPLETE_MONTHS global as a comma-separated string.
+ *************************************************************/
+
+const COMPLETED_MONTHS_VARIABLE_KEY = "contactCompleteMonths";
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+/**
+ * Builds the key for a month, e.g. formatMonthKey(0, 2026) → "January 2026".
+ * @param {number} monthIndex 0-based month.
+ * @param {number} year Four-digit year.
+ * @returns {string} Month key.
+ */
+function formatMonthKey(monthIndex, year) {
+  return `${MONTH_NAMES[monthIndex]} ${year}`;
+}
+
+/**
+ * Parses a month key. Bare month names (stored before keys carried a
+ * year) are read as the most recent such month on or before `today`.
+ * @param {string} text Month key, e.g. "January 2026" or "January".
+ * @param {Date} today Reference date for bare month names.
+ * @returns {Object|null} {month, year, key} or null if unrecognised.
+ */
+function parseMonthKey(text, today) {
+  const match = (text || "").toString().trim().match(/^([A-Za-z]+)(?:\s+(\d{4}))?$/);
+  if (!match) return null;
+
+  const month = getMonthNumberFromName(match[1]);
+  if (month < 0) return null;
+
+  let year = match[2] ? Number(match[2]) : today.getFullYear();
+  if (!match[2] && month > today.getMonth()) year--;
+
+  return { month: month, year: year, key: formatMonthKey(month, year) };
+}
+
+/**
+ * Returns the completed month keys, newest first. Reads the Variables
+ * value (via cache/properties/sheet) and refreshes CONTACT_COMPLETE_MONTHS.
+ * A stored list that still has bare month names is rewritten with years
+ * straight away, so those marks stop applying once the year turns
+ * (except on previews, which write nothing).
+ * @param {Object} options (optional) {preview: boolean}
+ * @returns {string[]} Month keys such as "January 2026".
+ */
+function getCompletedMonths(options) {
+  const vars = ensureGlobalVariables();
+  const raw = (vars[COMPLETED_MONTHS_VARIABLE_KEY] || "").toString();
+  const keys = normalizeCompletedMonths(raw.split(","), new Date());
+  const hasBareNames = raw.split(",").some(m => /^[A-Za-z]+$/.test(m.trim()));
+
+  if (hasBareNames && !(options && options.preview)) {
+    Logger.log(`🔄 Adding years to completed months: "${raw}" → "${keys.join(", ")}"`);
+    updateGlobalVariable("CONTACT_COMPLETE_MONTHS", keys.join(", "));
+  }
+
+  CONTACT_COMPLETE_MONTHS = keys.join(", ");
+  return keys;
+}
+
+/**
+ * Cleans a list of month names/keys: year-qualifies, drops junk and
+ * duplicates, and sorts newest first.
+ * @param {string[]} values Raw entries.
+ * @param {Date} today Reference date for bare month names.
+ * @returns {string[]} Month keys.
+ */
+function normalizeCompletedMonths(values, today) {
+  const parsed = {};
+  values.forEach(value => {
+    const month = parseMonthKey(value, today);
+    if (month) parsed[month.key] = month;
+  });
+
+  return Object.keys(parsed)
+    .map(key => parsed[key])
+    .sort((a, b) => (b.year - a.year) || (b.month - a.month))
+    .map(m => m.key);
+}
+
+/**
+ * Saves the completed month list to the Variables tab, cache and
+ * CONTACT_COMPLETE_MONTHS.
+ * @param {string[]} keys Month keys.
+ * @returns {string[]} The normalized list that was saved.
+ */
+function setCompletedMonths(keys) {
+  const normalized = normalizeCompletedMonths(keys, new Date());
+  updateGlobalVariable("CONTACT_COMPLETE_MONTHS", normalized.join(", "));
+  Logger.log(`✅ Completed months saved: ${normalized.join(", ") || "(none)"}`);
+  return normalized;
+}
+
+/**
+ * Marks one month complete.
+ * @param {string} key Month key, e.g. "January 2026".
+ */
+function markMonthComplete(key) {
+  const months = getCompletedMonths();
+  if (!months.includes(key)) setCompletedMonths(months.concat([key]));
+}
+
+/**
+ * Removes one month from the completed list so reminders resume.
+ * @param {string} key Month key, e.g. "January 2026".
+ */
+function unmarkMonthComplete(key) {
+  setCompletedMonths(getCompletedMonths().filter(m => m !== key));
+}
+
+/*************************************************************
+ * Completed Months dialog (CompletedMonthsDialog.html)
+ *************************************************************/
+
+/**
+ * Menu entry: opens the Completed Months dialog.
+ */
+function showCompletedMonthsDialog() {
+  const html = HtmlService.createHtmlOutputFromFile("CompletedMonthsDialog")
+    .setWidth(320)
+    .setHeight(520);
+  SpreadsheetApp.getUi().showModalDialog(html, "Completed Months");
+}
+
+/**
+ * Dialog: completed month keys as a comma-separated string.
+ * @returns {string} e.g. "February 2026, January 2026"
+ */
+function getContactCompleteMonths() {
+  return getCompletedMonths().join(", ");
+}
+
+/**
+ * Dialog: months to offer as checkboxes. The last 12 months (newest
+ * first) plus any older month that is still marked complete.
+ * @returns {string[]} Month keys.
+ */
+function getCompletedMonthOptions() {
+  const today = new Date();
+  const options = [];
+  for (let i = 0; i < 12; i++) {
+    const d = new Date(today.getFullYear(), today.getMonth() - i, 1);
+    options.push(formatMonthKey(d.getMonth(), d.getFullYear()));
+  }
+  return normalizeCompletedMonths(options.concat(getCompletedMonths()), today);
+}
+
+/**
+ * Dialog submit: marks the checked months complete and unmarks the
+ * months that were shown but left unchecked. Months not shown are kept.
+ * @param {string[]} selectedMonths Checked month keys.
+ * @param {string[]} shownMonths (optional) Every month offered in the dialog.
+ * @returns {string[]} The saved list.
+ */
+function addCompletedMonths(selectedMonths, shownMonths) {
+  const selected = selectedMonths || [];
+  const shown = shownMonths || [];
+
+  const kept = getCompletedMonths().filter(m => !shown.includes(m));
+  return setCompletedMonths(kept.concat(selected));
+}
@@ -0,0 +1,182 @@
+/*************************************************************
+ * Compliance Dashboard
+ * Builds a "Compliance Dashboard" tab in the Case Tracker from every
+ * "Month Contacts" sheet up to the current month: one row per month
+ * and worker (plus an "All workers" row per month) with
+ * - Children: rows with a child name;
+ * - Seen: rows with a Date Seen;
+ * - Entered In Month: Date Contact Entered on or before the last day
+ *   of the sheet's month;
+ * - Entered Late: entered after the month ended;
+ * - Still Missing: not entered and not missed with a reason;
+ * - Missed (Reason Given): Missed checked and Reason Missed filled;
+ * - Compliance %: Entered In Month ÷ (Children − Missed (Reason Given)).
+ * Children under a sheet's "Inactive" row (ContactRoster.js) are
+ * left out. A trend table of the monthly totals feeds a line chart.
+ *
+ * Rebuilt by refreshComplianceDashboard(), from the "Refresh
+ * Compliance Dashboard" menu item and a daily trigger (Triggers.js).
+ *************************************************************/
+
+const COMPLIANCE_DASHBOARD_SHEET_NAME = "Compliance Dashboard";
+const COMPLIANCE_DASHBOARD_HEADERS = [
+  "Month", "Worker", "Children", "Seen", "Entered In Month", "Entered Late",
+  "Still Missing", "Missed (Reason Given)", "Compliance %"
+];
+const COMPLIANCE_ALL_WORKERS = "All workers";
+const COMPLIANCE_UNASSIGNED_WORKER = "(No Seen By)";
+
+/**
+ * Counts one contact sheet's rows per worker.
+ * @param {Sheet} sheet "Month Contacts" sheet.
+ * @param {Object} sheetMonth {month, year, key} from parseContactSheetName().
+ * @returns {Object|null} {workers: {name: counts}, total: counts}, or null if a required header is missing.
+ */
+function countContactCompliance(sheet, sheetMonth) {
+  const mapped = mapSheetColumns(sheet, CONTACT_SHEET_SCHEMA, getConfiguredColumnAliases());
+  const needed = ["childName", "dateSeen", "seenBy", "dateContactEntered"];
+  const missing = needed.filter(field => !mapped.columns[field]);
+  if (missing.length > 0) {
+    Logger.log(`⚠️ ${sheet.getName()} skipped on the dashboard: missing ${missing.join(", ")}.`);
+    return null;
+  }
+
+  const monthEnd = new Date(sheetMonth.year, sheetMonth.month + 1, 0);
+  const workers = {};
+  const total = newComplianceCounts();
+  const data = sheet.getDataRange().getValues();
+  const activeEnd = getActiveContactRowEnd(data, mapped.columns);
+
+  for (let i = 1; i < activeEnd; i++) {
+    const row = readRowFields(data[i], mapped.columns);
+    if (!row.childName) continue;
+
+    const worker = (row.seenBy || "").toString().trim() || COMPLIANCE_UNASSIGNED_WORKER;
+    const counts = workers[worker] || (workers[worker] = newComplianceCounts());
+    const entered = parseSheetDate(row.dateContactEntered);
+    const missedWithReason = isContactMarkedMissed(row.missed) &&
+      (row.reasonMissed || "").toString().trim() !== "";
+
+    [counts, total].forEach(c => {
+      c.children++;
+      if (parseSheetDate(row.dateSeen)) c.seen++;
+      if (entered && startOfDay(entered) <= monthEnd) c.enteredInMonth++;
+      else if (entered) c.enteredLate++;
+      else if (missedWithReason) c.missedWithReason++;
+      else c.missing++;
+    });
+  }
+  return { workers: workers, total: total };
+}
+
+/**
+ * Empty counts for one worker or month.
+ * @returns {Object} {children, seen, enteredInMonth, enteredLate, missing, missedWithReason}
+ */
+function newComplianceCounts() {
+  return { children: 0, seen: 0, enteredInMonth: 0, enteredLate: 0, missing: 0, missedWithReason: 0 };
+}
+
+/**
+ * Compliance for a set of counts.
+ * @param {Object} counts From newComplianceCounts().
+ * @returns {number|string} Fraction from 0 to 1, or "" if there is nothing to count.
+ */
+function getCompliancePercent(counts) {
+  const expected = counts.children - counts.missedWithReason;
+  return expected > 0 ? counts.enteredInMonth / expected : "";
+}
+
+/**
+ * Reads every contact sheet up to the current month, oldest first.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @param {Date} today Today.
+ * @returns {Object[]} [{key, workers, total}] per month.
+ */
+function buildComplianceStats(ss, today) {
+  const currentMonthSerial = getMonthSerial(today);
+  const months = [];
+
+  ss.getSheets().forEach(sheet => {
+    const sheetMonth = parseContactSheetName(sheet.getName(), today);
+    if (!sheetMonth) return;
+    const serial = sheetMonth.year * 12 + sheetMonth.month;
+    if (serial > currentMonthSerial) return;
+
+    const counts = countContactCompliance(sheet, sheetMonth);
+    if (counts) months.push(Object.assign({ key: sheetMonth.key, serial: serial }, counts));
+  });
+
+  return months.sort((a, b) => a.serial - b.serial);
+}
+
+/**
+ * Rebuilds the "Compliance Dashboard" tab and its trend chart.
+ * @returns {Object[]} The monthly stats written (see buildComplianceStats()).
+ */
+function refreshComplianceDashboard() {
+  getGlobalVariables(false);
+
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const months = buildComplianceStats(ss, new Date());
+  const sheet = ss.getSheetByName(COMPLIANCE_DASHBOARD_SHEET_NAME) || ss.insertSheet(COMPLIANCE_DASHBOARD_SHEET_NAME);
+
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  sheet.clear();
+
+  const columns = COMPLIANCE_DASHBOARD_HEADERS.length;
+  const row = (key, worker, c) => [
+    key, worker, c.children, c.seen, c.enteredInMonth, c.enteredLate, c.missing, c.missedWithReason, getCompliancePercent(c)
+  ];
+
+  const rows = [];
+  const totalRows = [];
+  months.forEach(month => {
+    Object.keys(month.workers).sort().forEach(worker => rows.push(row(month.key, worker, month.workers[worker])));
+    rows.push(row(month.key, COMPLIANCE_ALL_WORKERS, month.total));
+    totalRows.push(rows.length + 1);
+  });
+
+  sheet.getRange(1, 1, 1, columns).setValues([COMPLIANCE_DASHBOARD_HEADERS]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, columns).setValues(rows);
+    sheet.getRange(2, columns, rows.length, 1).setNumberFormat("0.0%");
+    totalRows.forEach(r => sheet.getRange(r, 1, 1, columns).setFontWeight("bold"));
+  }
+
+  // Trend table (monthly totals) and its chart, to the right of the table
+  const trendColumn = columns + 2;
+  const trend = months.map(month => [month.key, getCompliancePercent(month.total)]);
+  sheet.getRange(1, trendColumn, 1, 2).setValues([["Month", "Compliance %"]]).setFontWeight("bold");
+  if (trend.length > 0) {
+    sheet.getRange(2, trendColumn, trend.length, 2).setValues(trend);
+    sheet.getRange(2, trendColumn + 1, trend.length, 1).setNumberFormat("0.0%");
+
+    const chart = sheet.newChart()
+      .asLineChart()
+      .addRange(sheet.getRange(1, trendColumn, trend.length + 1, 2))
+      .setOption("title", "Contact compliance by month")
+      .setOption("vAxis.format", "percent")
+      .setPosition(trend.length + 3, trendColumn, 0, 0)
+      .build();
+    sheet.insertChart(chart);
+  }
+
+  Logger.log(`✅ ${COMPLIANCE_DASHBOARD_SHEET_NAME} refreshed: ${months.length} month(s), ${rows.length} row(s).`);
+  return months;
+}
+
+/**
+ * Menu entry: rebuilds the dashboard and says so.
+ */
+function refreshComplianceDashboardFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const months = refreshComplianceDashboard();
+    ui.alert(`✅ ${COMPLIANCE_DASHBOARD_SHEET_NAME} refreshed for ${months.length} month(s).`);
+  } catch (e) {
+    Logger.log(`❌ Failed to refresh ${COMPLIANCE_DASHBOARD_SHEET_NAME}: ${e.message}`);
+    ui.alert(`❌ Failed to refresh ${COMPLIANCE_DASHBOARD_SHEET_NAME}: ${e.message}`);
+  }
+}
@@ -0,0 +1,181 @@
+/*************************************************************
+ * Configuration Schema
+ * Declares every row of the Variables tab in one place: the global
+ * it fills (if any), its type, whether it is required, its default
+ * and whether it is sensitive (a personal detail or a link to this
+ * unit's files, left out of exports on request, see
+ * ConfigTransfer.js). Types:
+ *   text, email, url, phone, integer (with min/max), json, list
+ *   (comma-separated).
+ *
+ * hydrateGlobalVariables() fills every declared global from the
+ * loaded variables, whichever layer they came from (cache,
+ * properties or sheet, see Utilities.js), so no global is left blank
+ * because only the sheet path assigned it.
+ *
+ * "Validate Configuration" lists missing required rows, values that
+ * don't match their type and rows the app doesn't know.
+ *************************************************************/
+
+/**
+ * The declared Variables rows.
+ * @returns {Object} key → {global, type, required, default, min, max, sensitive}
+ */
+function getConfigSchema() {
+  return {
+    caseTrackerUrl:           { global: "CASE_TRACKER_URL", type: "url", required: true, sensitive: true },
+    caseTrackerSheetName:     { type: "text", default: DEFAULT_CASE_TRACKER_SHEET_NAME },
+    ssmName:                  { global: "SSM_NAME", type: "text", required: true, sensitive: true },
+    ssmEmail:                 { global: "SSM_EMAIL", type: "email", required: true, sensitive: true },
+    mainWorkerName:           { global: "MAIN_WORKER_NAME", type: "text", required: true, sensitive: true },
+    mainWorkerEmail:          { global: "MAIN_WORKER_EMAIL", type: "email", required: true, sensitive: true },
+    mainSupervisorName:       { global: "MAIN_SUPERVISOR_NAME", type: "text", required: true, sensitive: true },
+    mainSupervisorEmail:      { global: "MAIN_SUPERVISOR_EMAIL", type: "email", required: true, sensitive: true },
+    workerOfficeExtension:    { global: "WORKER_OFFICE_EXTENSION", type: "text", sensitive: true },
+    workerCellNumber:         { global: "WORKER_CELL_NUMBER", type: "phone", sensitive: true },
+    contactCompleteMonths:    { global: "CONTACT_COMPLETE_MONTHS", type: "list" },
+    reminderHour:             { type: "integer", min: 0, max: 23, default: DEFAULT_REMINDER_HOUR },
+    reminderDelivery:         { type: "text" },
+    escalationRules:          { type: "json" },
+    columnAliases:            { type: "json" },
+    summaryDueOffsets:        { type: "json" },
+    courtCalendarId:          { type: "text", sensitive: true },
+    contactReplyQuery:        { type: "text", default: DEFAULT_CONTACT_REPLY_QUERY },
+    signatureName:            { type: "text", sensitive: true },
+    signatureTitle:           { type: "text" },
+    signatureOffice:          { type: "text" },
+    signatureAddress:         { type: "text" },
+    signatureOfficePhone:     { type: "phone", sensitive: true },
+    signatureOfficeExtension: { type: "text", sensitive: true },
+    signatureCellPhone:       { type: "phone", sensitive: true },
+    signatureFax:             { type: "phone", sensitive: true },
+    signatureLogoFileId:      { type: "text" },
+    contactSheets:            { type: "json" },
+    automationInfoSheetURL:   { type: "url", sensitive: true }
+  };
+}
+
+/**
+ * The Variables keys that must be set.
+ * @returns {string[]} e.g. ["caseTrackerUrl", "ssmName", ...]
+ */
+function getRequiredConfigKeys() {
+  const schema = getConfigSchema();
+  return Object.keys(schema).filter(key => schema[key].required);
+}
+
+/**
+ * Variables key for a global, so code can update it by either name.
+ * @param {string} globalName e.g. "CONTACT_COMPLETE_MONTHS".
+ * @returns {string|null} e.g. "contactCompleteMonths", or null if no row fills it.
+ */
+function getConfigKeyForGlobal(globalName) {
+  const schema = getConfigSchema();
+  return Object.keys(schema).find(key => schema[key].global === globalName) || null;
+}
+
+/**
+ * Checks one value against its declared type.
+ * @param {Object} spec Entry from getConfigSchema().
+ * @param {*} value Value from the Variables tab (blank is not checked).
+ * @returns {string|null} What is wrong, or null if it is fine.
+ */
+function checkConfigValue(spec, value) {
+  const text = (value === undefined || value === null ? "" : value).toString().trim();
+  if (!text) return null;
+
+  switch (spec.type) {
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? null : "is not an email address";
+    case "url":
+      return /^https:\/\/\S+$/i.test(text) ? null : "is not an https:// URL";
+    case "phone": {
+      const digits = text.replace(/\D/g, "");
+      return /^[\d\s()+.\-]+$/.test(text) && digits.length >= 7 && digits.length <= 15 ? null : "is not a phone number";
+    }
+    case "integer": {
+      const number = Number(text);
+      if (!Number.isInteger(number)) return "is not a whole number";
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        return `is not between ${spec.min} and ${spec.max}`;
+      }
+      return null;
+    }
+    case "json":
+      try {
+        JSON.parse(text);
+        return null;
+      } catch (e) {
+        return `is not valid JSON (${e.message})`;
+      }
+    case "list":
+      return text.split(",").some(item => !item.trim()) ? "has an empty item in the list" : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sets every declared global from the loaded variables, or its default.
+ * @param {Object} vars Variables (key → value) from any layer.
+ */
+function hydrateGlobalVariables(vars) {
+  const schema = getConfigSchema();
+  Object.keys(schema).forEach(key => {
+    const spec = schema[key];
+    if (!spec.global) return;
+    const value = vars && vars[key] !== undefined && vars[key] !== "" ? vars[key] : spec.default;
+    globalThis[spec.global] = value === undefined ? "" : value;
+  });
+}
+
+/**
+ * Checks the variables against the schema.
+ * @param {Object} vars Variables (key → value), e.g. from loadAutomationInfoSheet().
+ * @returns {Object[]} {key, level ("error" | "warning"), message}, errors first.
+ */
+function validateConfiguration(vars) {
+  const schema = getConfigSchema();
+  const problems = [];
+
+  Object.keys(schema).forEach(key => {
+    const spec = schema[key];
+    const value = vars[key];
+    const label = spec.global ? `${key} (${spec.global})` : key;
+    if (value === undefined || value === "") {
+      if (spec.required) problems.push({ key: key, level: "error", message: `${label} is required but missing.` });
+      return;
+    }
+    const problem = checkConfigValue(spec, value);
+    if (problem) problems.push({ key: key, level: "error", message: `${label}: "${value}" ${problem}.` });
+  });
+
+  Object.keys(vars)
+    .filter(key => !schema[key])
+    .forEach(key => problems.push({ key: key, level: "warning", message: `${key} is not a known setting (typo?).` }));
+
+  return problems.filter(p => p.level === "error").concat(problems.filter(p => p.level === "warning"));
+}
+
+/**
+ * Menu entry: re-reads the Variables tab and lists any problems.
+ */
+function showConfigurationReport() {
+  const ui = SpreadsheetApp.getUi();
+  let vars;
+  try {
+    vars = loadAutomationInfoSheet();
+  } catch (e) {
+    ui.alert(`❌ Could not read the Variables tab: ${e.message}`);
+    return;
+  }
+
+  const problems = validateConfiguration(vars);
+  problems.forEach(p => Logger.log(`${p.level === "error" ? "❌" : "⚠️"} ${p.message}`));
+  const errors = problems.filter(p => p.level === "error").length;
+  ui.alert(
+    problems.length > 0
+      ? `${errors > 0 ? "❌" : "⚠️"} Configuration problems:\n\n${problems.map(p => `${p.level === "error" ? "❌" : "⚠️"} ${p.message}`).join("\n")}`
+      : `✅ Configuration OK: ${Object.keys(vars).length} settings checked.`
+  );
+}
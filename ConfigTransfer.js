@@ -0,0 +1,372 @@
+/*************************************************************
+ * Configuration Export / Import
+ * Moves a unit's whole setup between copies of the automation as one
+ * versioned JSON file in Drive:
+ * - variables: the Variables tab (ConfigSchema.js), without the rows
+ *   that point at this copy's own tracker, calendar and backups
+ *   (CONFIG_EXPORT_SKIPPED_VARIABLES), which are never imported either;
+ * - workers: the CPSEmployeeInfo and Additional Workers Info tabs;
+ * - contactSheets: the contact sheet registry;
+ * - emailTemplates: the overrides on the "Email Templates" tab;
+ * - triggers: the trigger plan and which triggers are paused.
+ *
+ * An export can leave out personal details: variables marked
+ * sensitive in the schema, variables the schema doesn't know, any
+ * variable or email template that holds an email address (an
+ * escalation rule's To/Cc/Bcc, a template body), and the worker
+ * tabs. Importing such a file keeps this unit's own values for
+ * everything it leaves out.
+ *
+ * Import checks the file first and stops before anything changes if
+ * it is not a valid export, then lists what would change and applies
+ * it once confirmed. Contact sheets that don't exist in this tracker
+ * are skipped.
+ *************************************************************/
+
+const CONFIG_EXPORT_FORMAT = "case-tracker-config";
+const CONFIG_EXPORT_VERSION = 1;
+const CONFIG_EXPORT_FOLDER_NAME = "Case Tracker Config Exports";
+
+// Rows that belong to this copy only: its own tracker and calendar, and the
+// backup rows (the registry travels in contactSheets)
+const CONFIG_EXPORT_SKIPPED_VARIABLES = ["caseTrackerUrl", "courtCalendarId", "contactSheets", "automationInfoSheetURL"];
+const CONFIG_EXPORT_EMAIL_PATTERN = /[^\s@<>"',;:]+@[^\s@<>"',;:]+\.[A-Za-z]{2,}/;
+
+/**
+ * Reads the current setup.
+ * @param {Object} options (optional) {includePersonal: boolean (default true)}
+ * @returns {Object} {format, version, exportedAt, includesPersonalDetails, variables, workers, contactSheets, emailTemplates, triggers}
+ */
+function buildConfigBundle(options) {
+  const includePersonal = !options || options.includePersonal !== false;
+  const schema = getConfigSchema();
+
+  const allVariables = loadAutomationInfoSheet();
+  const variables = {};
+  Object.keys(allVariables)
+    .filter(key => !CONFIG_EXPORT_SKIPPED_VARIABLES.includes(key))
+    .filter(key => includePersonal || (schema[key] && !schema[key].sensitive && !CONFIG_EXPORT_EMAIL_PATTERN.test(allVariables[key])))
+    .forEach(key => { variables[key] = allVariables[key]; });
+
+  let workers = null;
+  if (includePersonal) {
+    workers = {};
+    WORKER_DIRECTORY_TABS.forEach(tabName => {
+      const sheet = automationInfoSheet.getSheetByName(tabName);
+      if (sheet) workers[tabName] = sheet.getDataRange().getValues();
+    });
+  }
+
+  emailTemplateOverrides = null;
+  const overrides = getEmailTemplateOverrides();
+  const emailTemplates = {};
+  Object.keys(overrides)
+    .filter(id => overrides[id].subject || overrides[id].body)
+    .filter(id => includePersonal || !CONFIG_EXPORT_EMAIL_PATTERN.test(`${overrides[id].subject} ${overrides[id].body}`))
+    .forEach(id => { emailTemplates[id] = overrides[id]; });
+
+  return {
+    format: CONFIG_EXPORT_FORMAT,
+    version: CONFIG_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesPersonalDetails: includePersonal,
+    variables: variables,
+    workers: workers,
+    contactSheets: getContactSheets(),
+    emailTemplates: emailTemplates,
+    triggers: {
+      paused: getTriggerSettings().paused,
+      plan: getTriggerDefinitions().map(d => ({ id: d.id, handler: d.handler, kind: d.kind, hour: d.hour, monthDay: d.monthDay, everyHours: d.everyHours }))
+    }
+  };
+}
+
+/**
+ * Saves the current setup to a JSON file in the export folder.
+ * @param {Object} options (optional) {includePersonal: boolean (default true)}
+ * @returns {File} The Drive file.
+ */
+function exportConfiguration(options) {
+  const bundle = buildConfigBundle(options);
+
+  const folders = DriveApp.getFoldersByName(CONFIG_EXPORT_FOLDER_NAME);
+  const folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(CONFIG_EXPORT_FOLDER_NAME);
+  const stamp = Utilities.formatDate(new Date(), GLOBAL_TIMEZONE, "yyyy-MM-dd HHmm");
+  const file = folder.createFile(`Case Tracker Config ${stamp}.json`, JSON.stringify(bundle, null, 2), "application/json");
+
+  Logger.log(`✅ Configuration exported to ${file.getUrl()}${bundle.includesPersonalDetails ? "" : " (without personal details)"}.`);
+  return file;
+}
+
+/**
+ * Reads an export file from Drive.
+ * @param {string} fileRef File id or Drive URL.
+ * @returns {Object} The parsed file.
+ * @throws {Error} If the file can't be opened or isn't JSON.
+ */
+function readConfigBundle(fileRef) {
+  const text = (fileRef || "").toString().trim();
+  const match = text.match(/\/d\/([^/?#]+)/) || text.match(/[?&]id=([^&#]+)/);
+  const id = match ? match[1] : text;
+  if (!id) throw new Error("No export file given.");
+
+  let content;
+  try {
+    content = DriveApp.getFileById(id).getBlob().getDataAsString();
+  } catch (e) {
+    throw new Error(`Could not open export file "${id}": ${e.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Export file "${id}" is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Checks an export before anything is applied.
+ * @param {Object} bundle From readConfigBundle().
+ * @throws {Error} Listing every problem found.
+ */
+function checkConfigBundle(bundle) {
+  const isObject = value => !!value && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(bundle) || bundle.format !== CONFIG_EXPORT_FORMAT) {
+    throw new Error(`Not a configuration export (expected format "${CONFIG_EXPORT_FORMAT}").`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new Error("Export has no valid version.");
+  }
+  if (bundle.version > CONFIG_EXPORT_VERSION) {
+    throw new Error(`Export is version ${bundle.version}; this copy reads up to version ${CONFIG_EXPORT_VERSION}. Update the script first.`);
+  }
+
+  const problems = [];
+  const schema = getConfigSchema();
+  if (!isObject(bundle.variables)) {
+    problems.push("variables must be an object.");
+  } else {
+    Object.keys(bundle.variables).forEach(key => {
+      const problem = schema[key] ? checkConfigValue(schema[key], bundle.variables[key]) : null;
+      if (problem) problems.push(`variables.${key}: "${bundle.variables[key]}" ${problem}.`);
+    });
+  }
+
+  if (bundle.workers !== null && bundle.workers !== undefined) {
+    if (!isObject(bundle.workers)) {
+      problems.push("workers must be an object of tab → rows.");
+    } else {
+      Object.keys(bundle.workers).forEach(tabName => {
+        const rows = bundle.workers[tabName];
+        if (!WORKER_DIRECTORY_TABS.includes(tabName)) problems.push(`workers: unknown tab "${tabName}".`);
+        else if (!Array.isArray(rows) || !rows.every(Array.isArray) || !rows.length || !rows[0].includes("workerName")) {
+          problems.push(`workers.${tabName} must be rows with a "workerName" header.`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(bundle.contactSheets) || !bundle.contactSheets.every(cs => cs && cs.name && Number.isInteger(cs.seenByCol))) {
+    problems.push("contactSheets must be a list of {name, seenByCol}.");
+  }
+
+  if (!isObject(bundle.emailTemplates)) {
+    problems.push("emailTemplates must be an object.");
+  } else {
+    Object.keys(bundle.emailTemplates)
+      .filter(id => !EMAIL_TEMPLATES[id])
+      .forEach(id => problems.push(`emailTemplates: unknown template "${id}".`));
+  }
+
+  const triggerIds = getTriggerDefinitions().map(d => d.id);
+  if (!isObject(bundle.triggers) || !Array.isArray(bundle.triggers.paused)) {
+    problems.push("triggers.paused must be a list.");
+  } else {
+    bundle.triggers.paused
+      .filter(id => !triggerIds.includes(id))
+      .forEach(id => problems.push(`triggers.paused: unknown trigger "${id}".`));
+  }
+
+  if (problems.length > 0) throw new Error(`Export file has problems, nothing was changed:\n${problems.join("\n")}`);
+}
+
+/**
+ * Works out what importing a bundle would change.
+ * @param {Object} bundle Checked export.
+ * @param {Object} current From buildConfigBundle().
+ * @param {string[]} trackerSheets Sheet names in this Case Tracker.
+ * @returns {Object} {variables: [key], workers: [tab], contactSheets: [{name, seenByCol}],
+ *   emailTemplates: [id], paused: string[] | null, lines: string[] (for the confirmation prompt),
+ *   skipped: string[] (the lines that change nothing)}
+ */
+function diffConfigBundle(bundle, current, trackerSheets) {
+  const diff = { variables: [], workers: [], contactSheets: [], emailTemplates: [], paused: null, lines: [], skipped: [] };
+  const show = value => (value === undefined || value === "" ? "(blank)" : `"${value}"`);
+  const skip = line => { diff.lines.push(line); diff.skipped.push(line); };
+
+  Object.keys(bundle.variables).forEach(key => {
+    if (CONFIG_EXPORT_SKIPPED_VARIABLES.includes(key)) {
+      skip(`Variable ${key}: belongs to the exporting copy, skipped`);
+      return;
+    }
+    const value = (bundle.variables[key] === null ? "" : bundle.variables[key]).toString();
+    if ((current.variables[key] || "").toString() === value) return;
+    diff.variables.push(key);
+    diff.lines.push(`Variable ${key}: ${show(current.variables[key])} → ${show(value)}`);
+  });
+
+  Object.keys(bundle.workers || {}).forEach(tabName => {
+    const now = current.workers[tabName] || [];
+    if (JSON.stringify(now) === JSON.stringify(bundle.workers[tabName])) return;
+    diff.workers.push(tabName);
+    diff.lines.push(`${tabName}: ${Math.max(now.length - 1, 0)} → ${bundle.workers[tabName].length - 1} worker row(s)`);
+  });
+
+  const registered = current.contactSheets.map(cs => cs.name);
+  bundle.contactSheets
+    .filter(cs => !registered.includes(cs.name))
+    .forEach(cs => {
+      if (trackerSheets.includes(cs.name)) {
+        diff.contactSheets.push(cs);
+        diff.lines.push(`Contact sheet: register ${cs.name}`);
+      } else {
+        skip(`Contact sheet: ${cs.name} is not in this tracker, skipped`);
+      }
+    });
+
+  Object.keys(bundle.emailTemplates).forEach(id => {
+    const now = current.emailTemplates[id] || { subject: "", body: "" };
+    const next = bundle.emailTemplates[id];
+    if ((now.subject || "") === (next.subject || "") && (now.body || "") === (next.body || "")) return;
+    diff.emailTemplates.push(id);
+    diff.lines.push(`Email template ${id}: ${now.subject || now.body ? "replaced" : "added"}`);
+  });
+
+  const paused = bundle.triggers.paused.slice().sort();
+  if (paused.join(",") !== current.triggers.paused.slice().sort().join(",")) {
+    diff.paused = paused;
+    diff.lines.push(`Paused triggers: ${current.triggers.paused.join(", ") || "(none)"} → ${paused.join(", ") || "(none)"}`);
+  }
+
+  return diff;
+}
+
+/**
+ * Applies the changes found by diffConfigBundle().
+ * @param {Object} bundle Checked export.
+ * @param {Object} diff From diffConfigBundle().
+ */
+function applyConfigBundle(bundle, diff) {
+  diff.variables.forEach(key => updateGlobalVariable(key, bundle.variables[key]));
+
+  diff.workers.forEach(tabName => {
+    const rows = bundle.workers[tabName];
+    const width = Math.max(...rows.map(r => r.length));
+    const sheet = automationInfoSheet.getSheetByName(tabName) || automationInfoSheet.insertSheet(tabName);
+    sheet.clearContents();
+    sheet.getRange(1, 1, rows.length, width).setValues(rows.map(r => r.concat(new Array(width - r.length).fill(""))));
+  });
+  if (diff.workers.length > 0) getWorkerDirectory(true);
+
+  diff.contactSheets.forEach(cs => registerContactSheet(cs.name, cs.seenByCol));
+
+  if (diff.emailTemplates.length > 0) {
+    let sheet = automationInfoSheet.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+    if (!sheet) {
+      sheet = automationInfoSheet.insertSheet(EMAIL_TEMPLATES_SHEET_NAME);
+      sheet.getRange(1, 1, 1, EMAIL_TEMPLATES_HEADERS.length).setValues([EMAIL_TEMPLATES_HEADERS]).setFontWeight("bold");
+      sheet.setFrozenRows(1);
+    }
+    const ids = sheet.getDataRange().getValues().map(r => (r[0] || "").toString().trim());
+    diff.emailTemplates.forEach(id => {
+      const template = bundle.emailTemplates[id];
+      const row = ids.indexOf(id) + 1;
+      if (row > 1) sheet.getRange(row, 2, 1, 2).setValues([[template.subject || "", template.body || ""]]);
+      else sheet.appendRow([id, template.subject || "", template.body || ""]);
+    });
+    emailTemplateOverrides = null;
+  }
+
+  if (diff.paused) {
+    const settings = getTriggerSettings();
+    settings.paused = diff.paused;
+    saveTriggerSettings(settings);
+  }
+  if (diff.paused || diff.variables.includes(TRIGGER_HOUR_VARIABLE_KEY)) reconcileTriggers();
+}
+
+/**
+ * Imports an export file.
+ * @param {string} fileRef File id or Drive URL.
+ * @param {Object} options (optional) {confirm: function(diffText) → boolean, asked before anything changes}
+ * @returns {string[]} The changes applied (empty if nothing differed or not confirmed).
+ */
+function importConfiguration(fileRef, options) {
+  const bundle = readConfigBundle(fileRef);
+  checkConfigBundle(bundle);
+
+  const current = buildConfigBundle();
+  const trackerSheets = SpreadsheetApp.openByUrl(CASE_TRACKER_URL).getSheets().map(s => s.getName());
+  const diff = diffConfigBundle(bundle, current, trackerSheets);
+  const changes = diff.variables.length + diff.workers.length + diff.contactSheets.length + diff.emailTemplates.length + (diff.paused ? 1 : 0);
+  if (changes === 0) {
+    Logger.log("✅ This setup already matches the export.");
+    return [];
+  }
+
+  const text = diff.lines.join("\n");
+  Logger.log(`📋 Configuration changes:\n${text}`);
+  if (options && options.confirm && !options.confirm(text)) {
+    Logger.log("Configuration import cancelled.");
+    return [];
+  }
+
+  applyConfigBundle(bundle, diff);
+  Logger.log(`✅ Configuration imported (${changes} change(s)).`);
+  return diff.lines.filter(line => !diff.skipped.includes(line));
+}
+
+/**
+ * Menu entry: exports the configuration, asking whether to include personal details.
+ */
+function exportConfigurationFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert(
+    "Export Configuration",
+    "Include personal details (names, emails, phone numbers, this unit's links and the worker tabs)?\n\n" +
+    "Choose No to export a setup another unit can import without them.",
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (answer !== ui.Button.YES && answer !== ui.Button.NO) return;
+
+  try {
+    const file = exportConfiguration({ includePersonal: answer === ui.Button.YES });
+    ui.alert(`✅ Configuration exported to "${CONFIG_EXPORT_FOLDER_NAME}":\n${file.getUrl()}`);
+  } catch (e) {
+    Logger.log(`❌ Failed to export the configuration: ${e.message}`);
+    ui.alert(`❌ Failed to export the configuration: ${e.message}`);
+  }
+}
+
+/**
+ * Menu entry: asks for an export file, shows the changes and applies them if confirmed.
+ */
+function importConfigurationFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt("Import Configuration", "Drive URL or file ID of the exported configuration:", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    let asked = false;
+    const applied = importConfiguration(response.getResponseText(), {
+      confirm: text => {
+        asked = true;
+        return ui.alert("Import Configuration", `${text}\n\nApply these changes?`, ui.ButtonSet.YES_NO) === ui.Button.YES;
+      }
+    });
+    if (!asked) ui.alert("✅ This setup already matches the export.");
+    else if (applied.length > 0) ui.alert(`✅ Configuration imported (${applied.length} change(s)).`);
+  } catch (e) {
+    Logger.log(`❌ Failed to import the configuration: ${e.message}`);
+    ui.alert(`❌ Failed to import the configuration: ${e.message}`);
+  }
+}
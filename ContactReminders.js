@@ -2,14 +2,36 @@
  * sendMonthlyContactReminders()
  * 
  * Main entry point:
- * - Processes ALL "MonthName Contacts" sheets for months ≤ current month.
- * - Skips sheets marked as completed (CONTACT_COMPLETE_MONTHS).
- * - Sends reminders for missing contact entries.
- * - Prior-month reminders only go out on Mondays.
- * - If no reminders are sent for a sheet (and it's Monday), that month is
- *   marked complete and added to CONTACT_COMPLETE_MONTHS in global variables.
+ * - Processes ALL "MonthName Contacts" / "MonthName YYYY Contacts" sheets
+ *   for months up to and including the current month (year-aware, so in
+ *   January last December's sheet is a prior month, not a future one).
+ * - Skips sheets marked as completed (CONTACT_COMPLETE_MONTHS, keyed
+ *   like "January 2026").
+ * - Checks every contact sheet's headers first (SheetSchema.js) and
+ *   sends nothing if a required column is missing.
+ * - Sends reminders for missing contact entries, tier, recipients and
+ *   repeat schedule picked from the escalation rules (EscalationRules.js;
+ *   by default prior-month reminders only go out on Mondays, or the
+ *   next working day when Monday is a holiday).
+ * - Sends nothing on weekends and holidays (BusinessCalendar.js).
+ * - If no reminders are sent or held back for a prior month's sheet,
+ *   that month is marked complete (see CompletedMonths.js).
+ * 
+ * options (optional, see getReminderRun()):
+ * - today: run as if it were this date.
+ * - preview: send nothing, write nothing back, and list what would be
+ *   sent on the "Reminder Preview" tab instead.
+ * - digest: collect rows for sendDailyDigests() instead of sending
+ *   one email per row (default: "reminderDelivery" variable). Run on
+ *   its own in digest mode, this sends the daily digests.
  *************************************************************/
-function sendMonthlyContactReminders() {
+function sendMonthlyContactReminders(options) {
+  const run = getReminderRun(options);
+  const ownsRun = !(options && options.run);
+
+  // Digest mode: one email per recipient covering contacts and summaries
+  if (ownsRun && run.digest) return sendDailyDigests(options);
+
   try {
     // Load global variables (from cache or Variables tab)
     getGlobalVariables(false);
@@ -18,194 +40,289 @@ function sendMonthlyContactReminders() {
     return;
   }
 
-  const today = new Date();
+  const today = run.today;
   const currentMonth = today.getMonth(); // 0-based month index
-  const isMonday = today.getDay() === 1; // 1 = Monday
+  const currentMonthSerial = getMonthSerial(today); // year * 12 + month
+
+  // Nothing goes out on weekends or holidays; the next working day catches up
+  if (!run.force && !isWorkingDay(today)) {
+    Logger.log(`📅 ${today} is not a working day; no contact reminders sent.`);
+    return run;
+  }
 
-  // Parse CONTACT_COMPLETE_MONTHS (comma-separated string) into an array
-  const completeMonths = (CONTACT_COMPLETE_MONTHS || "")
-    .split(",")
-    .map(m => m.trim())
-    .filter(Boolean); // remove empty strings
+  // Completed months, keyed by month and year ("January 2026")
+  const completeMonths = getCompletedMonths({ preview: run.preview });
 
-  Logger.log(`Running Contact Reminders on ${today}`);
+  Logger.log(`Running Contact Reminders on ${today}${run.preview ? " (PREVIEW)" : ""}`);
   Logger.log(`Complete Months currently marked: ${completeMonths}`);
 
-  // Open Case Tracker and iterate over all sheets
+  // Open Case Tracker and collect the contact sheets due for processing
   const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
   const allSheets = ss.getSheets();
+  const dueSheets = [];
 
   for (let sheet of allSheets) {
     const sheetName = sheet.getName();
 
-    // Only process sheets with names like "January Contacts"
-    const monthMatch = sheetName.match(/^([A-Za-z]+) Contacts$/);
-    if (!monthMatch) continue;
+    // Only process sheets with names like "January Contacts" or "December 2025 Contacts"
+    const sheetMonth = parseContactSheetName(sheetName, today);
+    if (!sheetMonth) continue;
 
-    const monthName = monthMatch[1];
-    const sheetMonth = getMonthNumberFromName(monthName);
+    const sheetMonthSerial = sheetMonth.year * 12 + sheetMonth.month;
 
     // Skip if this sheet is for a future month
-    if (sheetMonth > currentMonth) continue;
+    if (sheetMonthSerial > currentMonthSerial) continue;
 
     // Skip if this month is already marked as complete
-    if (completeMonths.includes(monthName)) {
+    if (completeMonths.includes(sheetMonth.key)) {
       Logger.log(`Skipping ${sheetName}: already marked complete.`);
       continue;
     }
 
-    // Process the sheet and track how many reminders were sent
-    const remindersSent = processContactSheet(sheet, today, currentMonth, isMonday);
+    dueSheets.push({ sheet: sheet, sheetMonthSerial: sheetMonthSerial, monthKey: sheetMonth.key });
+  }
+
+  // Refuse to run if the escalation rules are invalid or any sheet is missing a required header
+  getEscalationRules("contact");
+  const columnMaps = requireSheetColumns(dueSheets.map(d => ({ sheet: d.sheet, schema: CONTACT_SHEET_SCHEMA })));
+
+  dueSheets.forEach(({ sheet, sheetMonthSerial, monthKey }, index) => {
+    const sheetName = sheet.getName();
 
-    // If it's Monday AND no reminders were sent, mark the month as complete
-    if (isMonday && remindersSent === 0) {
-      Logger.log(`No reminders sent for ${sheetName}. Marking as complete.`);
-      completeMonths.push(monthName);
+    // Process the sheet and track how many reminders were sent or held back
+    const remindersDue = processContactSheet(sheet, today, currentMonth, run, columnMaps[index]);
 
-      // Update CONTACT_COMPLETE_MONTHS in global variables
-      updateGlobalVariable("CONTACT_COMPLETE_MONTHS", completeMonths.join(", "));
+    // If no reminders are due (or held back for their send day) for a
+    // finished month, mark it as complete (never from a preview, which
+    // must not change anything)
+    if (sheetMonthSerial < currentMonthSerial && remindersDue === 0 && !run.preview) {
+      Logger.log(`No reminders sent for ${sheetName}. Marking ${monthKey} as complete.`);
+      markMonthComplete(monthKey);
     }
-  }
+  });
+
+  if (run.preview && ownsRun) writeReminderPreview(run);
+  return run;
 }
 
 /*************************************************************
- * processContactSheet(sheet, today, currentMonth, isMonday)
+ * processContactSheet(sheet, today, currentMonth, run, columns)
  * 
  * Processes a single contact sheet row by row.
+ * - Reads cells by header (columns = field → column from
+ *   requireSheetColumns(); looked up here if not given).
  * - Skips contacts already entered or missing key info.
- * - Applies Monday-only rule for prior months.
+ * - Hands rows marked "Missed" to processMissedContactRow(): no entry
+ *   reminders, a reason request while "Reason Missed" is blank, and
+ *   one notice to the supervisor.
+ * - Holds back rows whose escalation rule doesn't repeat today
+ *   (e.g. prior-month reminders outside Mondays), or whose "Last
+ *   Reminder Sent" is within the rule's cadence (unless run.force).
  * - Calls sendContactReminderRow() to handle actual reminder sending.
+ * - run (optional) is the reminder run from getReminderRun(); in
+ *   preview mode reminders are collected instead of sent.
  * 
- * Returns: Number of reminders sent for this sheet.
+ * Returns: Number of reminders sent (or previewed) for this sheet,
+ * plus those held back for a later day. Missed contacts with a
+ * reason count as resolved.
  *************************************************************/
-function processContactSheet(sheet, today, currentMonth, isMonday) {
+function processContactSheet(sheet, today, currentMonth, run, columns) {
+  const cols = columns || requireSheetColumns([{ sheet: sheet, schema: CONTACT_SHEET_SCHEMA }])[0];
   const data = sheet.getDataRange().getValues();
-  let remindersSent = 0;
-
-  // Skip the header row (row 1)
-  for (let i = 1; i < data.length; i++) {
-    const [
-      childName,          // A: Child Name
-      caseID,             // B: Case ID
-      dateSeenRaw,        // C: Date Seen
-      seenBy,             // D: Seen By (dropdown name)
-      dateContactEntered, // E: Date Contact Entered
-      lastReminderSent,   // F: Last Reminder Sent
-      missed,             // G: Missed (optional)
-      reasonMissed        // H: Reason Missed (optional)
-    ] = data[i];
-
-    // Skip rows missing required data
-    if (!childName || !dateSeenRaw || !seenBy) continue;
+  const rules = getEscalationRules("contact");
+  const activeEnd = getActiveContactRowEnd(data, cols);
+  let remindersDue = 0;
+
+  // Skip the header row (row 1); rows under "Inactive" (ContactRoster.js) are done
+  for (let i = 1; i < activeEnd; i++) {
+    const contact = readRowFields(data[i], cols);
+    const {
+      childName,                // Child Name
+      dateSeen: dateSeenRaw,    // Date Seen
+      seenBy,                   // Seen By (dropdown name)
+      dateContactEntered        // Date Contact Entered
+    } = contact;
 
     // Skip rows where contact is already entered
     if (dateContactEntered && dateContactEntered !== "") continue;
 
+    // Missed contacts get their own workflow (MissedContacts.js) instead of entry reminders,
+    // with or without a Seen By
+    if (childName && isContactMarkedMissed(contact.missed)) {
+      if (processMissedContactRow(contact, today, sheet, i + 1, run, cols)) remindersDue++;
+      continue;
+    }
+
+    // Skip rows missing required data
+    if (!childName || !dateSeenRaw || !seenBy) continue;
+
     const dateSeen = new Date(dateSeenRaw);
     if (isNaN(dateSeen)) continue;
 
-    // Determine if this is from a prior month
-    const isPriorMonth = dateSeen.getMonth() < today.getMonth() || 
-                         dateSeen.getFullYear() < today.getFullYear();
+    // Apply the rule's repeat schedule (Monday-only for prior months by default)
+    const day = daysLeftInContactMonth(dateSeen, today);
+    const rule = findEscalationRule(rules, day);
+    if (rule && !isEscalationDueToday(rule, day, today)) {
+      Logger.log(`Skipping ${childName}: ${rule.tier} reminders repeat ${rule.repeat.text}.`);
+      remindersDue++;
+      continue;
+    }
 
-    // Apply Monday-only rule for prior months
-    if (isPriorMonth && !isMonday) {
-      Logger.log(`Skipping ${childName}: prior month and today is not Monday.`);
+    // Apply the rule's cadence against "Last Reminder Sent" (unless forced)
+    if (rule && !(run && run.force) && isWithinEscalationCadence(rule, contact.lastReminderSent, today)) {
+      Logger.log(`Skipping ${childName}: last reminded ${contact.lastReminderSent}, cadence ${rule.cadence.text}.`);
+      remindersDue++;
       continue;
     }
 
     // Send reminder and increment count if successful
-    const sent = sendContactReminderRow(data[i], today, sheet, i + 1);
-    if (sent) remindersSent++;
+    const sent = sendContactReminderRow(contact, today, sheet, i + 1, run, cols);
+    if (sent) remindersDue++;
   }
 
-  return remindersSent;
+  return remindersDue;
 }
 
 /*************************************************************
- * sendContactReminderRow(rowData, today, sheet, rowIndex)
+ * sendContactReminderRow(contact, today, sheet, rowIndex, run, columns)
  * 
  * Handles all reminder sending logic for a single row:
+ * - contact is the row read by readRowFields() (childName, caseID,
+ *   dateSeen, seenBy, ...); columns locates "Last Reminder Sent".
  * - Looks up worker info from Automation Info (CPSEmployeeInfo).
- * - Chooses correct reminder template based on timing (standard, reprimanding, post-month).
+ * - Picks the tier, template and recipients from the contact
+ *   escalation rules by the days left in the month the child was seen.
  * - Sends email and updates "Last Reminder Sent" column.
+ * - In preview mode (run.preview) records the reminder on the run
+ *   instead of sending it or touching the sheet.
+ * - In digest mode (run.digest) adds the row to the run's digest
+ *   items instead (ReminderDigest.js sends and stamps it).
  * 
- * Returns: true if a reminder was sent, false otherwise.
+ * Returns: true if a reminder was sent (or previewed / queued), false otherwise.
  *************************************************************/
-function sendContactReminderRow(rowData, today, sheet, rowIndex) {
-  const [
-    childName, caseID, dateSeenRaw, seenBy,
-    dateContactEntered, lastReminderSent, missed, reasonMissed
-  ] = rowData;
+function sendContactReminderRow(contact, today, sheet, rowIndex, run, columns) {
+  const { childName, caseID, dateSeen: dateSeenRaw, seenBy } = contact;
 
   const dateSeen = new Date(dateSeenRaw);
   const daysLeftInMonth = daysRemainingInMonth(today);
   const daysSinceSeen = Math.floor((today - dateSeen) / (1000 * 60 * 60 * 24));
+  const dateSeenFormatted = Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy");
 
-  // Lookup worker info
-  const empInfo = getWorkerInfoByName(seenBy);
+  const rule = findEscalationRule(getEscalationRules("contact"), daysLeftInContactMonth(dateSeen, today));
+  if (!rule) {
+    Logger.log(`No contact escalation rule applies to ${childName}. Skipping.`);
+    return false;
+  }
 
-  // If worker name matches the user (MAIN_WORKER_NAME)
-  let recipients = [];
-  let bccList = [];
-  let body = "";
+  const worker = getContactWorker(seenBy);
+  if (!worker) {
+    Logger.log(`Could not find worker info for ${seenBy}. Skipping.`);
+    return false;
+  }
 
-  if (MAIN_WORKER_NAME === seenBy) {
-    if (dateSeen.getMonth() < today.getMonth()) {
-      body = getPostMonthContactReminderHtml(MAIN_WORKER_NAME, MAIN_SUPERVISOR_NAME,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"));
-    } else if (daysLeftInMonth <= 7) {
-      body = getReprimandingContactReminderHtml(MAIN_WORKER_NAME, MAIN_SUPERVISOR_NAME,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"),
-        daysSinceSeen, daysLeftInMonth);
-    } else {
-      body = getStandardContactReminderHtml(MAIN_WORKER_NAME, MAIN_SUPERVISOR_NAME,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"),
-        daysSinceSeen, daysLeftInMonth);
-    }
-    recipients = [MAIN_WORKER_EMAIL];
-    bccList = [MAIN_SUPERVISOR_EMAIL];
-    if (daysLeftInMonth <= 7) bccList.push(SSM_EMAIL);
-
-  } else if (empInfo) {
-    // External worker logic
-    if (dateSeen.getMonth() < today.getMonth()) {
-      body = getPostMonthContactReminderHtml(empInfo.workerName, empInfo.supervisorName,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"));
-    } else if (daysLeftInMonth <= 7) {
-      body = getReprimandingContactReminderHtml(empInfo.workerName, empInfo.supervisorName,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"),
-        daysSinceSeen, daysLeftInMonth);
-    } else {
-      body = getStandardContactReminderHtml(empInfo.workerName, empInfo.supervisorName,
-        childName, caseID, Utilities.formatDate(dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy"),
-        daysSinceSeen, daysLeftInMonth);
-    }
-    recipients = [empInfo.workerEmail];
-    bccList = [empInfo.supervisorEmail];
-    if (daysLeftInMonth <= 7) bccList.push(SSM_EMAIL);
+  const values = {
+    workerName: worker.workerName,
+    supervisorName: worker.supervisorName,
+    childName: childName,
+    caseID: caseID,
+    dateSeen: dateSeenFormatted,
+    daysSinceSeen: daysSinceSeen,
+    daysLeftInMonth: daysLeftInMonth
+  };
 
+  let body = "";
+  if (rule.template === "postMonthContact") {
+    body = getPostMonthContactReminderHtml(worker.workerName, worker.supervisorName,
+      childName, caseID, dateSeenFormatted);
+  } else if (rule.template === "reprimandingContact") {
+    body = getReprimandingContactReminderHtml(worker.workerName, worker.supervisorName,
+      childName, caseID, dateSeenFormatted, daysSinceSeen, daysLeftInMonth);
   } else {
-    Logger.log(`Could not find worker info for ${seenBy}. Skipping.`);
-    return false;
+    body = getStandardContactReminderHtml(worker.workerName, worker.supervisorName,
+      childName, caseID, dateSeenFormatted, daysSinceSeen, daysLeftInMonth);
   }
 
-  try {
-    GmailApp.sendEmail(recipients.join(","), `Contact Entry Reminder – ${childName}`, "", {
-      bcc: bccList.join(","),
-      htmlBody: body
-    });
-    sheet.getRange(rowIndex, 6).setValue(
-      Utilities.formatDate(today, GLOBAL_TIMEZONE, "MM/dd/yyyy")
-    );
+  const people = { worker: worker.workerEmail, supervisor: worker.supervisorEmail };
+  const recipients = resolveEscalationRecipients(rule.to, people);
+  const ccList = resolveEscalationRecipients(rule.cc, people);
+  const bccList = resolveEscalationRecipients(rule.bcc, people);
+
+  const subject = getEmailSubject(rule.template, values);
+  const logEntry = {
+    source: sheet.getName(),
+    row: rowIndex,
+    caseID: caseID,
+    name: childName,
+    tier: rule.tier,
+    to: recipients.concat(ccList).join(","),
+    bcc: bccList.join(",")
+  };
+
+  if (run && run.digest) {
+    recordDigestItem(run, Object.assign({}, logEntry, {
+      kind: "contact",
+      date: dateSeen,
+      days: daysSinceSeen,
+      workerName: worker.workerName,
+      workerEmail: worker.workerEmail,
+      supervisorName: worker.supervisorName,
+      supervisorEmail: worker.supervisorEmail,
+      to: recipients,
+      cc: ccList,
+      bcc: bccList,
+      sheet: sheet,
+      stampColumn: columns.lastReminderSent
+    }));
+    return true;
+  }
+
+  if (run && run.preview) {
+    recordPreviewReminder(run, Object.assign({ subject: subject, htmlBody: body }, logEntry));
     return true;
+  }
+
+  try {
+    const options = { bcc: bccList.join(","), htmlBody: body };
+    if (ccList.length > 0) options.cc = ccList.join(",");
+    GmailApp.sendEmail(recipients.join(","), subject, "", options);
   } catch (error) {
     Logger.log(`❌ Failed to send reminder for ${childName}: ${error.message}`);
+    logReminderAttempt(Object.assign({ error: error.message }, logEntry));
     return false;
   }
+
+  logReminderAttempt(logEntry);
+  sheet.getRange(rowIndex, columns.lastReminderSent).setValue(
+    Utilities.formatDate(today, GLOBAL_TIMEZONE, "MM/dd/yyyy")
+  );
+  return true;
 }
 
 
+/*************************************************************
+ * getContactWorker(seenBy)
+ * 
+ * The worker a contact row belongs to: the user (MAIN_WORKER_NAME,
+ * or one of their aliases) or looked up in the worker directory
+ * (getWorkerInfoByName()).
+ * 
+ * Returns: {workerName, workerEmail, supervisorName, supervisorEmail},
+ * or null if the worker is unknown.
+ *************************************************************/
+function getContactWorker(seenBy) {
+  const record = findWorkerRecord(seenBy);
+  const name = record ? record.workerName : seenBy;
+  if (name && normalizeWorkerName(name) === normalizeWorkerName(MAIN_WORKER_NAME)) {
+    return {
+      workerName: MAIN_WORKER_NAME,
+      workerEmail: MAIN_WORKER_EMAIL,
+      supervisorName: MAIN_SUPERVISOR_NAME,
+      supervisorEmail: MAIN_SUPERVISOR_EMAIL
+    };
+  }
+  return getWorkerInfoByName(seenBy);
+}
+
 /*************************************************************
  * getMonthNumberFromName(name)
  * 
@@ -219,12 +336,52 @@ function getMonthNumberFromName(name) {
   return months.findIndex(m => m.toLowerCase() === name.toLowerCase());
 }
 
+/*************************************************************
+ * parseContactSheetName(name, today)
+ * 
+ * Reads the month a contact sheet covers from its tab name:
+ * - "December 2025 Contacts" → December 2025.
+ * - "December Contacts" → the most recent December on or before today
+ *   (so in January 2026 it is December 2025).
+ * 
+ * Returns: {month, year, key} (key like "December 2025"), or null if
+ * the tab is not a contact sheet.
+ *************************************************************/
+function parseContactSheetName(name, today) {
+  const match = name.match(/^([A-Za-z]+(?:\s+\d{4})?) Contacts$/);
+  if (!match) return null;
+  return parseMonthKey(match[1], today);
+}
+
+/*************************************************************
+ * getMonthSerial(date)
+ * 
+ * Returns year * 12 + month so months compare correctly across
+ * a year boundary (December 2025 < January 2026).
+ *************************************************************/
+function getMonthSerial(date) {
+  return date.getFullYear() * 12 + date.getMonth();
+}
+
 /*************************************************************
  * daysRemainingInMonth(date)
  * 
- * Returns number of days left in the month for the given date.
+ * Returns number of working days left in the month after the given
+ * date (weekends and holidays don't count, see BusinessCalendar.js).
  *************************************************************/
 function daysRemainingInMonth(date) {
   const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0);
-  return Math.ceil((lastDay - date) / (1000 * 60 * 60 * 24));
+  return businessDaysBetween(date, lastDay);
+}
+
+/*************************************************************
+ * daysLeftInContactMonth(dateSeen, today)
+ * 
+ * Working days from today to the last day of the month the child
+ * was seen: the same as daysRemainingInMonth(today) for this month's
+ * contacts, and negative once that month is over.
+ *************************************************************/
+function daysLeftInContactMonth(dateSeen, today) {
+  const lastDay = new Date(dateSeen.getFullYear(), dateSeen.getMonth() + 1, 0);
+  return businessDaysBetween(today, lastDay);
 }
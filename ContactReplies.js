@@ -0,0 +1,394 @@
+/*************************************************************
+ * Contact Replies
+ * Contact reminders ask workers to reply once a contact has been
+ * entered. scanContactReplies() (hourly trigger, Triggers.js) reads
+ * those replies from Gmail instead of someone doing it by hand:
+ * - threads come from the "contactReplyQuery" Variables row (a
+ *   Gmail search, default DEFAULT_CONTACT_REPLY_QUERY);
+ * - a thread belongs to the pending contact row (one with a Date
+ *   Seen) whose child name is in its subject, on the sheet for the
+ *   reminder's month (the Date Seen quoted in the reminder, else the
+ *   day it was sent); the Case ID in the reminder decides between
+ *   rows with the same child name;
+ * - a reply from the Seen By worker, dated between the Date Seen and
+ *   the end of that month, that says the contact was entered
+ *   ("entered", "done", "all set", ...) with nothing unsure or
+ *   negative in it fills "Date Contact Entered" with the reply's
+ *   date;
+ * - any other reply puts the row on the "Needs Review" tab of the
+ *   Case Tracker.
+ *
+ * Every reply handled is written to a "Contact Reply Log" tab in
+ * the Automation Info Sheet (and never handled twice). An automatic
+ * update can be undone from "Undo Contact Reply Update..." with the
+ * message id from the log, as long as the cell hasn't changed since.
+ *************************************************************/
+
+const CONTACT_REPLY_LOG_SHEET_NAME = "Contact Reply Log";
+const CONTACT_REPLY_LOG_HEADERS = [
+  "Timestamp", "Message ID", "Sheet", "Row", "Child Name", "Case ID", "From",
+  "Action", "Previous Value", "New Value", "Reply"
+];
+const CONTACT_REVIEW_SHEET_NAME = "Needs Review";
+const CONTACT_REVIEW_HEADERS = [
+  "Received", "Sheet", "Row", "Child Name", "Case ID", "From", "Reason", "Reply", "Message ID"
+];
+const CONTACT_REPLY_QUERY_VARIABLE_KEY = "contactReplyQuery";
+const DEFAULT_CONTACT_REPLY_QUERY = 'subject:"Contact Entry Reminder" newer_than:14d';
+const CONTACT_REPLY_CONFIRM_PATTERN = /\b(entered|done|completed|all set|it'?s in|taken care of)\b/i;
+const CONTACT_REPLY_DOUBT_PATTERN = /\b(not|no|haven'?t|hasn'?t|didn'?t|isn'?t|wasn'?t|can'?t|couldn'?t|won'?t|will|yet|tomorrow|later|soon|need to|trying)\b|\?/i;
+const CONTACT_REPLY_EXCERPT_LENGTH = 500;
+
+// Entries read from the reply log during this execution (null = not read yet)
+var contactReplyLogEntries = null;
+
+/**
+ * Returns the "Contact Reply Log" tab, creating it with headers if needed.
+ * @returns {Sheet} Log sheet.
+ */
+function getContactReplyLogSheet() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  let sheet = automationInfoSheet.getSheetByName(CONTACT_REPLY_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = automationInfoSheet.insertSheet(CONTACT_REPLY_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CONTACT_REPLY_LOG_HEADERS.length)
+      .setValues([CONTACT_REPLY_LOG_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ Created ${CONTACT_REPLY_LOG_SHEET_NAME} tab.`);
+  }
+  return sheet;
+}
+
+/**
+ * Reads the reply log (once per execution).
+ * @returns {Object[]} {messageId, sheet, row, childName, caseID, from, action, previousValue, newValue}
+ */
+function readContactReplyLog() {
+  if (contactReplyLogEntries) return contactReplyLogEntries;
+
+  contactReplyLogEntries = getContactReplyLogSheet().getDataRange().getValues().slice(1)
+    .filter(r => r[1] !== "" && r[1] !== null)
+    .map(r => ({
+      messageId: r[1].toString(),
+      sheet: r[2],
+      row: r[3],
+      childName: r[4],
+      caseID: r[5],
+      from: r[6],
+      action: r[7],
+      previousValue: r[8],
+      newValue: r[9]
+    }));
+  return contactReplyLogEntries;
+}
+
+/**
+ * Appends one handled reply to the log.
+ * @param {Object} entry {messageId, sheet, row, childName, caseID, from, action, previousValue, newValue, reply}
+ */
+function logContactReply(entry) {
+  getContactReplyLogSheet().appendRow([
+    new Date(), entry.messageId, entry.sheet, entry.row, entry.childName, entry.caseID, entry.from,
+    entry.action, entry.previousValue || "", entry.newValue || "",
+    (entry.reply || "").slice(0, CONTACT_REPLY_EXCERPT_LENGTH)
+  ]);
+  readContactReplyLog().push(entry);
+}
+
+/**
+ * Adds a reply to the "Needs Review" tab of the Case Tracker.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @param {Object} item {received, sheet, row, childName, caseID, from, reason, reply, messageId}
+ */
+function addContactReplyForReview(ss, item) {
+  let sheet = ss.getSheetByName(CONTACT_REVIEW_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONTACT_REVIEW_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CONTACT_REVIEW_HEADERS.length)
+      .setValues([CONTACT_REVIEW_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  sheet.appendRow([
+    item.received, item.sheet, item.row, item.childName, item.caseID, item.from, item.reason,
+    (item.reply || "").slice(0, CONTACT_REPLY_EXCERPT_LENGTH), item.messageId
+  ]);
+}
+
+/**
+ * The address part of a From header ("Name <a@b.org>" → "a@b.org").
+ * @param {string} from From header.
+ * @returns {string} Lower-case address.
+ */
+function getEmailAddress(from) {
+  const text = (from || "").toString();
+  const match = text.match(/<([^>]+)>/);
+  return (match ? match[1] : text).trim().toLowerCase();
+}
+
+/**
+ * The reply's own text, without the quoted message below it.
+ * @param {string} body Plain text body.
+ * @returns {string} Reply text.
+ */
+function getReplyText(body) {
+  const lines = [];
+  for (const line of (body || "").toString().split(/\r?\n/)) {
+    if (/^\s*On .+wrote:\s*$/.test(line) || /^\s*-{2,}\s*Original Message/i.test(line) || /^\s*From:\s/.test(line)) break;
+    if (/^\s*>/.test(line)) continue;
+    lines.push(line);
+  }
+  return lines.join("\n").trim();
+}
+
+/**
+ * Lists contact rows still waiting for "Date Contact Entered". Rows
+ * without a Date Seen have had no contact yet, so nothing can be
+ * confirmed for them.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @param {Date} today Today.
+ * @returns {Object[]} {sheet, rowIndex, childName, caseID, seenBy, dateSeen, month, columns}
+ */
+function listPendingContactRows(ss, today) {
+  const pending = [];
+  ss.getSheets().forEach(sheet => {
+    const month = parseContactSheetName(sheet.getName(), today);
+    if (!month) return;
+
+    const columns = mapSheetColumns(sheet, CONTACT_SHEET_SCHEMA, getConfiguredColumnAliases()).columns;
+    if (!columns.childName || !columns.dateSeen || !columns.dateContactEntered) return;
+
+    const data = sheet.getDataRange().getValues();
+    const activeEnd = getActiveContactRowEnd(data, columns);
+    for (let i = 1; i < activeEnd; i++) {
+      const row = readRowFields(data[i], columns);
+      const childName = (row.childName || "").toString().trim();
+      const dateSeen = parseSheetDate(row.dateSeen);
+      if (!childName || !dateSeen || row.dateContactEntered !== "" || isContactMarkedMissed(row.missed)) continue;
+      pending.push({
+        sheet: sheet,
+        rowIndex: i + 1,
+        childName: childName,
+        caseID: (row.caseID || "").toString().trim(),
+        seenBy: (row.seenBy || "").toString().trim(),
+        dateSeen: startOfDay(dateSeen),
+        month: month,
+        columns: columns
+      });
+    }
+  });
+  return pending;
+}
+
+/**
+ * The month a reminder is about: the Date Seen it quotes (post-month
+ * reminders go out the month after), else the month it was sent.
+ * @param {GmailMessage} reminder First message of the thread.
+ * @returns {number} Month serial (getMonthSerial()).
+ */
+function getContactReminderMonth(reminder) {
+  const quoted = reminder.getPlainBody().match(/\b(\d{2})\/(\d{2})\/(\d{4})\b/);
+  const date = quoted ? new Date(Number(quoted[3]), Number(quoted[1]) - 1, Number(quoted[2])) : reminder.getDate();
+  return getMonthSerial(date);
+}
+
+/**
+ * Pending rows a reminder thread could be about: same child, on the
+ * sheet for the reminder's month.
+ * @param {GmailMessage} reminder First message of the thread.
+ * @param {Object[]} pending From listPendingContactRows().
+ * @returns {Object[]} Matching rows (one when the match is certain).
+ */
+function matchContactReplyRows(reminder, pending) {
+  const subject = reminder.getSubject().toLowerCase();
+  const month = getContactReminderMonth(reminder);
+  const byName = pending.filter(row =>
+    row.month.year * 12 + row.month.month === month && subject.includes(row.childName.toLowerCase()));
+  if (byName.length <= 1) return byName;
+
+  const body = reminder.getPlainBody();
+  const byCase = byName.filter(row => row.caseID && body.includes(row.caseID));
+  return byCase.length > 0 ? byCase : byName;
+}
+
+/**
+ * Checks that a reply falls between the row's Date Seen and the end
+ * of its sheet's month.
+ * @param {Date} date Reply date.
+ * @param {Object} row Pending row.
+ * @returns {string|null} Why it needs review, or null if the date fits.
+ */
+function checkContactReplyDate(date, row) {
+  if (startOfDay(date) < row.dateSeen) {
+    return `Reply is dated before the Date Seen (${Utilities.formatDate(row.dateSeen, GLOBAL_TIMEZONE, "MM/dd/yyyy")}).`;
+  }
+  if (getMonthSerial(date) !== row.month.year * 12 + row.month.month) {
+    return `Reply is dated outside ${row.month.key}.`;
+  }
+  return null;
+}
+
+/**
+ * Decides whether a reply confirms the contact was entered.
+ * @param {string} text Reply text (getReplyText()).
+ * @param {string} from Sender address.
+ * @param {Object} row Pending row.
+ * @returns {Object} {confident, reason} (reason says why it needs review).
+ */
+function classifyContactReply(text, from, row) {
+  if (!CONTACT_REPLY_CONFIRM_PATTERN.test(text)) {
+    return { confident: false, reason: "No confirmation that the contact was entered." };
+  }
+  if (CONTACT_REPLY_DOUBT_PATTERN.test(text)) {
+    return { confident: false, reason: "Reply sounds unsure or negative." };
+  }
+  const worker = row.seenBy ? getContactWorker(row.seenBy) : null;
+  if (!worker || getEmailAddress(worker.workerEmail) !== from) {
+    return { confident: false, reason: `Reply is not from the Seen By worker${row.seenBy ? ` (${row.seenBy})` : ""}.` };
+  }
+  return { confident: true, reason: "" };
+}
+
+/**
+ * Scans Gmail for replies to contact reminders and fills in "Date
+ * Contact Entered" (or queues the row for review).
+ * @returns {Object} {entered, review, skipped} reply counts.
+ */
+function scanContactReplies() {
+  getGlobalVariables(false);
+
+  const query = (ensureGlobalVariables()[CONTACT_REPLY_QUERY_VARIABLE_KEY] || "").toString().trim() || DEFAULT_CONTACT_REPLY_QUERY;
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const today = new Date();
+  const pending = listPendingContactRows(ss, today);
+  const handled = readContactReplyLog().map(entry => entry.messageId);
+  const counts = { entered: 0, review: 0, skipped: 0 };
+
+  GmailApp.search(query, 0, 100).forEach(thread => {
+    const messages = thread.getMessages();
+    if (messages.length < 2) return;
+
+    const reminder = messages[0];
+    const sender = getEmailAddress(reminder.getFrom());
+    messages.slice(1)
+      .filter(message => getEmailAddress(message.getFrom()) !== sender && !handled.includes(message.getId()))
+      .forEach(message => {
+        const from = getEmailAddress(message.getFrom());
+        const text = getReplyText(message.getPlainBody());
+        const rows = matchContactReplyRows(reminder, pending);
+        const entry = {
+          messageId: message.getId(),
+          from: from,
+          reply: text,
+          sheet: rows.length === 1 ? rows[0].sheet.getName() : "",
+          row: rows.length === 1 ? rows[0].rowIndex : "",
+          childName: rows.length === 1 ? rows[0].childName : "",
+          caseID: rows.length === 1 ? rows[0].caseID : ""
+        };
+        handled.push(entry.messageId);
+
+        if (rows.length === 0) {
+          logContactReply(Object.assign(entry, { action: "Skipped" }));
+          Logger.log(`📭 Reply ${entry.messageId} ("${reminder.getSubject()}"): no pending contact row matches.`);
+          counts.skipped++;
+          return;
+        }
+
+        const dateProblem = rows.length === 1 ? checkContactReplyDate(message.getDate(), rows[0]) : null;
+        const verdict = rows.length > 1
+          ? { confident: false, reason: `Matches ${rows.length} pending rows.` }
+          : dateProblem
+            ? { confident: false, reason: dateProblem }
+            : classifyContactReply(text, from, rows[0]);
+
+        if (!verdict.confident) {
+          addContactReplyForReview(ss, Object.assign({ received: message.getDate(), reason: verdict.reason }, entry));
+          logContactReply(Object.assign(entry, { action: "Needs Review" }));
+          Logger.log(`🔎 Reply ${entry.messageId} from ${from} needs review: ${verdict.reason}`);
+          counts.review++;
+          return;
+        }
+
+        const row = rows[0];
+        const entered = startOfDay(message.getDate());
+        row.sheet.getRange(row.rowIndex, row.columns.dateContactEntered).setValue(entered);
+        pending.splice(pending.indexOf(row), 1);
+        logContactReply(Object.assign(entry, {
+          action: "Entered",
+          previousValue: "",
+          newValue: Utilities.formatDate(entered, GLOBAL_TIMEZONE, "MM/dd/yyyy")
+        }));
+        Logger.log(`✅ ${entry.sheet} row ${entry.row}: ${entry.childName} marked entered from ${from}'s reply.`);
+        counts.entered++;
+      });
+  });
+
+  Logger.log(`✅ Contact replies: ${counts.entered} entered, ${counts.review} for review, ${counts.skipped} skipped.`);
+  return counts;
+}
+
+/**
+ * Reverses one automatic "Date Contact Entered" update.
+ * @param {string} messageId Message ID from the Contact Reply Log.
+ * @returns {Object} The log entry that was undone.
+ * @throws {Error} If there is no such update, it was already undone, or the cell changed since.
+ */
+function undoContactReplyUpdate(messageId) {
+  const id = (messageId || "").toString().trim();
+  const log = readContactReplyLog();
+  const entry = log.filter(e => e.messageId === id && e.action === "Entered").pop();
+  if (!entry) throw new Error(`No automatic update is logged for message "${id}".`);
+  if (log.some(e => e.messageId === id && e.action === "Undone")) {
+    throw new Error(`The update from message "${id}" was already undone.`);
+  }
+
+  getGlobalVariables(false);
+  const sheet = SpreadsheetApp.openByUrl(CASE_TRACKER_URL).getSheetByName(entry.sheet);
+  if (!sheet) throw new Error(`Sheet "${entry.sheet}" no longer exists.`);
+
+  const columns = mapSheetColumns(sheet, CONTACT_SHEET_SCHEMA, getConfiguredColumnAliases()).columns;
+  const childName = (sheet.getRange(entry.row, columns.childName).getValue() || "").toString().trim();
+  const cell = sheet.getRange(entry.row, columns.dateContactEntered);
+  const current = parseSheetDate(cell.getValue());
+  const written = parseSheetDate(entry.newValue);
+  if (childName !== entry.childName.toString().trim() ||
+      !current || !written || getCalendarDateKey(current) !== getCalendarDateKey(written)) {
+    throw new Error(`${entry.sheet} row ${entry.row} has changed since the update; nothing was undone.`);
+  }
+
+  cell.setValue(entry.previousValue || "");
+  logContactReply(Object.assign({}, entry, {
+    action: "Undone",
+    previousValue: entry.newValue,
+    newValue: entry.previousValue || "",
+    reply: ""
+  }));
+  Logger.log(`↩️ ${entry.sheet} row ${entry.row}: update from message ${id} undone.`);
+  return entry;
+}
+
+/**
+ * Menu entry: asks for a message ID and undoes its update.
+ */
+function undoContactReplyUpdateFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    "Undo Contact Reply Update",
+    `Message ID of the update to undo (from the "${CONTACT_REPLY_LOG_SHEET_NAME}" tab):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    const entry = undoContactReplyUpdate(response.getResponseText());
+    ui.alert(`↩️ Date Contact Entered cleared for ${entry.childName} (${entry.sheet} row ${entry.row}).`);
+  } catch (e) {
+    Logger.log(`❌ Failed to undo contact reply update: ${e.message}`);
+    ui.alert(`❌ ${e.message}`);
+  }
+}
@@ -0,0 +1,233 @@
+/*************************************************************
+ * Contact Roster
+ * Keeps the children on the contact sheets in step with the tracker
+ * (getChildrenArray()) without moving anyone's contact data:
+ * - rows are matched by Case ID + Child Name, never by position;
+ * - children new to the tracker get a row at the end of the active
+ *   list;
+ * - children whose case closed or left the tracker are moved, with
+ *   their whole row, under an "Inactive" row at the bottom of the
+ *   sheet, and moved back if they return.
+ * Rows under "Inactive" get no reminders and don't count on the
+ * compliance dashboard.
+ *
+ * Only the current and future months' sheets are synced; earlier
+ * months keep the roster they had. "Sync Children to Contact
+ * Sheets..." shows the changes and applies them once confirmed.
+ *************************************************************/
+
+const CONTACT_INACTIVE_MARKER = "Inactive";
+const CONTACT_INACTIVE_BACKGROUND = "#d9d9d9";
+
+/**
+ * Key a child is matched on.
+ * @param {*} caseNumber Case number / Case ID.
+ * @param {*} childName Child's name.
+ * @returns {string} Normalized "case|child" key.
+ */
+function getRosterKey(caseNumber, childName) {
+  const norm = value => (value || "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+  return `${norm(caseNumber)}|${norm(childName)}`;
+}
+
+/**
+ * Index (in getValues() data) of the "Inactive" row, which ends the
+ * active part of a contact sheet.
+ * @param {Array[]} data Sheet values, header row first.
+ * @param {Object} columns Field → column for the sheet.
+ * @returns {number} Index of the marker row, or data.length if there is none.
+ */
+function getActiveContactRowEnd(data, columns) {
+  if (!columns.childName) return data.length;
+  for (let i = 1; i < data.length; i++) {
+    const name = (data[i][columns.childName - 1] || "").toString().trim();
+    if (name.toLowerCase() === CONTACT_INACTIVE_MARKER.toLowerCase()) return i;
+  }
+  return data.length;
+}
+
+/**
+ * Works out what a sync would change on each contact sheet.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @param {Object[]} children From getChildrenArray().
+ * @param {Date} today Today (sheets before this month are left alone).
+ * @returns {Object[]} Per sheet with changes: {sheet, columns, markerRow, lastRow, added, deactivated, reactivated}
+ *   (added: [{name, caseNumber}], deactivated / reactivated: [{row, name, caseNumber}])
+ */
+function planContactRosterSync(ss, children, today) {
+  const plans = [];
+  const currentMonth = getMonthSerial(today);
+
+  ss.getSheets().forEach(sheet => {
+    const sheetMonth = parseContactSheetName(sheet.getName(), today);
+    if (!sheetMonth || sheetMonth.year * 12 + sheetMonth.month < currentMonth) return;
+
+    const plan = planContactSheetRoster(sheet, children);
+    if (plan && plan.added.length + plan.deactivated.length + plan.reactivated.length > 0) plans.push(plan);
+  });
+
+  return plans;
+}
+
+/**
+ * Works out what a sync would change on one contact sheet.
+ * @param {Sheet} sheet Contact sheet.
+ * @param {Object[]} children From getChildrenArray().
+ * @returns {Object|null} Plan (see planContactRosterSync()), or null if the sheet lacks Child Name / Case ID.
+ */
+function planContactSheetRoster(sheet, children) {
+  const columns = mapSheetColumns(sheet, CONTACT_SHEET_SCHEMA, getConfiguredColumnAliases()).columns;
+  if (!columns.childName || !columns.caseID) {
+    Logger.log(`⚠️ ${sheet.getName()} skipped: needs "Child Name" and "Case ID" columns.`);
+    return null;
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const end = getActiveContactRowEnd(data, columns);
+  const wanted = {};
+  children.forEach(child => { wanted[getRosterKey(child.caseNumber, child.name)] = child; });
+
+  const plan = {
+    sheet: sheet,
+    columns: columns,
+    markerRow: end < data.length ? end + 1 : null,
+    lastRow: data.length,
+    added: [],
+    deactivated: [],
+    reactivated: []
+  };
+  const onSheet = {};
+
+  data.forEach((values, i) => {
+    if (i === 0 || i === end) return;
+    const name = (values[columns.childName - 1] || "").toString().trim();
+    if (!name) return;
+
+    const caseNumber = values[columns.caseID - 1];
+    const key = getRosterKey(caseNumber, name);
+    const entry = { row: i + 1, name: name, caseNumber: caseNumber };
+    const active = i < end;
+    const keep = wanted[key] && !onSheet[key];
+    if (wanted[key]) onSheet[key] = true;
+
+    if (active && !keep) plan.deactivated.push(entry);
+    else if (!active && keep) plan.reactivated.push(entry);
+  });
+
+  children.forEach(child => {
+    if (!onSheet[getRosterKey(child.caseNumber, child.name)]) {
+      plan.added.push({ name: child.name, caseNumber: child.caseNumber });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Describes planned changes for the confirmation prompt.
+ * @param {Object[]} plans From planContactRosterSync().
+ * @returns {string} One block per sheet.
+ */
+function formatContactRosterDiff(plans) {
+  const list = entries => entries.map(e => `${e.name} (${e.caseNumber})`).join(", ");
+  return plans.map(plan => {
+    const lines = [`${plan.sheet.getName()}:`];
+    if (plan.added.length) lines.push(`  + Add ${plan.added.length}: ${list(plan.added)}`);
+    if (plan.deactivated.length) lines.push(`  − Move to ${CONTACT_INACTIVE_MARKER} ${plan.deactivated.length}: ${list(plan.deactivated)}`);
+    if (plan.reactivated.length) lines.push(`  ↺ Back from ${CONTACT_INACTIVE_MARKER} ${plan.reactivated.length}: ${list(plan.reactivated)}`);
+    return lines.join("\n");
+  }).join("\n\n");
+}
+
+/**
+ * Applies one sheet's plan. Whole rows are moved, so every child keeps
+ * their Date Seen, Seen By and the rest of the row.
+ * @param {Object} plan From planContactRosterSync().
+ */
+function applyContactRosterPlan(plan) {
+  const sheet = plan.sheet;
+  const columns = plan.columns;
+  let marker = plan.markerRow;
+
+  // Back from Inactive: to the end of the active list (top-down keeps their order)
+  plan.reactivated.forEach(entry => {
+    sheet.moveRows(sheet.getRange(entry.row, 1), marker);
+    marker++;
+  });
+
+  // To Inactive: just under the marker (bottom-up keeps their order)
+  if (plan.deactivated.length > 0 && !marker) {
+    marker = plan.lastRow + 1;
+    sheet.getRange(marker, columns.childName).setValue(CONTACT_INACTIVE_MARKER);
+    sheet.getRange(marker, 1, 1, sheet.getLastColumn())
+      .setFontWeight("bold")
+      .setBackground(CONTACT_INACTIVE_BACKGROUND);
+  }
+  plan.deactivated.slice().reverse().forEach(entry => {
+    sheet.moveRows(sheet.getRange(entry.row, 1), marker + 1);
+    marker--;
+  });
+
+  // New children at the end of the active list
+  if (plan.added.length > 0) {
+    let start = plan.lastRow + 1;
+    if (marker) {
+      sheet.insertRowsBefore(marker, plan.added.length);
+      start = marker;
+    }
+    sheet.getRange(start, columns.childName, plan.added.length, 1).setValues(plan.added.map(c => [c.name]));
+    sheet.getRange(start, columns.caseID, plan.added.length, 1).setValues(plan.added.map(c => [c.caseNumber]));
+  }
+
+  Logger.log(`✅ ${sheet.getName()}: ${plan.added.length} added, ${plan.deactivated.length} moved to ${CONTACT_INACTIVE_MARKER}, ${plan.reactivated.length} back from ${CONTACT_INACTIVE_MARKER}.`);
+}
+
+/**
+ * Syncs the children on the tracker to the contact sheets.
+ * @param {Object} options (optional) {confirm: function(diffText) → boolean, asked before anything changes}
+ * @returns {Object[]} The plans applied (empty if nothing changed or not confirmed).
+ */
+function syncContactRoster(options) {
+  getGlobalVariables(false);
+
+  const children = getChildrenArray();
+  if (children.length === 0) throw new Error("No children found on the tracker; nothing was changed.");
+
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const plans = planContactRosterSync(ss, children, new Date());
+  if (plans.length === 0) {
+    Logger.log("✅ Contact sheets already match the tracker.");
+    return [];
+  }
+
+  const diff = formatContactRosterDiff(plans);
+  Logger.log(`📋 Roster changes:\n${diff}`);
+  if (options && options.confirm && !options.confirm(diff)) {
+    Logger.log("Roster sync cancelled.");
+    return [];
+  }
+
+  plans.forEach(applyContactRosterPlan);
+  return plans;
+}
+
+/**
+ * Menu entry: shows the roster changes and applies them if confirmed.
+ */
+function syncContactRosterFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    let asked = false;
+    const plans = syncContactRoster({
+      confirm: diff => {
+        asked = true;
+        return ui.alert("Sync Children to Contact Sheets", `${diff}\n\nApply these changes?`, ui.ButtonSet.YES_NO) === ui.Button.YES;
+      }
+    });
+    if (!asked) ui.alert("✅ The contact sheets already match the tracker.");
+    else if (plans.length > 0) ui.alert(`✅ Roster synced on ${plans.length} contact sheet(s).`);
+  } catch (e) {
+    Logger.log(`❌ Failed to sync the contact roster: ${e.message}`);
+    ui.alert(`❌ Failed to sync the contact roster: ${e.message}`);
+  }
+}
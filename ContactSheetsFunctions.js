@@ -5,28 +5,40 @@
  *************************************************************/
 
 /**
- * Retrieves an array of child objects from the "Hearing Tracker" tab.
- * Each object contains child's name and case number.
+ * Retrieves an array of child objects from the tracker tab
+ * ("Hearing Tracker" by default, see getCaseTrackerSheet()).
+ * Each object contains child's name and case number. Rows whose
+ * "Case Status" starts with "Closed" are left out, and a child listed
+ * twice on the same case is returned once.
  * @returns {Array} Array of objects {name, caseNumber}
  */
 function getChildrenArray() {
   ensureAutomationInfoSheetURL();
   const caseTrackerSS = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
-  const hearingTracker = caseTrackerSS.getSheetByName("Hearing Tracker");
-  if (!hearingTracker) throw new Error("Hearing Tracker tab not found in Case Tracker sheet.");
+  const hearingTracker = getCaseTrackerSheet(caseTrackerSS);
+  const columns = mapSheetColumns(hearingTracker, CASE_TRACKER_SCHEMA, getConfiguredColumnAliases()).columns;
+  if (!columns.caseNumber || !columns.children) {
+    throw new Error(`"${hearingTracker.getName()}" needs "Case Number" and "Children" columns to list children.`);
+  }
 
-  const lastRow = hearingTracker.getLastRow();
-  const values = hearingTracker.getRange(2, 2, lastRow - 1, 2).getValues(); // Skip header row
+  const values = hearingTracker.getDataRange().getValues().slice(1); // Skip header row
 
   const children = [];
 
+  const seen = {};
+
   values.forEach(row => {
-    const caseNumber = row[0];
-    const childNames = row[1];
+    const caseNumber = row[columns.caseNumber - 1];
+    const childNames = row[columns.children - 1];
+    const status = columns.caseStatus ? (row[columns.caseStatus - 1] || "").toString().trim() : "";
+    if (/^closed/i.test(status)) return;
 
     if (caseNumber && childNames) {
-      const names = childNames.split(",").map(n => n.trim()).filter(Boolean);
+      const names = childNames.toString().split(",").map(n => n.trim()).filter(Boolean);
       names.forEach(name => {
+        const key = getRosterKey(caseNumber, name);
+        if (seen[key]) return;
+        seen[key] = true;
         children.push({
           name: name,
           caseNumber: caseNumber
@@ -40,42 +52,19 @@ function getChildrenArray() {
 }
 
 /**
- * Outputs children names and case numbers to all contact sheets.
- * Writes child name in column 1 and case number in column 2.
- * Stops if no children found.
+ * Builds the "Seen By" dropdown rule from the active workers in the
+ * worker directory (WorkerDirectory.js).
+ * @returns {Object} {rule: DataValidation, workers: string[]}
  */
-function outputChildrenToSheets() {
-  const children = getChildrenArray();
-  if (children.length === 0) throw new Error("No children found to output.");
-
-  const contactSheets = getContactSheets();
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  let totalWritten = 0;
-
-  contactSheets.forEach(({ name }) => {
-    const sheet = ss.getSheetByName(name);
-    if (!sheet) return;
-
-    const lastRow = sheet.getLastRow();
-    if (lastRow <= 1) return;
+function getSeenByValidationRule() {
+  const allWorkers = getActiveWorkerNames();
 
-    const writeRows = Math.min(children.length, lastRow - 1);
-    const nameValues = [];
-    const caseValues = [];
-
-    for (let i = 0; i < writeRows; i++) {
-      nameValues.push([children[i].name]);
-      caseValues.push([children[i].caseNumber]);
-    }
-
-    sheet.getRange(2, 1, writeRows, 1).setValues(nameValues);
-    sheet.getRange(2, 2, writeRows, 1).setValues(caseValues);
-
-    Logger.log(`✅ Wrote ${writeRows} children + case numbers to ${sheet.getName()}`);
-    totalWritten += writeRows;
-  });
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(allWorkers, true)
+    .setAllowInvalid(true)
+    .build();
 
-  SpreadsheetApp.getUi().alert(`✅ Output ${totalWritten} children across all sheets.`);
+  return { rule: rule, workers: allWorkers };
 }
 
 /**
@@ -84,30 +73,7 @@ function outputChildrenToSheets() {
  * @param {boolean} showUI Whether to show a popup when complete.
  */
 function updateSeenByDropdowns(showUI = false) {
-  ensureAutomationInfoSheetURL();
-  const automationSS = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
-
-  const employeeSheet = automationSS.getSheetByName("CPSEmployeeInfo");
-  const employees = employeeSheet
-    .getRange(2, 1, employeeSheet.getLastRow() - 1, 1)
-    .getValues()
-    .flat()
-    .filter(name => !!name && name.trim() !== "");
-
-  const additionalSheet = automationSS.getSheetByName("Additional Workers Info");
-  const additionalWorkers = additionalSheet
-    ? additionalSheet.getRange(2, 1, additionalSheet.getLastRow() - 1, 1)
-      .getValues()
-      .flat()
-      .filter(name => !!name && name.trim() !== "")
-    : [];
-
-  const allWorkers = [...new Set([...employees, ...additionalWorkers])];
-
-  const rule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(allWorkers, true)
-    .setAllowInvalid(true)
-    .build();
+  const { rule, workers: allWorkers } = getSeenByValidationRule();
 
   const contactSheets = getContactSheets();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -132,43 +98,33 @@ function updateSeenByDropdowns(showUI = false) {
 }
 
 /**
- * Retrieves worker info by name from CPSEmployeeInfo and Additional Workers Info tabs.
+ * Menu entry: updates the "Seen By" dropdowns and says so.
+ */
+function updateSeenByDropdownsManual() {
+  updateSeenByDropdowns(true);
+}
+
+/**
+ * Retrieves an active worker's info by name or alias from the worker
+ * directory (CPSEmployeeInfo and Additional Workers Info tabs).
  * @param {string} name Worker name to search for.
- * @returns {Object|null} Object with worker info or null if not found.
+ * @returns {Object|null} Worker info object or null if not found or inactive.
  */
 function getWorkerInfoByName(name) {
-  if (!name) return null;
-
-  const automationInfoSS = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
-
-  const tabsToSearch = ['CPSEmployeeInfo', 'Additional Workers Info'];
-
-  for (let tabName of tabsToSearch) {
-    const sheet = automationInfoSS.getSheetByName(tabName);
-    if (!sheet) continue;
-
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const nameIdx = headers.indexOf('workerName');
-    const emailIdx = headers.indexOf('workerEmail');
-    const supNameIdx = headers.indexOf('supervisorName');
-    const supEmailIdx = headers.indexOf('supervisorEmail');
-    const countyIdx = headers.indexOf('workerCounty');
-
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][nameIdx] && data[i][nameIdx].toString().trim() === name.trim()) {
-        return {
-          workerName: data[i][nameIdx],
-          workerEmail: data[i][emailIdx],
-          supervisorName: data[i][supNameIdx],
-          supervisorEmail: data[i][supEmailIdx],
-          workerCounty: countyIdx >= 0 ? data[i][countyIdx] : null
-        };
-      }
-    }
+  const record = findWorkerRecord(name);
+  if (!record) return null;
+  if (!record.active) {
+    Logger.log(`⚠️ ${record.workerName} is marked inactive in the worker directory.`);
+    return null;
   }
 
-  return null;
+  return {
+    workerName: record.workerName,
+    workerEmail: record.workerEmail,
+    supervisorName: record.supervisorName,
+    supervisorEmail: record.supervisorEmail,
+    workerCounty: record.workerCounty !== undefined ? record.workerCounty : null
+  };
 }
 
 /**
@@ -209,6 +165,7 @@ function getContactSheets(forceRefresh = false) {
   const contactSheets = [];
 
   allSheets.forEach(sheet => {
+    if (sheet.getName() === CONTACT_TEMPLATE_SHEET_NAME) return;
     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     const seenByColIndex = headers.findIndex(h => h && h.toString().trim().toLowerCase() === 'seen by');
     if (seenByColIndex !== -1) {
@@ -228,6 +185,25 @@ function getContactSheets(forceRefresh = false) {
   return contactSheets;
 }
 
+/**
+ * Adds a new contact sheet to the cached list, the script property and
+ * the backup row, so getContactSheets() picks it up without a rescan.
+ * @param {string} name Sheet name.
+ * @param {number} seenByCol 1-based "Seen By" column.
+ * @returns {Array} The updated contact sheets list.
+ */
+function registerContactSheet(name, seenByCol) {
+  const contactSheets = getContactSheets().filter(cs => cs.name !== name);
+  contactSheets.push({ name: name, seenByCol: seenByCol });
+
+  const json = JSON.stringify(contactSheets);
+  CacheService.getScriptCache().put("contactSheets", json, 18000);
+  PropertiesService.getScriptProperties().setProperty("contactSheets", json);
+  updateContactSheetsBackupRow(contactSheets);
+  Logger.log(`✅ Registered ${name} as a contact sheet.`);
+  return contactSheets;
+}
+
 /**
  * Retrieves the backup row of contact sheets stored in the Variables tab.
  * @returns {Array|null} Parsed contact sheets array or null.
@@ -277,3 +253,114 @@ function updateContactSheetsBackupRow(contactSheets) {
     Logger.log("❌ Error updating contactSheets backup: " + e.message);
   }
 }
+
+// Flags left on contact sheet cells by the edit handler
+const UNKNOWN_WORKER_FONT_COLOR = "#cc0000";
+const MISSED_ROW_BACKGROUND = "#fff2cc";
+
+/**
+ * Edit handler for the contact sheets (called by handleSeenByEdit()).
+ * For each edited row:
+ * - "Seen By": names not in the worker directory are flagged in red
+ *   with a note; known names clear the flag.
+ * - "Date Contact Entered" filled: the row's "Last Reminder Sent" is
+ *   cleared, since nothing is pending any more.
+ * - "Date Seen" in the future or outside the sheet's month is
+ *   rejected: the old value is put back (or the cell cleared) and a
+ *   note explains why.
+ * - "Missed" checked with no "Reason Missed": the row is highlighted
+ *   and the reason cell gets a note, until a reason is entered or
+ *   Missed is unchecked.
+ * Edits outside a "Month Contacts" tab are ignored.
+ * @param {Object} e Edit event object.
+ */
+function ContactSheetsFunctions_handleSeenByEdit(e) {
+  if (!e || !e.range) return;
+
+  const sheet = e.range.getSheet();
+  const today = new Date();
+  const sheetMonth = parseContactSheetName(sheet.getName(), today);
+  if (!sheetMonth) return;
+
+  try {
+    getGlobalVariables(false);
+  } catch (error) {
+    Logger.log(`❌ Failed to load global variables: ${error.message}`);
+    return;
+  }
+
+  const columns = mapSheetColumns(sheet, CONTACT_SHEET_SCHEMA, getConfiguredColumnAliases()).columns;
+  const firstColumn = e.range.getColumn();
+  const lastColumn = e.range.getLastColumn();
+  const edited = field => columns[field] && columns[field] >= firstColumn && columns[field] <= lastColumn;
+  const singleCell = e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+
+  for (let row = Math.max(e.range.getRow(), 2); row <= e.range.getLastRow(); row++) {
+    const cell = field => sheet.getRange(row, columns[field]);
+
+    if (edited("seenBy")) {
+      const seenBy = (cell("seenBy").getValue() || "").toString().trim();
+      if (seenBy && !getContactWorker(seenBy)) {
+        const problem = findWorkerRecord(seenBy) ? "is marked inactive in" : "is not in";
+        cell("seenBy").setFontColor(UNKNOWN_WORKER_FONT_COLOR)
+          .setNote(`⚠️ "${seenBy}" ${problem} the worker directory; no reminders can be sent for this row.`);
+        Logger.log(`⚠️ ${sheet.getName()} row ${row}: unknown Seen By "${seenBy}".`);
+      } else {
+        cell("seenBy").setFontColor(null).clearNote();
+      }
+    }
+
+    if (edited("dateContactEntered") && columns.lastReminderSent) {
+      const entered = cell("dateContactEntered").getValue();
+      if (entered !== "" && entered !== null && cell("lastReminderSent").getValue() !== "") {
+        cell("lastReminderSent").clearContent();
+        Logger.log(`✅ ${sheet.getName()} row ${row}: contact entered, reminder state cleared.`);
+      }
+    }
+
+    if (edited("dateSeen")) {
+      const problem = getDateSeenProblem(cell("dateSeen").getValue(), sheetMonth, today);
+      if (problem) {
+        const rejected = cell("dateSeen").getDisplayValue();
+        cell("dateSeen").setValue(singleCell && e.oldValue !== undefined ? e.oldValue : "")
+          .setNote(`⚠️ Rejected "${rejected}": ${problem}`);
+        Logger.log(`⚠️ ${sheet.getName()} row ${row}: Date Seen rejected, ${problem}`);
+      } else if (cell("dateSeen").getNote()) {
+        cell("dateSeen").clearNote();
+      }
+    }
+
+    if ((edited("missed") || edited("reasonMissed")) && columns.missed && columns.reasonMissed) {
+      const missed = cell("missed").getValue();
+      const reason = (cell("reasonMissed").getValue() || "").toString().trim();
+      const rowRange = sheet.getRange(row, 1, 1, sheet.getLastColumn());
+      if (isContactMarkedMissed(missed) && !reason) {
+        rowRange.setBackground(MISSED_ROW_BACKGROUND);
+        cell("reasonMissed").setNote("⚠️ Missed is checked: enter the reason the contact was missed.");
+      } else {
+        // Only undo our own highlight (the Inactive row keeps its grey)
+        if (rowRange.getBackground() === MISSED_ROW_BACKGROUND) rowRange.setBackground(null);
+        cell("reasonMissed").clearNote();
+      }
+    }
+  }
+}
+
+/**
+ * Checks a Date Seen value against today and the contact sheet's month.
+ * @param {*} value Cell value (Date or MM/dd/yyyy text; blank is fine).
+ * @param {Object} sheetMonth {month, year} from parseContactSheetName().
+ * @param {Date} today Today.
+ * @returns {string} Why the date is not allowed, or "" if it is fine.
+ */
+function getDateSeenProblem(value, sheetMonth, today) {
+  if (value === "" || value === null || value === undefined) return "";
+
+  const date = parseSheetDate(value);
+  if (!date) return "not a date.";
+  if (startOfDay(date) > startOfDay(today)) return "Date Seen can't be in the future.";
+  if (date.getFullYear() !== sheetMonth.year || date.getMonth() !== sheetMonth.month) {
+    return `Date Seen must be in ${sheetMonth.key}.`;
+  }
+  return "";
+}
@@ -0,0 +1,174 @@
+/*************************************************************
+ * Email Signature
+ * Builds the signature appended to every reminder email from a
+ * signature profile instead of hard-coded details, so anyone on
+ * the team can deploy a copy without editing code.
+ *
+ * A profile is read for the sender (MAIN_WORKER_NAME) from:
+ * 1. Their row in CPSEmployeeInfo / Additional Workers Info, using
+ *    the optional columns listed in SIGNATURE_PROFILE_FIELDS.
+ * 2. "signature..." rows of the Variables tab, for anything the
+ *    worker row leaves blank (e.g. an office address shared by
+ *    the whole unit).
+ * 3. The older workerOfficeExtension / workerCellNumber variables.
+ *
+ * Blank fields are left out of the signature.
+ *************************************************************/
+
+const SIGNATURE_PROFILE_FIELDS = {
+  name:            { column: "workerName",            variable: "signatureName",            label: "Name" },
+  title:           { column: "workerTitle",           variable: "signatureTitle",           label: "Title" },
+  office:          { column: "workerOffice",          variable: "signatureOffice",          label: "Office" },
+  address:         { column: "workerAddress",         variable: "signatureAddress",         label: "Address" },
+  officePhone:     { column: "workerOfficePhone",     variable: "signatureOfficePhone",     label: "Office phone" },
+  officeExtension: { column: "workerOfficeExtension", variable: "signatureOfficeExtension", label: "Office extension" },
+  cellPhone:       { column: "workerCellPhone",       variable: "signatureCellPhone",       label: "Cell phone" },
+  fax:             { column: "workerFax",             variable: "signatureFax",             label: "Fax" },
+  logoFileId:      { column: "signatureLogoFileId",   variable: "signatureLogoFileId",      label: "Logo file ID" }
+};
+
+// Profiles read during this execution, keyed by worker name
+var signatureProfiles = {};
+
+/**
+ * Returns the signature profile for a worker (default: the sender).
+ * @param {string} workerName (optional) Worker whose profile to build.
+ * @returns {Object} Field → string (blank when not set), per SIGNATURE_PROFILE_FIELDS.
+ */
+function getSignatureProfile(workerName) {
+  const name = (workerName || MAIN_WORKER_NAME || "").toString().trim();
+  if (signatureProfiles[name]) return signatureProfiles[name];
+
+  let vars = {};
+  try {
+    vars = ensureGlobalVariables();
+  } catch (e) {
+    Logger.log(`⚠️ Could not load signature variables: ${e.message}`);
+  }
+  const employee = getEmployeeRecord(name) || {};
+
+  const profile = {};
+  Object.keys(SIGNATURE_PROFILE_FIELDS).forEach(field => {
+    const spec = SIGNATURE_PROFILE_FIELDS[field];
+    profile[field] = (employee[spec.column] || vars[spec.variable] || "").toString().trim();
+  });
+
+  if (!profile.name) profile.name = name;
+  if (!profile.officeExtension) profile.officeExtension = (WORKER_OFFICE_EXTENSION || "").toString().trim();
+  if (!profile.cellPhone) profile.cellPhone = (WORKER_CELL_NUMBER || "").toString().trim();
+
+  signatureProfiles[name] = profile;
+  return profile;
+}
+
+/**
+ * Finds a worker's row in the worker directory (WorkerDirectory.js).
+ * @param {string} name Worker name.
+ * @returns {Object|null} Header → cell value, or null if not found.
+ */
+function getEmployeeRecord(name) {
+  if (!name) return null;
+
+  try {
+    return findWorkerRecord(name);
+  } catch (e) {
+    Logger.log(`⚠️ Could not read employee info for ${name}: ${e.message}`);
+  }
+  return null;
+}
+
+/**
+ * Builds the HTML signature used by every reminder email.
+ * @param {string} workerName (optional) Worker whose profile to use (default: the sender).
+ * @returns {string} HTML string for the signature
+ */
+function getEmailSignatureHtml(workerName) {
+  const profile = getSignatureProfile(workerName);
+  const lines = text => text.split(/\r?\n/).map(l => l.trim()).filter(l => l).map(escapeHtml);
+
+  const identity = [`<strong>${escapeHtml(profile.name)}</strong>`]
+    .concat(lines(profile.title), lines(profile.office), lines(profile.address));
+
+  const phones = [];
+  if (profile.officePhone) {
+    const ext = profile.officeExtension ? ` ext. ${escapeHtml(profile.officeExtension)}` : "";
+    phones.push(`P: ${escapeHtml(profile.officePhone)}${ext} (Office)`);
+  }
+  if (profile.cellPhone) phones.push(`P: ${escapeHtml(profile.cellPhone)} (Cell)`);
+  if (profile.fax) phones.push(`F: ${escapeHtml(profile.fax)}`);
+
+  let html = "\n    <br/><br/>\n";
+  if (profile.logoFileId) {
+    const logoUrl = `https://drive.google.com/uc?export=view&id=${encodeURIComponent(profile.logoFileId)}`;
+    const alt = escapeHtml(lines(profile.office)[0] || "Logo");
+    html += `    <img src="${logoUrl}" alt="${alt}" style="width:200px; height:auto; margin-bottom:10px;" />\n`;
+  }
+  html += `    <p>${identity.join("<br/>\n    ")}</p>\n`;
+  if (phones.length > 0) html += `    <p>${phones.join("<br/>\n    ")}</p>\n`;
+  return html;
+}
+
+/**
+ * Checks a signature profile for gaps that would make the signature
+ * look wrong.
+ * @param {Object} profile From getSignatureProfile().
+ * @returns {string[]} Problems, "❌" for errors and "⚠️" for warnings (empty if OK).
+ */
+function validateSignatureProfile(profile) {
+  const problems = [];
+  const label = field => SIGNATURE_PROFILE_FIELDS[field].label;
+
+  if (!profile.name) problems.push(`❌ ${label("name")} is blank.`);
+  if (!profile.title) problems.push(`⚠️ ${label("title")} is blank.`);
+  if (!profile.officePhone && !profile.cellPhone) problems.push("⚠️ No office or cell phone number.");
+  if (profile.officeExtension && !profile.officePhone) {
+    problems.push(`⚠️ ${label("officeExtension")} is set but ${label("officePhone")} is blank, so it isn't shown.`);
+  }
+
+  ["officePhone", "cellPhone", "fax"].forEach(field => {
+    if (profile[field] && profile[field].replace(/\D/g, "").length < 7) {
+      problems.push(`⚠️ ${label(field)} "${profile[field]}" doesn't look like a phone number.`);
+    }
+  });
+
+  if (profile.logoFileId) {
+    try {
+      DriveApp.getFileById(profile.logoFileId);
+    } catch (e) {
+      problems.push(`❌ ${label("logoFileId")} "${profile.logoFileId}" can't be opened: ${e.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Menu entry: shows the sender's signature as it will appear in
+ * reminder emails, with any validation problems above it.
+ */
+function previewEmailSignature() {
+  signatureProfiles = {};
+  const profile = getSignatureProfile();
+  const problems = validateSignatureProfile(profile);
+
+  const report = problems.length > 0
+    ? `<ul>${problems.map(p => `<li>${escapeHtml(p)}</li>`).join("")}</ul>`
+    : "<p>✅ Signature profile looks complete.</p>";
+
+  const fields = Object.keys(SIGNATURE_PROFILE_FIELDS).map(field => {
+    const spec = SIGNATURE_PROFILE_FIELDS[field];
+    return `<tr><td>${spec.label}</td><td><code>${spec.column}</code> / <code>${spec.variable}</code></td>` +
+      `<td>${escapeHtml(profile[field]) || "<em>(blank)</em>"}</td></tr>`;
+  }).join("");
+
+  const html = HtmlService.createHtmlOutput(
+    `<div style="font-family:Arial, sans-serif; font-size:13px;">` +
+    report +
+    `<hr/>${getEmailSignatureHtml()}<hr/>` +
+    `<p>Set these in the sender's CPSEmployeeInfo row (column) or the Variables tab (key):</p>` +
+    `<table cellpadding="3">${fields}</table>` +
+    `</div>`
+  ).setWidth(560).setHeight(560);
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Email Signature Preview");
+}
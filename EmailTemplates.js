@@ -0,0 +1,264 @@
+/*************************************************************
+ * Email Templates
+ * Lets each reminder email (subject and body) be overridden from an
+ * "Email Templates" tab in the Automation Info Sheet, without a code
+ * push. Columns: Template | Subject | Body | Placeholders.
+ *
+ * - Template: one of the ids in EMAIL_TEMPLATES below.
+ * - Subject / Body: text with {{placeholder}} values; leave either
+ *   blank to keep the built-in text from Emails.js.
+ * - Placeholders: filled in by "Set Up Email Templates Tab" as a
+ *   reference; not read.
+ *
+ * Placeholder values are HTML-escaped in bodies. {{signature}} and the
+ * digest {{itemsTable}} are inserted as HTML. Unknown placeholders are
+ * logged and left as typed.
+ *************************************************************/
+
+const EMAIL_TEMPLATES_SHEET_NAME = "Email Templates";
+const EMAIL_TEMPLATES_HEADERS = ["Template", "Subject", "Body", "Placeholders"];
+
+// Placeholders every template can use
+const COMMON_TEMPLATE_PLACEHOLDERS = ["mainWorkerName", "mainSupervisorName", "ssmName", "signature"];
+
+// Reminder type, built-in subject and the placeholders each template receives
+const EMAIL_TEMPLATES = {
+  standardContact: {
+    reminder: "contact",
+    subject: "Contact Entry Reminder – {{childName}}",
+    placeholders: ["workerName", "supervisorName", "childName", "caseID", "dateSeen", "daysSinceSeen", "daysLeftInMonth"]
+  },
+  reprimandingContact: {
+    reminder: "contact",
+    subject: "Contact Entry Reminder – {{childName}}",
+    placeholders: ["workerName", "supervisorName", "childName", "caseID", "dateSeen", "daysSinceSeen", "daysLeftInMonth"]
+  },
+  postMonthContact: {
+    reminder: "contact",
+    subject: "Contact Entry Reminder – {{childName}}",
+    placeholders: ["workerName", "supervisorName", "childName", "caseID", "dateSeen"]
+  },
+  standardSummary: {
+    reminder: "summary",
+    subject: "Summary Due {{dueWhen}}",
+    placeholders: ["workerName", "supervisorName", "lastName", "summaryLink", "whenText", "dueWhen"]
+  },
+  supervisorIncludedSummary: {
+    reminder: "summary",
+    subject: "Summary Overdue: {{lastName}}",
+    placeholders: ["workerName", "supervisorName", "lastName", "daysLate", "followUpDate", "summaryLink"]
+  },
+  reprimandingSummary: {
+    reminder: "summary",
+    subject: "Urgent: {{lastName}} Summary Severely Overdue",
+    placeholders: ["workerName", "supervisorName", "lastName", "remindersSent", "daysUntilHearing",
+      "supervisorRemindersSent", "dueDate", "summaryLink"]
+  },
+  missedContactReason: {
+    reminder: "missed",
+    subject: "Reason Needed: Missed Contact – {{childName}}",
+    placeholders: ["workerName", "supervisorName", "childName", "caseID", "month"]
+  },
+  missedContactNotice: {
+    reminder: "missed",
+    subject: "Missed Contact – {{childName}} ({{workerName}})",
+    placeholders: ["workerName", "supervisorName", "childName", "caseID", "month", "reasonMissed"]
+  },
+  workerDigest: {
+    reminder: "digest",
+    subject: "Daily Reminder Digest – {{itemCount}} pending item(s)",
+    placeholders: ["recipientName", "itemCount", "date", "itemsTable"],
+    rawPlaceholders: ["itemsTable"]
+  },
+  rollUpDigest: {
+    reminder: "digest",
+    subject: "Team Reminder Roll-up – {{itemCount}} pending item(s)",
+    placeholders: ["recipientName", "itemCount", "workerCount", "date", "itemsTable"],
+    rawPlaceholders: ["itemsTable"]
+  }
+};
+
+// Overrides read from the tab during this execution (null = not read yet)
+var emailTemplateOverrides = null;
+
+/**
+ * Reads the "Email Templates" tab once per execution.
+ * @returns {Object} templateId → {subject, body} (blank strings when not overridden).
+ */
+function getEmailTemplateOverrides() {
+  if (emailTemplateOverrides) return emailTemplateOverrides;
+  emailTemplateOverrides = {};
+
+  try {
+    ensureAutomationInfoSheetURL();
+    if (!automationInfoSheet) {
+      automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+    }
+    const sheet = automationInfoSheet.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+    if (!sheet) return emailTemplateOverrides;
+
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      const id = (values[i][0] || "").toString().trim();
+      if (!id) continue;
+      if (!EMAIL_TEMPLATES[id]) {
+        Logger.log(`⚠️ ${EMAIL_TEMPLATES_SHEET_NAME} row ${i + 1}: unknown template "${id}", ignored.`);
+        continue;
+      }
+      emailTemplateOverrides[id] = {
+        subject: (values[i][1] || "").toString().trim(),
+        body: (values[i][2] || "").toString().trim()
+      };
+    }
+  } catch (e) {
+    Logger.log(`❌ Failed to read ${EMAIL_TEMPLATES_SHEET_NAME}: ${e.message}`);
+  }
+  return emailTemplateOverrides;
+}
+
+/**
+ * Escapes a value for use inside HTML text or attributes.
+ * @param {*} value Any value.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(value) {
+  return (value === null || value === undefined ? "" : value.toString())
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Lists placeholders in a template text that the template doesn't supply.
+ * @param {string} templateId Template id.
+ * @param {string} text Subject or body text.
+ * @returns {string[]} Unknown placeholder names.
+ */
+function findUnknownPlaceholders(templateId, text) {
+  const known = EMAIL_TEMPLATES[templateId].placeholders.concat(COMMON_TEMPLATE_PLACEHOLDERS);
+  const unknown = [];
+  (text || "").replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (match, name) => {
+    if (!known.includes(name) && !unknown.includes(name)) unknown.push(name);
+    return match;
+  });
+  return unknown;
+}
+
+/**
+ * Fills {{placeholders}} in a template text.
+ * @param {string} templateId Template id (for warnings).
+ * @param {string} text Template text.
+ * @param {Object} values Placeholder values.
+ * @param {boolean} asHtml If true, values are HTML-escaped ({{signature}} and the
+ *   template's rawPlaceholders excepted).
+ * @returns {string} Rendered text.
+ */
+function fillTemplatePlaceholders(templateId, text, values, asHtml) {
+  const all = Object.assign({
+    mainWorkerName: MAIN_WORKER_NAME,
+    mainSupervisorName: MAIN_SUPERVISOR_NAME,
+    ssmName: SSM_NAME
+  }, values);
+
+  findUnknownPlaceholders(templateId, text).forEach(name => {
+    Logger.log(`⚠️ Template "${templateId}" uses unknown placeholder {{${name}}}; left as typed.`);
+  });
+
+  const raw = EMAIL_TEMPLATES[templateId].rawPlaceholders || [];
+
+  return text.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (match, name) => {
+    if (name === "signature") return getEmailSignatureHtml();
+    if (!Object.prototype.hasOwnProperty.call(all, name)) return match;
+    return asHtml && !raw.includes(name) ? escapeHtml(all[name]) : (all[name] === null || all[name] === undefined ? "" : all[name].toString());
+  });
+}
+
+/**
+ * Returns the email body for a template: the sheet override if there
+ * is one, otherwise the built-in HTML.
+ * @param {string} templateId Template id.
+ * @param {Object} values Placeholder values.
+ * @param {function(): string} builtIn Produces the built-in HTML.
+ * @returns {string} HTML body.
+ */
+function renderEmailBody(templateId, values, builtIn) {
+  const override = getEmailTemplateOverrides()[templateId];
+  if (!override || !override.body) return builtIn();
+  return fillTemplatePlaceholders(templateId, override.body, values, true);
+}
+
+/**
+ * Returns the subject line for a template: the sheet override if there
+ * is one, otherwise the built-in subject.
+ * @param {string} templateId Template id.
+ * @param {Object} values Placeholder values.
+ * @returns {string} Subject (plain text).
+ */
+function getEmailSubject(templateId, values) {
+  const override = getEmailTemplateOverrides()[templateId];
+  const text = override && override.subject ? override.subject : EMAIL_TEMPLATES[templateId].subject;
+  return fillTemplatePlaceholders(templateId, text, values, false);
+}
+
+/**
+ * Menu entry: creates the "Email Templates" tab (or adds missing rows)
+ * with one row per template and its placeholders listed for reference.
+ */
+function setUpEmailTemplatesTab() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  let sheet = automationInfoSheet.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+  if (!sheet) {
+    sheet = automationInfoSheet.insertSheet(EMAIL_TEMPLATES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, EMAIL_TEMPLATES_HEADERS.length)
+      .setValues([EMAIL_TEMPLATES_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const existing = sheet.getDataRange().getValues().slice(1).map(r => (r[0] || "").toString().trim());
+  let added = 0;
+  Object.keys(EMAIL_TEMPLATES).forEach(id => {
+    if (existing.includes(id)) return;
+    const placeholders = EMAIL_TEMPLATES[id].placeholders.concat(COMMON_TEMPLATE_PLACEHOLDERS)
+      .map(p => `{{${p}}}`).join(" ");
+    sheet.appendRow([id, "", "", placeholders]);
+    added++;
+  });
+
+  emailTemplateOverrides = null;
+  SpreadsheetApp.getUi().alert(
+    `✅ ${EMAIL_TEMPLATES_SHEET_NAME} tab ready (${added} row(s) added).\n\n` +
+    `Fill in Subject and/or Body to override a template; leave them blank to keep the built-in text.`
+  );
+}
+
+/**
+ * Menu entry: reports unknown placeholders on the "Email Templates" tab.
+ */
+function checkEmailTemplates() {
+  emailTemplateOverrides = null;
+  const overrides = getEmailTemplateOverrides();
+  const problems = [];
+
+  Object.keys(overrides).forEach(id => {
+    ["subject", "body"].forEach(part => {
+      const unknown = findUnknownPlaceholders(id, overrides[id][part]);
+      if (unknown.length > 0) {
+        problems.push(`${id} (${part}): unknown ${unknown.map(n => `{{${n}}}`).join(", ")}`);
+      }
+    });
+  });
+
+  const overridden = Object.keys(overrides).filter(id => overrides[id].subject || overrides[id].body);
+  SpreadsheetApp.getUi().alert(
+    problems.length > 0
+      ? `⚠️ Template problems:\n\n${problems.join("\n")}`
+      : `✅ Templates OK. Overridden: ${overridden.join(", ") || "(none, using built-in text)"}.`
+  );
+}
@@ -1,75 +1,58 @@
 /*************************************************************
  * Emails.gs
  * 
- * Functions for generating email content and signatures.
- * Uses global variables loaded from Automation Info Sheet.
+ * Functions for generating email content.
+ * Uses global variables loaded from Automation Info Sheet; the
+ * signature comes from getEmailSignatureHtml() (EmailSignature.js).
+ * Each body can be overridden from the "Email Templates" tab
+ * (see EmailTemplates.js); the HTML below is the built-in fallback.
  *************************************************************/
 
-/**
- * Returns the HTML string for the email signature.
- * Uses global variables for phone numbers and contact info.
- * @returns {string} HTML string for email signature
- */
-function getEmailSignatureHtml() {
-  // Signature image hosted on Google Drive
-  const signatureImageUrl = "https://drive.google.com/uc?export=view&id=14hutBSg3irYox5g8rMQJYUVYY1A885L1";
-
-  // Use globals for phone numbers if available, fallback to hardcoded defaults
-  const officeExt = WORKER_OFFICE_EXTENSION || "20657";
-  const cellNumber = WORKER_CELL_NUMBER || "681-3833-4019";
-
-  return `
-    <br/><br/>
-    <img src="${signatureImageUrl}" alt="Department of Human Services Logo" style="width:200px; height:auto; margin-bottom:10px;" />
-    
-    <p><strong>${MAIN_WORKER_NAME || "Ellie Brewer"}</strong><br/>
-    Child Protective Service Worker<br/>
-    Bureau for Social Services<br/>
-    Kanawha County Department of Health and Human Resources<br/>
-    4190 Washington St. W<br/>
-    Charleston, WV 25313</p>
-    
-    <p>P: 304-746-2360 ext. ${officeExt} (Office)<br/>
-    P: ${cellNumber} (Cell)<br/>
-    F: 304-558-0798</p>
-  `;
-}
-
 /**
  * Standard Summary Reminder (Day before due date and due date)
  * @param {string} lastName - Last name for the case summary
  * @param {string} summaryLink - Link to the summary
  * @param {boolean} isDueToday - true if due today, false if due tomorrow
+ * @param {Object} worker - (optional) Assigned worker from getSummaryWorker() (default: main worker)
  * @returns {string} HTML string for email body
  */
-function getStandardSummaryReminderHtml(lastName, summaryLink, isDueToday) {
+function getStandardSummaryReminderHtml(lastName, summaryLink, isDueToday, worker) {
+  const { workerName, supervisorName } = worker || getSummaryWorker("");
   const whenText = isDueToday ? "due today" : "due tomorrow";
-  return `
-    <p>Hey ${MAIN_WORKER_NAME},</p>
+  return renderEmailBody("standardSummary", {
+    workerName, supervisorName, lastName, summaryLink,
+    whenText, dueWhen: isDueToday ? "Today" : "Tomorrow"
+  }, () => `
+    <p>Hey ${workerName},</p>
     <p>The ${lastName} summary is ${whenText}. A link to the summary is included below to remove a barrier to completing this task and help avoid distraction: </p>
     <p><a href="${summaryLink}">${summaryLink}</a></p>
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
 }
 
 /**
  * Supervisor Included Summary Reminder (1-6 days late)
  * @param {string} lastName - Last name for the case summary
- * @param {number} daysLate - Number of days the summary is late
+ * @param {number} daysLate - Number of working days the summary is late
  * @param {string} followUpDate - Date by which follow-up is required
  * @param {string} summaryLink - Link to the summary
+ * @param {Object} worker - (optional) Assigned worker from getSummaryWorker() (default: main worker)
  * @returns {string} HTML string for email body
  */
-function getSupervisorIncludedSummaryReminderHtml(lastName, daysLate, followUpDate, summaryLink) {
-  return `
-    <p>Hey ${MAIN_WORKER_NAME},</p>
-    <p>The ${lastName} summary is ${daysLate} days late. You should get it submitted soon. If the summary isn't submitted by ${followUpDate}, ${MAIN_SUPERVISOR_NAME} will be required to go with you, and they don't want that.</p>
+function getSupervisorIncludedSummaryReminderHtml(lastName, daysLate, followUpDate, summaryLink, worker) {
+  const { workerName, supervisorName } = worker || getSummaryWorker("");
+  return renderEmailBody("supervisorIncludedSummary", {
+    workerName, supervisorName, lastName, daysLate,
+    followUpDate, summaryLink
+  }, () => `
+    <p>Hey ${workerName},</p>
+    <p>The ${lastName} summary is ${daysLate} working days late. You should get it submitted soon. If the summary isn't submitted by ${followUpDate}, ${supervisorName} will be required to go with you, and they don't want that.</p>
     <p>A link to the summary is included below to remove a barrier to completing this task and help avoid distraction:</p>
     <p><a href="${summaryLink}">${summaryLink}</a></p>
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
 }
 
 /**
@@ -80,20 +63,25 @@ function getSupervisorIncludedSummaryReminderHtml(lastName, daysLate, followUpDa
  * @param {number} supervisorRemindersSent - Number of reminders sent to supervisor
  * @param {string} dueDateFormatted - Due date formatted as a string
  * @param {string} summaryLink - Link to the summary
+ * @param {Object} worker - (optional) Assigned worker from getSummaryWorker() (default: main worker)
  * @returns {string} HTML string for email body
  */
-function getReprimandingSummaryReminderHtml(lastName, remindersSent, daysUntilHearing, supervisorRemindersSent, dueDateFormatted, summaryLink) {
-  return `
-    <p>${MAIN_WORKER_NAME},</p>
+function getReprimandingSummaryReminderHtml(lastName, remindersSent, daysUntilHearing, supervisorRemindersSent, dueDateFormatted, summaryLink, worker) {
+  const { workerName, supervisorName } = worker || getSummaryWorker("");
+  return renderEmailBody("reprimandingSummary", {
+    workerName, supervisorName, lastName, remindersSent,
+    daysUntilHearing, supervisorRemindersSent, dueDate: dueDateFormatted, summaryLink
+  }, () => `
+    <p>${workerName},</p>
     <p>You have now received ${remindersSent} reminders about the ${lastName} summary being due on ${dueDateFormatted}.</p>
-    <p>You only have ${daysUntilHearing} days until this hearing and ${MAIN_SUPERVISOR_NAME} is required to attend with you.</p>
-    <p>${MAIN_SUPERVISOR_NAME} has been receiving these reminders for the past ${supervisorRemindersSent} days and now ${SSM_NAME} is included as well.</p>
-    <p>You need to submit this ASAP so that you don't have lawyers calling ${MAIN_SUPERVISOR_NAME} or ${SSM_NAME}, which could result in disciplinary action.</p>
+    <p>You only have ${daysUntilHearing} days until this hearing and ${supervisorName} is required to attend with you.</p>
+    <p>${supervisorName} has been receiving these reminders for the past ${supervisorRemindersSent} days and now ${SSM_NAME} is included as well.</p>
+    <p>You need to submit this ASAP so that you don't have lawyers calling ${supervisorName} or ${SSM_NAME}, which could result in disciplinary action.</p>
     <p>A link to the summary is included below to remove a barrier to completing this task and help avoid distraction:</p>
     <p><a href="${summaryLink}">${summaryLink}</a></p>
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
 }
 
 /**
@@ -104,15 +92,15 @@ function getReprimandingSummaryReminderHtml(lastName, remindersSent, daysUntilHe
  * @param {string} caseID - Case ID
  * @param {string} dateSeen - Date child was seen (MM/dd/yyyy)
  * @param {number} daysSinceSeen - Days since the child was seen
- * @param {number} daysLeftInMonth - Days remaining in the month
+ * @param {number} daysLeftInMonth - Working days remaining in the month
  * @returns {string} HTML string for email body
  */
 function getStandardContactReminderHtml(workerName, supervisorName, childName, caseID, dateSeen, daysSinceSeen, daysLeftInMonth) {
-  return `
+  return renderEmailBody("standardContact", { workerName, supervisorName, childName, caseID, dateSeen, daysSinceSeen, daysLeftInMonth }, () => `
     <p>Hello ${workerName},</p>
 
     <p>This is a reminder that you last saw <strong>${childName}</strong> (Case ID: ${caseID}) ${daysSinceSeen} days ago on ${dateSeen}. 
-    There are only ${daysLeftInMonth} days remaining in the month, and it is important that the contact is entered as soon as possible to ensure accurate and timely reporting.</p>
+    There are only ${daysLeftInMonth} working days remaining in the month, and it is important that the contact is entered as soon as possible to ensure accurate and timely reporting.</p>
 
     <p>Failure to enter the contact by the end of the month will negatively impact my contact compliance percentage. 
     If the contact is not entered by the last week of the month, ${supervisorName}, your supervisor, and ${SSM_NAME} will be added onto these emails.</p>
@@ -124,7 +112,7 @@ function getStandardContactReminderHtml(workerName, supervisorName, childName, c
 
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
 }
 
 /**
@@ -135,17 +123,17 @@ function getStandardContactReminderHtml(workerName, supervisorName, childName, c
  * @param {string} caseID - Case ID
  * @param {string} dateSeen - Date child was seen (MM/dd/yyyy)
  * @param {number} daysSinceSeen - Days since the child was seen
- * @param {number} daysRemaining - Days remaining in the month
+ * @param {number} daysRemaining - Working days remaining in the month
  * @returns {string} HTML string for email body
  */
 function getReprimandingContactReminderHtml(workerName, supervisorName, childName, caseID, dateSeen, daysSinceSeen, daysRemaining) {
-  return `
+  return renderEmailBody("reprimandingContact", { workerName, supervisorName, childName, caseID, dateSeen, daysSinceSeen, daysLeftInMonth: daysRemaining }, () => `
     <p>Hello ${workerName},</p>
 
     <p>This is a reminder that you last saw <strong>${childName}</strong> (Case ID: ${caseID}) ${daysSinceSeen} days ago on ${dateSeen}. 
     The month is almost over, and it is critical that the contact is entered immediately to maintain compliance.</p>
 
-    <p>There are only ${daysRemaining} remaining this month. Since it is the final week of the month, your supervisor ${supervisorName} and ${SSM_NAME} have been added to this email.</p>
+    <p>There are only ${daysRemaining} working days remaining this month. Since it is the final week of the month, your supervisor ${supervisorName} and ${SSM_NAME} have been added to this email.</p>
 
     <p>This is an automated message and will be sent daily until the contact is entered and ${MAIN_WORKER_NAME} is notified. 
     ${MAIN_WORKER_NAME} is included in this email so you can reply to this message to let them know if a contact has been entered.</p>
@@ -154,7 +142,7 @@ function getReprimandingContactReminderHtml(workerName, supervisorName, childNam
 
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
 }
 
 /**
@@ -167,7 +155,7 @@ function getReprimandingContactReminderHtml(workerName, supervisorName, childNam
  * @returns {string} HTML string for email body
  */
 function getPostMonthContactReminderHtml(workerName, supervisorName, childName, caseID, dateSeen) {
-  return `
+  return renderEmailBody("postMonthContact", { workerName, supervisorName, childName, caseID, dateSeen }, () => `
     <p>Hello ${workerName},</p>
 
     <p>This is an overdue reminder that you last saw <strong>${childName}</strong> (Case ID: ${caseID}), seen on ${dateSeen}. 
@@ -181,5 +169,102 @@ function getPostMonthContactReminderHtml(workerName, supervisorName, childName,
     <p>Thank you for your urgent attention to this matter.</p>
     <br></br>
     ${getEmailSignatureHtml()}
-  `;
+  `);
+}
+
+/**
+ * Missed Contact Reason Request Email (Missed checked, no Reason Missed)
+ * @param {string} workerName - Name of the worker
+ * @param {string} supervisorName - Name of the supervisor
+ * @param {string} childName - Child's name
+ * @param {string} caseID - Case ID
+ * @param {string} month - Month of the contact sheet (e.g. "January 2026")
+ * @returns {string} HTML string for email body
+ */
+function getMissedContactReasonHtml(workerName, supervisorName, childName, caseID, month) {
+  return renderEmailBody("missedContactReason", { workerName, supervisorName, childName, caseID, month }, () => `
+    <p>Hello ${workerName},</p>
+
+    <p>The ${month} contact for <strong>${childName}</strong> (Case ID: ${caseID}) is marked as missed, but no reason has been entered. 
+    Please fill in the "Reason Missed" column for this child so the missed contact can be closed out.</p>
+
+    <p>This is an automated message and will be sent daily until a reason is entered. ${supervisorName} has been notified of the missed contact.</p>
+
+    <p>Thank you for your prompt attention to this matter.</p>
+
+    <br></br>
+    ${getEmailSignatureHtml()}
+  `);
+}
+
+/**
+ * Missed Contact Notice Email (to the supervisor, once per missed contact)
+ * @param {string} workerName - Name of the worker
+ * @param {string} supervisorName - Name of the supervisor
+ * @param {string} childName - Child's name
+ * @param {string} caseID - Case ID
+ * @param {string} month - Month of the contact sheet (e.g. "January 2026")
+ * @param {string} reasonMissed - Reason entered by the worker, or a "not entered yet" note
+ * @returns {string} HTML string for email body
+ */
+function getMissedContactNoticeHtml(workerName, supervisorName, childName, caseID, month, reasonMissed) {
+  return renderEmailBody("missedContactNotice", { workerName, supervisorName, childName, caseID, month, reasonMissed }, () => `
+    <p>Hello ${supervisorName},</p>
+
+    <p>${workerName} has marked the ${month} contact for <strong>${childName}</strong> (Case ID: ${caseID}) as missed.</p>
+
+    <p>Reason missed: ${reasonMissed}</p>
+
+    <p>This is an automated notice and is sent once per missed contact.</p>
+
+    <br></br>
+    ${getEmailSignatureHtml()}
+  `);
+}
+
+/**
+ * Daily Digest Email (one per worker, all of their pending items)
+ * @param {string} recipientName - Name of the worker
+ * @param {number} itemCount - Number of pending items listed
+ * @param {string} date - Date of the digest (MM/dd/yyyy)
+ * @param {string} itemsTable - HTML tables of pending items
+ * @returns {string} HTML string for email body
+ */
+function getWorkerDigestHtml(recipientName, itemCount, date, itemsTable) {
+  return renderEmailBody("workerDigest", { recipientName, itemCount, date, itemsTable }, () => `
+    <p>Hello ${recipientName},</p>
+
+    <p>Here are the ${itemCount} item(s) still pending as of ${date}. Please enter each contact and submit each summary as soon as possible.</p>
+
+    ${itemsTable}
+
+    <p>This is an automated message and will be sent daily until these items are completed.</p>
+
+    <br></br>
+    ${getEmailSignatureHtml()}
+  `);
+}
+
+/**
+ * Roll-up Digest Email (supervisors and the SSM, pending items for their people)
+ * @param {string} recipientName - Name of the supervisor or SSM
+ * @param {number} itemCount - Number of pending items listed
+ * @param {number} workerCount - Number of workers with pending items
+ * @param {string} date - Date of the digest (MM/dd/yyyy)
+ * @param {string} itemsTable - HTML tables of pending items, grouped by worker
+ * @returns {string} HTML string for email body
+ */
+function getRollUpDigestHtml(recipientName, itemCount, workerCount, date, itemsTable) {
+  return renderEmailBody("rollUpDigest", { recipientName, itemCount, workerCount, date, itemsTable }, () => `
+    <p>Hello ${recipientName},</p>
+
+    <p>As of ${date}, ${workerCount} worker(s) have ${itemCount} item(s) pending. Each worker has received their own digest.</p>
+
+    ${itemsTable}
+
+    <p>This is an automated message and will be sent daily while items remain pending.</p>
+
+    <br></br>
+    ${getEmailSignatureHtml()}
+  `);
 }
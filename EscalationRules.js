@@ -0,0 +1,383 @@
+/*************************************************************
+ * Escalation Rules
+ * The reminder ladder (when each tier starts, which template it
+ * uses, who receives it and how often it repeats) as data instead
+ * of code. sendSummaryReminders() and sendContactReminderRow()
+ * both pick their tier here.
+ *
+ * Rules come from, in order:
+ * 1. An "Escalation Rules" tab in the Automation Info Sheet, with
+ *    columns Reminder | Tier | From Day | To Day | Template | To |
+ *    Cc | Bcc | Repeat | Cadence.
+ * 2. The "escalationRules" Variables row, a JSON array of objects
+ *    with the same fields (reminder, tier, fromDay, toDay, template,
+ *    to, cc, bcc, repeat, cadence).
+ * 3. DEFAULT_ESCALATION_RULES below (the original hard-coded ladder).
+ *
+ * Days (From Day / To Day, inclusive; blank = no limit) are working
+ * days (BusinessCalendar.js):
+ * - summary: days since the Summary Due Date (-1 = working day before).
+ * - contact: days left in the month the child was seen (0 = last
+ *   day of that month, negative once the month is over).
+ * The first rule (top to bottom) whose window holds the day wins.
+ *
+ * Recipients: comma-separated "worker", "supervisor", "ssm",
+ * "mainWorker" and/or email addresses. For contacts the worker is
+ * the Seen By worker; for summaries it is MAIN_WORKER.
+ *
+ * Repeat: "Daily" (default), "Once" (first day of the window only),
+ * weekday names ("Monday" or "Monday, Thursday"; a weekday that is
+ * a holiday sends on the next working day) or "Every N days"
+ * (counted from the first day of the window). The first day reached
+ * is From Day for summaries but To Day for contacts, whose days
+ * count down, so "Once" and "Every N days" need that bound set.
+ *
+ * Cadence: the least number of days between two reminders for the
+ * same row, checked against its "Last Reminder Sent" date so a
+ * trigger that fires twice (or a manual run) doesn't send duplicates.
+ * A number, "Daily" (default, 1), "Every other day" (2), "Weekly"
+ * (7) or "Every N days". Manual runs can override it with
+ * forceResendReminders().
+ *************************************************************/
+
+const ESCALATION_RULES_SHEET_NAME = "Escalation Rules";
+const ESCALATION_RULES_VARIABLE_KEY = "escalationRules";
+const ESCALATION_RULES_HEADERS = [
+  "Reminder", "Tier", "From Day", "To Day", "Template", "To", "Cc", "Bcc", "Repeat", "Cadence"
+];
+const ESCALATION_RULE_FIELDS = ["reminder", "tier", "fromDay", "toDay", "template", "to", "cc", "bcc", "repeat", "cadence"];
+const ESCALATION_RECIPIENT_TOKENS = ["worker", "supervisor", "ssm", "mainWorker"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DEFAULT_ESCALATION_RULES = [
+  { reminder: "summary", tier: "due-tomorrow",     fromDay: -1,   toDay: -1,   template: "standardSummary",           to: "worker",                  cc: "", bcc: "",                repeat: "Daily",  cadence: "Daily" },
+  { reminder: "summary", tier: "due-today",        fromDay: 0,    toDay: 0,    template: "standardSummary",           to: "worker",                  cc: "", bcc: "",                repeat: "Daily",  cadence: "Daily" },
+  { reminder: "summary", tier: "overdue",          fromDay: 1,    toDay: 6,    template: "supervisorIncludedSummary", to: "worker, supervisor",      cc: "", bcc: "",                repeat: "Daily",  cadence: "Daily" },
+  { reminder: "summary", tier: "severely-overdue", fromDay: 7,    toDay: null, template: "reprimandingSummary",       to: "worker, supervisor, ssm", cc: "", bcc: "",                repeat: "Daily",  cadence: "Daily" },
+  { reminder: "contact", tier: "standard",         fromDay: 8,    toDay: null, template: "standardContact",           to: "worker",                  cc: "", bcc: "supervisor",      repeat: "Daily",  cadence: "Daily" },
+  { reminder: "contact", tier: "reprimanding",     fromDay: 0,    toDay: 7,    template: "reprimandingContact",       to: "worker",                  cc: "", bcc: "supervisor, ssm", repeat: "Daily",  cadence: "Daily" },
+  { reminder: "contact", tier: "post-month",       fromDay: null, toDay: -1,   template: "postMonthContact",          to: "worker",                  cc: "", bcc: "supervisor, ssm", repeat: "Monday", cadence: "Daily" }
+];
+
+// Rules read during this execution (null = not read yet)
+var escalationRules = null;
+
+/**
+ * Returns the escalation rules for one reminder type, in priority order.
+ * @param {string} reminder "summary" or "contact".
+ * @returns {Object[]} Parsed rules (see parseEscalationRule()).
+ * @throws {Error} If any rule is invalid, listing every problem.
+ */
+function getEscalationRules(reminder) {
+  if (!escalationRules) {
+    const loaded = loadEscalationRules();
+    const problems = [];
+    const parsed = loaded.rules.map((raw, index) => {
+      const rule = parseEscalationRule(raw);
+      rule.problems.forEach(p => problems.push(`${loaded.source} rule ${index + 1} (${raw.tier || "no tier"}): ${p}`));
+      return rule;
+    });
+
+    if (problems.length > 0) {
+      const message = "❌ Escalation rules are invalid, nothing was sent:\n- " + problems.join("\n- ");
+      Logger.log(message);
+      throw new Error(message);
+    }
+    escalationRules = parsed;
+    Logger.log(`✅ Loaded ${parsed.length} escalation rule(s) from ${loaded.source}.`);
+  }
+  return escalationRules.filter(rule => rule.reminder === reminder);
+}
+
+/**
+ * Reads the raw rules from the tab, the Variables JSON or the defaults.
+ * @returns {Object} {source, rules} where rules are plain objects keyed by ESCALATION_RULE_FIELDS.
+ */
+function loadEscalationRules() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  const sheet = automationInfoSheet.getSheetByName(ESCALATION_RULES_SHEET_NAME);
+  if (sheet) {
+    const values = sheet.getDataRange().getValues();
+    const rules = values.slice(1)
+      .filter(row => row.some(cell => cell !== "" && cell !== null))
+      .map(row => {
+        const rule = {};
+        ESCALATION_RULE_FIELDS.forEach((field, c) => { rule[field] = row[c]; });
+        return rule;
+      });
+    if (rules.length > 0) return { source: `"${ESCALATION_RULES_SHEET_NAME}" tab`, rules: rules };
+  }
+
+  const raw = ensureGlobalVariables()[ESCALATION_RULES_VARIABLE_KEY] || "";
+  if (raw) {
+    let rules;
+    try {
+      rules = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`❌ "${ESCALATION_RULES_VARIABLE_KEY}" variable is not valid JSON, nothing was sent: ${e.message}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error(`❌ "${ESCALATION_RULES_VARIABLE_KEY}" variable must be a JSON array of rules, nothing was sent.`);
+    }
+    return { source: `"${ESCALATION_RULES_VARIABLE_KEY}" variable`, rules: rules };
+  }
+
+  return { source: "built-in defaults", rules: DEFAULT_ESCALATION_RULES };
+}
+
+/**
+ * Parses and checks one raw rule.
+ * @param {Object} raw Plain rule object.
+ * @returns {Object} {reminder, tier, fromDay, toDay, template, to, cc, bcc, repeat, cadence, problems}
+ *   - fromDay / toDay: numbers, or null for no limit.
+ *   - to / cc / bcc: arrays of recipient tokens or addresses.
+ *   - repeat: {kind: "daily"|"once"|"weekdays"|"every", days?, interval?, text}.
+ *   - cadence: {days, text}, least days between reminders for one row.
+ *   - problems: what's wrong with the rule (empty if valid).
+ */
+function parseEscalationRule(raw) {
+  const text = value => (value === null || value === undefined ? "" : value.toString().trim());
+  const problems = [];
+
+  const reminder = text(raw.reminder).toLowerCase();
+  if (reminder !== "summary" && reminder !== "contact") {
+    problems.push(`Reminder must be "summary" or "contact" (got "${text(raw.reminder)}").`);
+  }
+
+  const tier = text(raw.tier);
+  if (!tier) problems.push("Tier is blank.");
+
+  const day = (value, label) => {
+    if (text(value) === "") return null;
+    const n = Number(value);
+    if (!Number.isInteger(n)) {
+      problems.push(`${label} must be a whole number or blank (got "${text(value)}").`);
+      return null;
+    }
+    return n;
+  };
+  const fromDay = day(raw.fromDay, "From Day");
+  const toDay = day(raw.toDay, "To Day");
+  if (fromDay !== null && toDay !== null && fromDay > toDay) problems.push("From Day is after To Day.");
+
+  const template = text(raw.template);
+  if (!EMAIL_TEMPLATES[template]) {
+    const usable = Object.keys(EMAIL_TEMPLATES).filter(id => EMAIL_TEMPLATES[id].reminder === reminder);
+    problems.push(`Unknown template "${template}" (use one of ${usable.join(", ") || "the contact or summary templates"}).`);
+  } else if (EMAIL_TEMPLATES[template].reminder !== reminder) {
+    problems.push(`Template "${template}" is for ${EMAIL_TEMPLATES[template].reminder} reminders.`);
+  }
+
+  const recipients = (value, label) => {
+    const list = text(value).split(/[,;]/).map(r => r.trim()).filter(r => r);
+    list.forEach(r => {
+      if (!r.includes("@") && !ESCALATION_RECIPIENT_TOKENS.includes(r)) {
+        problems.push(`${label} has unknown recipient "${r}" (use ${ESCALATION_RECIPIENT_TOKENS.join(", ")} or an email address).`);
+      }
+    });
+    return list;
+  };
+  const to = recipients(raw.to, "To");
+  const cc = recipients(raw.cc, "Cc");
+  const bcc = recipients(raw.bcc, "Bcc");
+  if (to.length === 0) problems.push("To is blank.");
+
+  const repeat = parseEscalationRepeat(text(raw.repeat));
+  if (!repeat) {
+    problems.push(`Repeat "${text(raw.repeat)}" not understood (use Daily, Once, weekday names or "Every N days").`);
+  } else if ((repeat.kind === "once" || repeat.kind === "every") && (reminder === "contact" ? toDay : fromDay) === null) {
+    problems.push(`Repeat "${repeat.text}" needs a ${reminder === "contact" ? "To Day" : "From Day"}.`);
+  }
+
+  const cadence = parseEscalationCadence(text(raw.cadence));
+  if (!cadence) {
+    problems.push(`Cadence "${text(raw.cadence)}" not understood (use a number of days, Daily, Every other day, Weekly or "Every N days").`);
+  }
+
+  return {
+    reminder: reminder, tier: tier, fromDay: fromDay, toDay: toDay, template: template,
+    to: to, cc: cc, bcc: bcc, repeat: repeat, cadence: cadence, problems: problems
+  };
+}
+
+/**
+ * Parses a Repeat cell.
+ * @param {string} text e.g. "Daily", "Once", "Monday, Thursday", "Every 3 days".
+ * @returns {Object|null} {kind, days, interval, text} or null if not understood.
+ */
+function parseEscalationRepeat(text) {
+  const value = (text || "Daily").trim();
+  const lower = value.toLowerCase();
+
+  if (lower === "daily") return { kind: "daily", text: value };
+  if (lower === "once") return { kind: "once", text: value };
+
+  const every = lower.match(/^every\s+(\d+)\s+days?$/);
+  if (every && Number(every[1]) > 0) return { kind: "every", interval: Number(every[1]), text: value };
+
+  const days = lower.split(",").map(d => d.trim()).map(d =>
+    WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === d || name.toLowerCase().slice(0, 3) === d)
+  );
+  if (days.length > 0 && days.every(d => d >= 0)) return { kind: "weekdays", days: days, text: value };
+
+  return null;
+}
+
+/**
+ * Parses a Cadence cell.
+ * @param {string} text e.g. "Daily", "Weekly", "3", "Every 2 days".
+ * @returns {Object|null} {days, text} or null if not understood.
+ */
+function parseEscalationCadence(text) {
+  const value = (text || "Daily").toString().trim();
+  const lower = value.toLowerCase();
+  const named = { "daily": 1, "every day": 1, "every other day": 2, "weekly": 7 };
+
+  let days = named[lower];
+  if (days === undefined) {
+    const match = lower.match(/^(?:every\s+)?(\d+)(?:\s+days?)?$/);
+    days = match ? Number(match[1]) : NaN;
+  }
+  return days >= 1 ? { days: days, text: value } : null;
+}
+
+/**
+ * Finds the first rule whose window holds the given day.
+ * @param {Object[]} rules From getEscalationRules().
+ * @param {number} day Days since the due date (summary) or left in the month (contact).
+ * @returns {Object|null} Matching rule, or null if none applies.
+ */
+function findEscalationRule(rules, day) {
+  return rules.find(rule =>
+    (rule.fromDay === null || day >= rule.fromDay) && (rule.toDay === null || day <= rule.toDay)
+  ) || null;
+}
+
+/**
+ * Whether a rule's repeat schedule sends on this run.
+ * @param {Object} rule Matching rule.
+ * @param {number} day Same day number the rule was matched on.
+ * @param {Date} today Day of the run.
+ * @returns {boolean} True if a reminder goes out today.
+ */
+function isEscalationDueToday(rule, day, today) {
+  // Contact days count down, so their window opens on To Day
+  const daysIntoWindow = rule.reminder === "contact" ? rule.toDay - day : day - rule.fromDay;
+  switch (rule.repeat.kind) {
+    case "once": return daysIntoWindow === 0;
+    case "every": return daysIntoWindow % rule.repeat.interval === 0;
+    case "weekdays": return isWeekdayScheduleDueToday(rule.repeat.days, today);
+    default: return true;
+  }
+}
+
+/**
+ * Whether a row was reminded too recently for its rule's cadence.
+ * @param {Object} rule Matching rule.
+ * @param {*} lastSent "Last Reminder Sent" cell (Date or MM/dd/yyyy text; blank = never).
+ * @param {Date} today Day of the run.
+ * @returns {boolean} True if the row must wait.
+ */
+function isWithinEscalationCadence(rule, lastSent, today) {
+  const last = parseSheetDate(lastSent);
+  if (!last) return false;
+
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const startOfLast = new Date(last.getFullYear(), last.getMonth(), last.getDate());
+  const daysSince = Math.round((startOfToday - startOfLast) / (1000 * 60 * 60 * 24));
+  return daysSince < rule.cadence.days;
+}
+
+/**
+ * Reads a date cell that may hold a Date or MM/dd/yyyy text.
+ * @param {*} value Cell value.
+ * @returns {Date|null} The date, or null if blank or unreadable.
+ */
+function parseSheetDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const text = (value === null || value === undefined ? "" : value.toString()).trim();
+  return text ? parsePreviewDate(text) : null;
+}
+
+/**
+ * Turns a rule's recipient tokens into email addresses.
+ * @param {string[]} tokens Rule's to / cc / bcc list.
+ * @param {Object} people {worker, supervisor} email addresses for this reminder.
+ * @returns {string[]} Addresses (blanks and duplicates dropped).
+ */
+function resolveEscalationRecipients(tokens, people) {
+  const lookup = {
+    worker: people.worker,
+    supervisor: people.supervisor,
+    ssm: SSM_EMAIL,
+    mainWorker: MAIN_WORKER_EMAIL
+  };
+  const addresses = [];
+  tokens.forEach(token => {
+    const address = (token.includes("@") ? token : lookup[token] || "").toString().trim();
+    if (address && !addresses.includes(address)) addresses.push(address);
+  });
+  return addresses;
+}
+
+/**
+ * Menu entry: creates the "Escalation Rules" tab filled with the rules
+ * currently in effect (Variables JSON or the built-in defaults).
+ */
+function setUpEscalationRulesTab() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  const ui = SpreadsheetApp.getUi();
+  const existing = automationInfoSheet.getSheetByName(ESCALATION_RULES_SHEET_NAME);
+  if (existing && existing.getLastRow() > 1) {
+    ui.alert(`⚠️ The ${ESCALATION_RULES_SHEET_NAME} tab already has rules; nothing was changed.`);
+    return;
+  }
+
+  const loaded = loadEscalationRules();
+  const rows = loaded.rules.map(rule => ESCALATION_RULE_FIELDS.map(field =>
+    rule[field] === null || rule[field] === undefined ? "" : rule[field]
+  ));
+
+  const sheet = existing || automationInfoSheet.insertSheet(ESCALATION_RULES_SHEET_NAME);
+  sheet.getRange(1, 1, 1, ESCALATION_RULES_HEADERS.length)
+    .setValues([ESCALATION_RULES_HEADERS])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, ESCALATION_RULES_HEADERS.length).setValues(rows);
+
+  escalationRules = null;
+  ui.alert(`✅ ${ESCALATION_RULES_SHEET_NAME} tab created from ${loaded.source} (${rows.length} rule(s)).`);
+}
+
+/**
+ * Menu entry: checks the rules in effect and lists them.
+ */
+function checkEscalationRules() {
+  escalationRules = null;
+  const ui = SpreadsheetApp.getUi();
+
+  let rules;
+  try {
+    rules = getEscalationRules("summary").concat(getEscalationRules("contact"));
+  } catch (e) {
+    ui.alert(e.message);
+    return;
+  }
+
+  const describe = rule => {
+    const from = rule.fromDay === null ? "…" : rule.fromDay;
+    const to = rule.toDay === null ? "…" : rule.toDay;
+    const extra = (rule.cc.length ? `, cc ${rule.cc.join(", ")}` : "") + (rule.bcc.length ? `, bcc ${rule.bcc.join(", ")}` : "");
+    return `${rule.reminder} ${rule.tier}: days ${from} to ${to}, ${rule.template}, to ${rule.to.join(", ")}${extra}, ` +
+      `${rule.repeat.text}, at most every ${rule.cadence.days} day(s)`;
+  };
+  ui.alert(`✅ Escalation rules OK:\n\n${rules.map(describe).join("\n")}`);
+}
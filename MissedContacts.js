@@ -0,0 +1,157 @@
+/*************************************************************
+ * Missed Contacts
+ * Rows with "Missed" checked on a contact sheet don't get contact
+ * entry reminders. Instead (from processContactSheet()):
+ * - without a "Reason Missed", the worker is asked for one each
+ *   working day (at most once a day, by "Last Reminder Sent") and the
+ *   month stays open;
+ * - with a reason, the row is resolved and counts as done when the
+ *   month is closed out;
+ * - either way the supervisor gets one notice per missed contact
+ *   (found in the Reminder Log, so it is never repeated).
+ * A row with no Seen By goes to the main worker and their supervisor,
+ * so no missed contact is left without someone asked for a reason.
+ * Both emails go through digest / preview mode like other reminders.
+ *************************************************************/
+
+const MISSED_REASON_TIER = "missed-reason-request";
+const MISSED_NOTICE_TIER = "missed-notice";
+
+/**
+ * Whether a "Missed" cell is checked.
+ * @param {*} value Cell value (checkbox true or "TRUE").
+ * @returns {boolean} True if checked.
+ */
+function isContactMarkedMissed(value) {
+  return value === true || (value || "").toString().trim().toUpperCase() === "TRUE";
+}
+
+/**
+ * Runs the missed-contact workflow for one row.
+ * @param {Object} contact Row read by readRowFields().
+ * @param {Date} today Day of the run.
+ * @param {Sheet} sheet Contact sheet.
+ * @param {number} rowIndex Row number in the sheet.
+ * @param {Object} run Reminder run (see getReminderRun()).
+ * @param {Object} columns Field → column for the sheet.
+ * @returns {boolean} True while the row still needs a reason (month not done).
+ */
+function processMissedContactRow(contact, today, sheet, rowIndex, run, columns) {
+  const { childName, caseID, seenBy } = contact;
+  const reason = (contact.reasonMissed || "").toString().trim();
+  const sheetMonth = parseContactSheetName(sheet.getName(), today);
+  const month = sheetMonth ? sheetMonth.key : sheet.getName();
+
+  if (!seenBy) Logger.log(`${childName}: missed with no Seen By; asking ${MAIN_WORKER_NAME} instead.`);
+  const worker = getContactWorker(seenBy || MAIN_WORKER_NAME);
+  if (!worker) {
+    Logger.log(`Could not find worker info for ${seenBy}. Skipping missed contact ${childName}.`);
+    return !reason;
+  }
+
+  const values = {
+    workerName: worker.workerName,
+    supervisorName: worker.supervisorName,
+    childName: childName,
+    caseID: caseID,
+    month: month,
+    reasonMissed: reason || "Not entered yet (the worker has been asked for one)."
+  };
+  const entry = {
+    source: sheet.getName(),
+    row: rowIndex,
+    caseID: caseID,
+    name: childName
+  };
+
+  // One notice to the supervisor per missed contact
+  const noticeSent = hasLoggedReminder(Object.assign({ tier: MISSED_NOTICE_TIER }, entry));
+  if (!noticeSent && worker.supervisorEmail) {
+    sendMissedContactEmail(run, Object.assign({ tier: MISSED_NOTICE_TIER }, entry), {
+      to: worker.supervisorEmail,
+      worker: worker,
+      subject: getEmailSubject("missedContactNotice", values),
+      htmlBody: getMissedContactNoticeHtml(worker.workerName, worker.supervisorName, childName, caseID, month, values.reasonMissed),
+      date: parseSheetDate(contact.dateSeen),
+      today: today,
+      sheet: sheet,
+      stampColumn: null
+    });
+  }
+
+  if (reason) {
+    Logger.log(`${childName}: missed with a reason ("${reason}"), no reminders.`);
+    return false;
+  }
+
+  // Ask the worker for a reason, at most once a day
+  const lastSent = parseSheetDate(contact.lastReminderSent);
+  if (!(run && run.force) && lastSent && getCalendarDateKey(lastSent) === getCalendarDateKey(today)) {
+    Logger.log(`Skipping ${childName}: reason request already sent today.`);
+    return true;
+  }
+
+  sendMissedContactEmail(run, Object.assign({ tier: MISSED_REASON_TIER }, entry), {
+    to: worker.workerEmail,
+    worker: worker,
+    subject: getEmailSubject("missedContactReason", values),
+    htmlBody: getMissedContactReasonHtml(worker.workerName, worker.supervisorName, childName, caseID, month),
+    date: parseSheetDate(contact.dateSeen),
+    today: today,
+    sheet: sheet,
+    stampColumn: columns.lastReminderSent
+  });
+  return true;
+}
+
+/**
+ * Sends (or previews / queues for the digest) one missed-contact email
+ * through sendEmailWithHtml(), like the other reminders, and stamps
+ * "Last Reminder Sent" when a stamp column is given.
+ * @param {Object} run Reminder run.
+ * @param {Object} entry Reminder Log fields {source, row, caseID, name, tier}.
+ * @param {Object} email {to, worker, subject, htmlBody, date (Date seen or null), today, sheet, stampColumn}
+ * @returns {boolean} True if sent (or previewed / queued).
+ */
+function sendMissedContactEmail(run, entry, email) {
+  const logEntry = Object.assign({ to: email.to, bcc: "" }, entry);
+
+  if (run && run.digest) {
+    recordDigestItem(run, Object.assign({}, logEntry, {
+      kind: "contact",
+      date: email.date,
+      days: "",
+      workerName: email.worker.workerName,
+      workerEmail: email.worker.workerEmail,
+      supervisorName: email.worker.supervisorName,
+      supervisorEmail: email.worker.supervisorEmail,
+      to: [email.to],
+      cc: [],
+      bcc: [],
+      sheet: email.sheet,
+      stampColumn: email.stampColumn
+    }));
+    return true;
+  }
+
+  if (run && run.preview) {
+    recordPreviewReminder(run, Object.assign({ subject: email.subject, htmlBody: email.htmlBody }, logEntry));
+    return true;
+  }
+
+  // sendEmailWithHtml() records the attempt in the Reminder Log
+  try {
+    sendEmailWithHtml(email.to, email.subject, email.htmlBody, entry);
+  } catch (error) {
+    Logger.log(`❌ Failed to send ${entry.tier} for ${entry.name}: ${error.message}`);
+    return false;
+  }
+
+  if (email.stampColumn) {
+    email.sheet.getRange(entry.row, email.stampColumn).setValue(
+      Utilities.formatDate(email.today, GLOBAL_TIMEZONE, "MM/dd/yyyy")
+    );
+  }
+  Logger.log(`📨 ${entry.tier} sent to ${email.to} for ${entry.name}.`);
+  return true;
+}
@@ -0,0 +1,155 @@
+/*************************************************************
+ * Month Rollover
+ * Creates each month's "<Month> <Year> Contacts" sheet:
+ * - copied from the "Contacts Template" tab (created with the contact
+ *   sheet headers and formatting if missing), so edits to the
+ *   template carry into every new month;
+ * - filled with the active roster from the tracker (ContactRoster.js);
+ * - given the Seen By dropdown on every child's row;
+ * - registered in the contact-sheet cache, script property and
+ *   Variables backup row, so reminders and the edit trigger pick it
+ *   up straight away.
+ *
+ * Runs on the 1st of each month for that month (Triggers.js), and
+ * from "Create Next Month's Contact Sheet" ahead of time. A month that
+ * already has a sheet is left alone.
+ *************************************************************/
+
+const CONTACT_TEMPLATE_SHEET_NAME = "Contacts Template";
+const CONTACT_ENTRY_DUE_BACKGROUND = "#fce5cd";
+const CONTACT_ENTERED_BACKGROUND = "#d9ead3";
+
+/**
+ * Column letter for a 1-based column number.
+ * @param {number} column 1-based column.
+ * @returns {string} e.g. 1 → "A", 28 → "AB".
+ */
+function getColumnLetter(column) {
+  let letters = "";
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Returns the template tab, creating it with the contact sheet headers
+ * and conditional formatting if it doesn't exist yet.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @returns {Sheet} The template.
+ */
+function ensureContactTemplateSheet(ss) {
+  const existing = ss.getSheetByName(CONTACT_TEMPLATE_SHEET_NAME);
+  if (existing) return existing;
+
+  const fields = CONTACT_SHEET_SCHEMA.fields;
+  const headers = Object.keys(fields).map(field => fields[field].header);
+  const sheet = ss.insertSheet(CONTACT_TEMPLATE_SHEET_NAME);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  const column = field => getColumnLetter(headers.indexOf(fields[field].header) + 1);
+  const rows = sheet.getRange(2, 1, sheet.getMaxRows() - 1, headers.length);
+  sheet.setConditionalFormatRules([
+    // Seen but not entered yet
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(`=AND($${column("dateSeen")}2<>"",$${column("dateContactEntered")}2="")`)
+      .setBackground(CONTACT_ENTRY_DUE_BACKGROUND)
+      .setRanges([rows])
+      .build(),
+    // Entered
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(`=$${column("dateContactEntered")}2<>""`)
+      .setBackground(CONTACT_ENTERED_BACKGROUND)
+      .setRanges([rows])
+      .build()
+  ]);
+  sheet.hideSheet();
+
+  Logger.log(`✅ Created the "${CONTACT_TEMPLATE_SHEET_NAME}" tab.`);
+  return sheet;
+}
+
+/**
+ * Finds the contact sheet for a month, named with or without the year.
+ * @param {Spreadsheet} ss Case Tracker.
+ * @param {number} month Month index (0-11).
+ * @param {number} year Full year.
+ * @returns {Sheet|null} The sheet, or null if there is none.
+ */
+function findMonthContactSheet(ss, month, year) {
+  const key = formatMonthKey(month, year);
+  const monthEnd = new Date(year, month + 1, 0);
+  return ss.getSheets().find(sheet => {
+    const parsed = parseContactSheetName(sheet.getName(), monthEnd);
+    return parsed && parsed.key === key;
+  }) || null;
+}
+
+/**
+ * Creates the contact sheet for the month containing monthDate.
+ * @param {Date} monthDate Any date in the month.
+ * @returns {Sheet|null} The new sheet, or null if the month already has one.
+ */
+function createMonthContactSheet(monthDate) {
+  getGlobalVariables(false);
+
+  const month = monthDate.getMonth();
+  const year = monthDate.getFullYear();
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const existing = findMonthContactSheet(ss, month, year);
+  if (existing) {
+    Logger.log(`📄 ${existing.getName()} already exists; nothing created.`);
+    return null;
+  }
+
+  const name = `${formatMonthKey(month, year)} Contacts`;
+  const sheet = ensureContactTemplateSheet(ss).copyTo(ss).setName(name);
+  sheet.showSheet();
+
+  const children = getChildrenArray();
+  if (children.length === 0) Logger.log(`⚠️ No children found on the tracker; ${name} has no roster yet.`);
+  const plan = planContactSheetRoster(sheet, children);
+  if (!plan) throw new Error(`"${CONTACT_TEMPLATE_SHEET_NAME}" needs "Child Name" and "Case ID" columns.`);
+  applyContactRosterPlan(plan);
+
+  const seenByCol = plan.columns.seenBy;
+  if (seenByCol && plan.added.length > 0) {
+    try {
+      const { rule } = getSeenByValidationRule();
+      sheet.getRange(plan.lastRow + 1, seenByCol, plan.added.length, 1).setDataValidation(rule);
+    } catch (e) {
+      Logger.log(`⚠️ Could not add the Seen By dropdown to ${name}: ${e.message}`);
+    }
+  }
+
+  if (seenByCol) registerContactSheet(name, seenByCol);
+  else Logger.log(`⚠️ ${name} has no "Seen By" column, so it was not registered as a contact sheet.`);
+
+  Logger.log(`✅ Created ${name} with ${children.length} children.`);
+  return sheet;
+}
+
+/**
+ * Trigger handler (1st of the month): creates this month's contact sheet.
+ */
+function rollOverContactSheets() {
+  createMonthContactSheet(new Date());
+}
+
+/**
+ * Menu entry: creates next month's contact sheet ahead of time.
+ */
+function createNextMonthContactSheetFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const today = new Date();
+  const next = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  try {
+    const sheet = createMonthContactSheet(next);
+    if (sheet) ui.alert(`✅ Created ${sheet.getName()}.`);
+    else ui.alert(`${formatMonthKey(next.getMonth(), next.getFullYear())} already has a contact sheet.`);
+  } catch (e) {
+    Logger.log(`❌ Failed to create next month's contact sheet: ${e.message}`);
+    ui.alert(`❌ Failed to create next month's contact sheet: ${e.message}`);
+  }
+}
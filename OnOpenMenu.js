@@ -17,13 +17,31 @@ function onOpen() {
     .addItem("Copy Automation Info Sheet URL", "copyAutomationInfoSheetURLToClipboard")
     .addItem("Backup Automaiton Info Sheet URL", "updateAutomationInfoSheetBackupRow")
     .addItem("Select Completed Months", "showCompletedMonthsDialog")
+    .addItem("Preview Reminders for Date...", "previewRemindersForDate")
+    .addItem("Force Resend Reminders Now", "forceResendReminders")
+    .addItem("Set Up Email Templates Tab", "setUpEmailTemplatesTab")
+    .addItem("Check Email Templates", "checkEmailTemplates")
+    .addItem("Preview Email Signature", "previewEmailSignature")
+    .addItem("Set Up Escalation Rules Tab", "setUpEscalationRulesTab")
+    .addItem("Check Escalation Rules", "checkEscalationRules")
+    .addItem("Set Up Holidays Tab", "setUpHolidaysTab")
+    .addItem("Refresh Compliance Dashboard", "refreshComplianceDashboardFromMenu")
+    .addItem("Sync Court Calendar", "syncCourtCalendarFromMenu")
+    .addItem("Calculate Summary Due Dates", "backfillSummaryDueDatesFromMenu")
+    .addItem("Scan Contact Replies Now", "scanContactReplies")
+    .addItem("Undo Contact Reply Update...", "undoContactReplyUpdateFromMenu")
     .addSeparator()
     .addItem("Refresh Global Variables", "refreshGlobalVariablesWithPopup")
+    .addItem("Validate Configuration", "showConfigurationReport")
+    .addItem("Export Configuration...", "exportConfigurationFromMenu")
+    .addItem("Import Configuration...", "importConfigurationFromMenu")
     .addSeparator()
     .addItem("Refresh All Employee Data", "refreshEmployeeData")
-    .addItem("Refresh Trigger", "ensureOnURLEditTrigger")
+    .addItem("Manage Triggers...", "showTriggerManagerDialog")
     .addItem("Show Cached Variables", "showVariablesPopup")
     .addItem("Update Seen By Dropdowns", "updateSeenByDropdownsManual")
+    .addItem("Sync Children to Contact Sheets...", "syncContactRosterFromMenu")
+    .addItem("Create Next Month's Contact Sheet", "createNextMonthContactSheetFromMenu")
     .addToUi();
 
   ensureOnURLEditTrigger();
@@ -0,0 +1,244 @@
+/*************************************************************
+ * Reminder Digest
+ * Instead of one email per missing contact / pending summary,
+ * collects every pending item from all contact sheets and the
+ * summary tracker and sends ONE email per recipient:
+ * - each worker gets their own items in a table;
+ * - everyone else a rule copies (supervisor, SSM, custom
+ *   addresses) gets a roll-up of the items for their people,
+ *   grouped by worker.
+ *
+ * Who sees which item still comes from the escalation rules
+ * (to/cc/bcc), so e.g. the SSM only sees escalated items.
+ * "Last Reminder Sent" is stamped per contact / tracker row once the
+ * worker's digest has gone out, and every item is logged in the
+ * Reminder Log as before.
+ *
+ * Turn it on by setting the "reminderDelivery" Variables row to
+ * "digest" (the contact reminder trigger then sends the digest and
+ * the summary trigger stands down), or run sendDailyDigests().
+ *************************************************************/
+
+const DIGEST_DELIVERY_VARIABLE_KEY = "reminderDelivery";
+const DIGEST_SOURCE = "Digest";
+
+/**
+ * Whether the Variables tab asks for digest delivery.
+ * @returns {boolean} True if "reminderDelivery" is "digest".
+ */
+function isDigestDeliveryConfigured() {
+  try {
+    const value = ensureGlobalVariables()[DIGEST_DELIVERY_VARIABLE_KEY] || "";
+    return value.toString().trim().toLowerCase() === "digest";
+  } catch (e) {
+    Logger.log(`⚠️ Could not read ${DIGEST_DELIVERY_VARIABLE_KEY}: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Sends the daily digests: runs the contact and summary engines in
+ * digest mode, then sends one email per recipient.
+ *
+ * @param {Object} options (optional, see getReminderRun()); digest is always on.
+ * @returns {Object} The reminder run.
+ */
+function sendDailyDigests(options) {
+  const run = getReminderRun(options);
+  const ownsRun = !(options && options.run);
+  run.digest = true;
+
+  Logger.log(`📬 Collecting digest items for ${run.today}${run.preview ? " (PREVIEW)" : ""}`);
+  sendMonthlyContactReminders({ run: run });
+  sendSummaryReminders({ run: run });
+  deliverDigests(run);
+
+  if (run.preview && ownsRun) writeReminderPreview(run);
+  return run;
+}
+
+/**
+ * Adds one pending item to a digest run.
+ * @param {Object} run Reminder run in digest mode.
+ * @param {Object} item
+ *   - kind {string}: "contact" or "summary".
+ *   - source, row, caseID, name, tier: as in the Reminder Log.
+ *   - date {Date}: Date seen (contact; null if never seen) or summary due date.
+ *   - days {number}: Days since seen (contact; blank for missed contacts) or days past due (summary).
+ *   - link {string}: Summary link (summary only).
+ *   - workerName, workerEmail, supervisorName, supervisorEmail {string}
+ *   - to, cc, bcc {string[]}: Addresses from the escalation rule.
+ *   - sheet {Sheet}, stampColumn {number}: Where to stamp "Last Reminder Sent" (blank column = not stamped).
+ */
+function recordDigestItem(run, item) {
+  item.recipients = [];
+  item.to.concat(item.cc, item.bcc).forEach(address => {
+    if (address && !item.recipients.includes(address)) item.recipients.push(address);
+  });
+  run.digestItems.push(item);
+  Logger.log(`📝 Digest item ${item.source} row ${item.row}: [${item.tier}] ${item.name} → ${item.recipients.join(", ")}`);
+}
+
+/**
+ * Sends (or previews) one digest per recipient for the items on a run,
+ * then logs every item and stamps "Last Reminder Sent" on contact rows.
+ * @param {Object} run Reminder run in digest mode.
+ * @returns {number} Number of digests sent (or previewed).
+ */
+function deliverDigests(run) {
+  const items = run.digestItems;
+  const date = Utilities.formatDate(run.today, GLOBAL_TIMEZONE, "MM/dd/yyyy");
+
+  // Names to greet each address by
+  const names = {};
+  names[SSM_EMAIL] = SSM_NAME;
+  items.forEach(item => {
+    if (item.supervisorEmail) names[item.supervisorEmail] = item.supervisorName;
+    if (item.workerEmail) names[item.workerEmail] = item.workerName;
+  });
+
+  const addresses = [];
+  items.forEach(item => item.recipients.forEach(a => {
+    if (!addresses.includes(a)) addresses.push(a);
+  }));
+
+  const delivered = {};
+  const failed = {};
+  let digestsSent = 0;
+
+  addresses.forEach(address => {
+    const own = items.filter(item => item.recipients.includes(address) && item.workerEmail === address);
+    const team = items.filter(item => item.recipients.includes(address) && item.workerEmail !== address);
+    const recipientName = names[address] || address;
+
+    let templateId;
+    let htmlBody;
+    const itemCount = own.length + team.length;
+    const workerCount = new Set(team.map(item => item.workerName)).size;
+    if (own.length > 0) {
+      templateId = "workerDigest";
+      const itemsTable = buildDigestTables(own) +
+        (team.length > 0 ? `<h3>Your team</h3>${buildDigestRollUp(team)}` : "");
+      htmlBody = getWorkerDigestHtml(recipientName, itemCount, date, itemsTable);
+    } else {
+      templateId = "rollUpDigest";
+      htmlBody = getRollUpDigestHtml(recipientName, itemCount, workerCount, date, buildDigestRollUp(team));
+    }
+    const subject = getEmailSubject(templateId, {
+      recipientName: recipientName,
+      itemCount: itemCount,
+      workerCount: workerCount,
+      date: date
+    });
+
+    if (run.preview) {
+      recordPreviewReminder(run, {
+        source: DIGEST_SOURCE,
+        row: "",
+        name: recipientName,
+        caseID: "",
+        tier: templateId,
+        to: address,
+        bcc: "",
+        subject: subject,
+        htmlBody: htmlBody
+      });
+      digestsSent++;
+      return;
+    }
+
+    try {
+      GmailApp.sendEmail(address, subject, "", { htmlBody: htmlBody });
+      delivered[address] = true;
+      digestsSent++;
+      Logger.log(`📨 Digest sent to ${address} (${itemCount} item(s)).`);
+    } catch (e) {
+      failed[address] = e.message;
+      Logger.log(`❌ Failed to send digest to ${address}: ${e.message}`);
+    }
+  });
+
+  if (run.preview) return digestsSent;
+
+  items.forEach(item => {
+    const entry = {
+      source: item.source,
+      row: item.row,
+      caseID: item.caseID,
+      name: item.name,
+      tier: item.tier,
+      to: item.to.concat(item.cc).filter(a => delivered[a]).join(","),
+      bcc: item.bcc.filter(a => delivered[a]).join(",")
+    };
+    const reached = item.recipients.filter(a => delivered[a]);
+    if (reached.length === 0) {
+      entry.error = item.recipients.map(a => `${a}: ${failed[a] || "not sent"}`).join("; ");
+    }
+    logReminderAttempt(entry);
+
+    // Stamp the row once the worker (or, without a worker copy, anyone) has it
+    const stamped = item.recipients.includes(item.workerEmail) ? delivered[item.workerEmail] : reached.length > 0;
+    if (item.stampColumn && stamped) {
+      item.sheet.getRange(item.row, item.stampColumn).setValue(date);
+    }
+  });
+
+  Logger.log(`✅ ${digestsSent} digest(s) sent for ${items.length} item(s).`);
+  return digestsSent;
+}
+
+/**
+ * Builds the contact and summary tables for a list of items.
+ * @param {Object[]} items Digest items.
+ * @returns {string} HTML.
+ */
+function buildDigestTables(items) {
+  const format = d => (d ? Utilities.formatDate(d, GLOBAL_TIMEZONE, "MM/dd/yyyy") : "");
+  const cell = value => `<td style="border:1px solid #ccc; padding:4px;">${value}</td>`;
+  const table = (headers, rows) =>
+    `<table style="border-collapse:collapse; margin-bottom:12px;">` +
+    `<tr>${headers.map(h => `<th style="border:1px solid #ccc; padding:4px; text-align:left;">${h}</th>`).join("")}</tr>` +
+    rows.map(r => `<tr>${r.map(cell).join("")}</tr>`).join("") +
+    `</table>`;
+
+  let html = "";
+  const contacts = items.filter(item => item.kind === "contact");
+  const summaries = items.filter(item => item.kind === "summary");
+
+  if (contacts.length > 0) {
+    html += "<p><strong>Contacts to enter</strong></p>" + table(
+      ["Child", "Case ID", "Sheet", "Date Seen", "Days Outstanding", "Tier"],
+      contacts.map(item => [
+        escapeHtml(item.name), escapeHtml(item.caseID), escapeHtml(item.source),
+        format(item.date), item.days, escapeHtml(item.tier)
+      ])
+    );
+  }
+
+  if (summaries.length > 0) {
+    const due = days => (days < 0 ? `due in ${-days}` : days === 0 ? "due today" : `${days} late`);
+    html += "<p><strong>Court summaries</strong></p>" + table(
+      ["Case", "Case Number", "Due Date", "Days Past Due", "Tier", "Summary"],
+      summaries.map(item => [
+        escapeHtml(item.name), escapeHtml(item.caseID), format(item.date), due(item.days), escapeHtml(item.tier),
+        item.link ? `<a href="${escapeHtml(item.link)}">Open</a>` : ""
+      ])
+    );
+  }
+  return html;
+}
+
+/**
+ * Builds roll-up tables grouped by worker.
+ * @param {Object[]} items Digest items.
+ * @returns {string} HTML.
+ */
+function buildDigestRollUp(items) {
+  const workers = [];
+  items.forEach(item => {
+    if (!workers.includes(item.workerName)) workers.push(item.workerName);
+  });
+  return workers.map(workerName =>
+    `<h4>${escapeHtml(workerName)}</h4>` + buildDigestTables(items.filter(item => item.workerName === workerName))
+  ).join("");
+}
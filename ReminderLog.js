@@ -0,0 +1,167 @@
+/*************************************************************
+ * Reminder Log
+ * Records every reminder send attempt on a "Reminder Log" tab in
+ * the Automation Info Sheet, and answers "how many reminders has
+ * this case already had?" from that history.
+ *************************************************************/
+
+const REMINDER_LOG_SHEET_NAME = "Reminder Log";
+const REMINDER_LOG_HEADERS = [
+  "Timestamp", "Source Sheet", "Row", "Case ID", "Child / Case",
+  "Template Tier", "Recipients", "Bcc", "Status", "Message"
+];
+
+// Entries read from the log during this execution (null = not read yet)
+var reminderLogEntries = null;
+
+/**
+ * Returns the "Reminder Log" tab, creating it with headers if needed.
+ * @returns {Sheet} Log sheet.
+ */
+function getReminderLogSheet() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  let sheet = automationInfoSheet.getSheetByName(REMINDER_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = automationInfoSheet.insertSheet(REMINDER_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, REMINDER_LOG_HEADERS.length)
+      .setValues([REMINDER_LOG_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    Logger.log(`✅ Created ${REMINDER_LOG_SHEET_NAME} tab.`);
+  }
+  return sheet;
+}
+
+/**
+ * Appends one send attempt to the log. Never throws: a logging
+ * problem must not stop reminders from going out.
+ *
+ * @param {Object} entry
+ *   - source {string}: Sheet the reminder came from.
+ *   - row {number}: Row in that sheet.
+ *   - caseID {string}: Case ID / case number.
+ *   - name {string}: Child or case name.
+ *   - tier {string}: Template tier (e.g. "standard", "overdue").
+ *   - to {string}: Comma-separated recipients.
+ *   - bcc {string}: Comma-separated bcc list.
+ *   - error {string}: Error message if the send failed (omit on success).
+ */
+function logReminderAttempt(entry) {
+  const record = {
+    timestamp: new Date(),
+    source: entry.source || "",
+    row: entry.row || "",
+    caseID: entry.caseID || "",
+    name: entry.name || "",
+    tier: entry.tier || "",
+    to: entry.to || "",
+    bcc: entry.bcc || "",
+    status: entry.error ? "Error" : "Sent",
+    message: entry.error || ""
+  };
+
+  try {
+    getReminderLogSheet().appendRow([
+      record.timestamp, record.source, record.row, record.caseID, record.name,
+      record.tier, record.to, record.bcc, record.status, record.message
+    ]);
+    if (reminderLogEntries) reminderLogEntries.push(record);
+  } catch (e) {
+    Logger.log(`❌ Failed to write ${REMINDER_LOG_SHEET_NAME}: ${e.message}`);
+  }
+}
+
+/**
+ * Reads the whole log (once per execution).
+ * @returns {Object[]} Entries shaped like logReminderAttempt() records.
+ */
+function readReminderLog() {
+  if (reminderLogEntries) return reminderLogEntries;
+
+  try {
+    const values = getReminderLogSheet().getDataRange().getValues();
+    reminderLogEntries = values.slice(1)
+      .filter(r => r[0] instanceof Date)
+      .map(r => ({
+        timestamp: r[0],
+        source: r[1],
+        row: r[2],
+        caseID: r[3],
+        name: r[4],
+        tier: r[5],
+        to: r[6],
+        bcc: r[7],
+        status: r[8],
+        message: r[9]
+      }));
+  } catch (e) {
+    Logger.log(`❌ Failed to read ${REMINDER_LOG_SHEET_NAME}: ${e.message}`);
+    reminderLogEntries = [];
+  }
+  return reminderLogEntries;
+}
+
+/**
+ * Whether a reminder of one tier was already sent for a row.
+ *
+ * @param {Object} query
+ *   - source {string}: Sheet the reminder came from.
+ *   - caseID {string}: Case ID of the row.
+ *   - name {string}: Child or case name of the row.
+ *   - tier {string}: Template tier (e.g. "missed-notice").
+ * @returns {boolean} True if a successful send is logged.
+ */
+function hasLoggedReminder(query) {
+  const caseID = (query.caseID || "").toString().trim();
+  const name = (query.name || "").toString().trim();
+  return readReminderLog().some(e =>
+    e.status === "Sent" &&
+    e.source === query.source &&
+    e.tier === query.tier &&
+    e.caseID.toString().trim() === caseID &&
+    e.name.toString().trim() === name
+  );
+}
+
+/**
+ * Counts successful reminders already logged for one case.
+ *
+ * @param {Object} query
+ *   - source {string}: Sheet the reminders came from.
+ *   - caseKey {string}: Case ID, or the child/case name when there is no ID.
+ *   - since {Date}: Only count reminders on or after this day.
+ *   - today {Date}: (optional) Day of the current run (defaults to now).
+ *   - email {string}: (optional) Address to count separate days for.
+ * @returns {Object} {sent, daysIncludingEmail}
+ *   - sent: reminders sent since `since`.
+ *   - daysIncludingEmail: distinct days before today `email` was on one.
+ */
+function countLoggedReminders(query) {
+  const start = new Date(query.since);
+  start.setHours(0, 0, 0, 0);
+  const todayKey = (query.today || new Date()).toDateString();
+  const key = (query.caseKey || "").toString().trim();
+  const address = (query.email || "").toString().trim().toLowerCase();
+
+  const entries = readReminderLog().filter(e =>
+    e.status === "Sent" &&
+    e.source === query.source &&
+    (e.caseID.toString().trim() === key || e.name.toString().trim() === key) &&
+    e.timestamp >= start
+  );
+
+  const days = new Set();
+  if (address) {
+    entries.forEach(e => {
+      const dayKey = e.timestamp.toDateString();
+      const addresses = `${e.to},${e.bcc}`.toLowerCase().split(",").map(a => a.trim());
+      if (dayKey !== todayKey && addresses.includes(address)) days.add(dayKey);
+    });
+  }
+
+  return { sent: entries.length, daysIncludingEmail: days.size };
+}
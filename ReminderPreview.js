@@ -0,0 +1,163 @@
+/*************************************************************
+ * Reminder Preview (dry run)
+ * Runs the contact and summary reminder engines without sending
+ * anything and lists what they would send on a "Reminder Preview"
+ * tab in the Case Tracker.
+ *************************************************************/
+
+const REMINDER_PREVIEW_SHEET_NAME = "Reminder Preview";
+const REMINDER_PREVIEW_FOLDER_NAME = "Reminder Previews";
+const REMINDER_PREVIEW_HEADERS = [
+  "Source", "Row", "Child / Case", "Case ID", "Template Tier",
+  "To", "Bcc", "Subject", "Body"
+];
+
+/**
+ * Menu entry: asks for a date, previews both reminder engines for
+ * that date, and reports how many emails would go out.
+ */
+function previewRemindersForDate() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    "Preview Reminders",
+    "Enter the date to preview (MM/dd/yyyy), or leave blank for today:",
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = response.getResponseText().trim();
+  const date = text ? parsePreviewDate(text) : new Date();
+  if (!date) {
+    ui.alert(`"${text}" is not a valid date. Use MM/dd/yyyy.`);
+    return;
+  }
+
+  const run = previewReminders(date);
+  ui.alert(
+    `Preview for ${Utilities.formatDate(date, GLOBAL_TIMEZONE, "MM/dd/yyyy")}: ` +
+    `${run.previewRows.length} email(s) would be sent.\n\n` +
+    `See the "${REMINDER_PREVIEW_SHEET_NAME}" tab. Nothing was sent.`
+  );
+}
+
+/**
+ * Previews contact and summary reminders as of the given date and
+ * writes the result to the "Reminder Preview" tab.
+ * @param {Date} date Date to run as.
+ * @returns {Object} The reminder run (see getReminderRun()).
+ */
+function previewReminders(date) {
+  const run = getReminderRun({ today: date, preview: true });
+
+  sendMonthlyContactReminders({ run: run });
+  sendSummaryReminders({ run: run });
+  if (run.digest) deliverDigests(run);
+
+  writeReminderPreview(run);
+  return run;
+}
+
+/**
+ * Records one would-be email on a preview run.
+ * @param {Object} run Reminder run in preview mode.
+ * @param {Object} entry {source, row, name, caseID, tier, to, bcc, subject, htmlBody}
+ */
+function recordPreviewReminder(run, entry) {
+  run.previewRows.push(entry);
+  Logger.log(`👀 PREVIEW ${entry.source} row ${entry.row}: [${entry.tier}] "${entry.subject}" → ${entry.to}`);
+}
+
+/**
+ * Replaces the "Reminder Preview" tab with the rows collected on a run.
+ * Each rendered body is saved as an HTML file in the "Reminder Previews"
+ * Drive folder (emptied first) and linked from the Body column.
+ * @param {Object} run Reminder run in preview mode.
+ */
+function writeReminderPreview(run) {
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const sheet = ss.getSheetByName(REMINDER_PREVIEW_SHEET_NAME) || ss.insertSheet(REMINDER_PREVIEW_SHEET_NAME);
+  sheet.clear();
+
+  const folder = getReminderPreviewFolder();
+  const rows = run.previewRows.map(entry => [
+    entry.source,
+    entry.row,
+    entry.name,
+    entry.caseID,
+    entry.tier,
+    entry.to,
+    entry.bcc,
+    entry.subject,
+    savePreviewBody(folder, entry)
+  ]);
+
+  sheet.getRange(1, 1, 1, REMINDER_PREVIEW_HEADERS.length)
+    .setValues([REMINDER_PREVIEW_HEADERS])
+    .setFontWeight("bold");
+  sheet.getRange(1, 1).setNote(
+    `Preview for ${Utilities.formatDate(run.today, GLOBAL_TIMEZONE, "MM/dd/yyyy")}, ` +
+    `generated ${Utilities.formatDate(new Date(), GLOBAL_TIMEZONE, "MM/dd/yyyy HH:mm")}. Nothing was sent.`
+  );
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, REMINDER_PREVIEW_HEADERS.length).setValues(rows);
+  }
+
+  Logger.log(`✅ Wrote ${rows.length} preview row(s) to ${REMINDER_PREVIEW_SHEET_NAME}.`);
+}
+
+/**
+ * Returns the Drive folder for rendered preview bodies, trashing
+ * the files left by the previous preview.
+ * @returns {Folder|null} Folder, or null if Drive is unavailable.
+ */
+function getReminderPreviewFolder() {
+  try {
+    const folders = DriveApp.getFoldersByName(REMINDER_PREVIEW_FOLDER_NAME);
+    const folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(REMINDER_PREVIEW_FOLDER_NAME);
+
+    const oldFiles = folder.getFiles();
+    while (oldFiles.hasNext()) oldFiles.next().setTrashed(true);
+
+    return folder;
+  } catch (e) {
+    Logger.log(`⚠️ Could not prepare ${REMINDER_PREVIEW_FOLDER_NAME} folder: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves one rendered body and returns a HYPERLINK formula to it.
+ * @param {Folder|null} folder Folder from getReminderPreviewFolder().
+ * @param {Object} entry Preview entry.
+ * @returns {string} Formula, or a short note when the body wasn't saved.
+ */
+function savePreviewBody(folder, entry) {
+  if (!folder) return "(body not saved)";
+
+  try {
+    const fileName = `${entry.source} row ${entry.row} - ${entry.name}.html`;
+    const file = folder.createFile(fileName, entry.htmlBody, MimeType.HTML);
+    return `=HYPERLINK("${file.getUrl()}", "View body")`;
+  } catch (e) {
+    Logger.log(`⚠️ Could not save preview body for ${entry.source} row ${entry.row}: ${e.message}`);
+    return "(body not saved)";
+  }
+}
+
+/**
+ * Parses MM/dd/yyyy (or M/d/yyyy) typed into a prompt.
+ * @param {string} text User input.
+ * @returns {Date|null} Local midnight of that date, or null if invalid.
+ */
+function parsePreviewDate(text) {
+  const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+
+  const month = Number(match[1]) - 1;
+  const day = Number(match[2]);
+  const date = new Date(Number(match[3]), month, day);
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  return date;
+}
@@ -0,0 +1,66 @@
+/*************************************************************
+ * Reminder Run
+ * Per-run state shared by the reminder engines
+ * (sendMonthlyContactReminders / sendSummaryReminders).
+ *************************************************************/
+
+/**
+ * Builds the state object threaded through one reminder run.
+ * Time-based triggers pass an event object as the first argument,
+ * so only the known option keys are read and anything else is ignored.
+ *
+ * @param {Object} options (optional)
+ *   - today {Date}: Date to run as (defaults to now).
+ *   - preview {boolean}: If true, nothing is sent or written back;
+ *     reminders are collected for the "Reminder Preview" tab instead.
+ *   - digest {boolean}: If true, pending items are collected for one
+ *     digest email per recipient (ReminderDigest.js) instead of one
+ *     email per row. Defaults to the "reminderDelivery" variable
+ *     being "digest".
+ *   - force {boolean}: If true, rows are reminded even if their
+ *     "Last Reminder Sent" date is within the rule's cadence
+ *     (manual resends only).
+ *   - run {Object}: An existing run to reuse (lets one preview cover
+ *     both engines).
+ * @returns {Object} Run state {today, preview, force, previewRows, digest, digestItems}
+ */
+function getReminderRun(options) {
+  const opts = options || {};
+  if (opts.run) return opts.run;
+
+  const today = opts.today instanceof Date && !isNaN(opts.today) ? new Date(opts.today) : new Date();
+
+  return {
+    today: today,
+    preview: opts.preview === true,
+    force: opts.force === true,
+    previewRows: [],
+    digest: typeof opts.digest === "boolean" ? opts.digest : isDigestDeliveryConfigured(),
+    digestItems: []
+  };
+}
+
+/**
+ * Menu entry: sends contact and summary reminders now, ignoring each
+ * row's "Last Reminder Sent" cadence. For manual resends only.
+ */
+function forceResendReminders() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert(
+    "Force Resend Reminders",
+    "Send every due contact and summary reminder now, even to rows already reminded today?",
+    ui.ButtonSet.YES_NO
+  );
+  if (answer !== ui.Button.YES) return;
+
+  const run = getReminderRun({ force: true });
+  if (run.digest) {
+    sendDailyDigests({ run: run });
+  } else {
+    sendMonthlyContactReminders({ run: run });
+    sendSummaryReminders({ run: run });
+  }
+
+  Logger.log("✅ Forced resend finished.");
+  ui.alert("✅ Reminders sent (cadence ignored). See the Reminder Log for details.");
+}
@@ -0,0 +1,238 @@
+/*************************************************************
+ * Sheet Schema
+ * Finds columns by header name instead of position, so inserting
+ * or reordering columns in the Case Tracker doesn't break reminders.
+ *
+ * Each schema lists its fields with the expected header and the
+ * other headers accepted for it. Extra aliases can be added without
+ * a code change through the "columnAliases" Variables row, a JSON
+ * object of field → header(s), e.g.
+ *   {"dateSeen": ["Visit Date"], "summaryLink": "Summary URL"}
+ *
+ * The tracker tab is picked by the "caseTrackerSheetName" variable
+ * (default "Hearing Tracker").
+ *************************************************************/
+
+const DEFAULT_CASE_TRACKER_SHEET_NAME = "Hearing Tracker";
+
+const CONTACT_SHEET_SCHEMA = {
+  label: "contact sheet",
+  fields: {
+    childName:          { header: "Child Name", aliases: ["Child", "Child's Name"], required: true },
+    caseID:             { header: "Case ID", aliases: ["Case Number", "Case #", "Case No"], required: true },
+    dateSeen:           { header: "Date Seen", aliases: ["Seen Date", "Date of Contact"], required: true },
+    seenBy:             { header: "Seen By", aliases: ["Worker"], required: true },
+    dateContactEntered: { header: "Date Contact Entered", aliases: ["Contact Entered", "Date Entered"], required: true },
+    lastReminderSent:   { header: "Last Reminder Sent", aliases: ["Last Reminder"], required: true },
+    missed:             { header: "Missed", aliases: ["Contact Missed"], required: false },
+    reasonMissed:       { header: "Reason Missed", aliases: ["Missed Reason", "Reason for Missed Contact"], required: false }
+  }
+};
+
+const CASE_TRACKER_SCHEMA = {
+  label: "case tracker",
+  fields: {
+    caseName:       { header: "Case Name", aliases: ["Family Name", "Case"], required: true },
+    caseNumber:     { header: "Case Number", aliases: ["Case ID", "Case #", "Case No"], required: false },
+    children:       { header: "Children", aliases: ["Child Names", "Child Name(s)", "Kids"], required: false },
+    hearingType:    { header: "Hearing Type", aliases: ["Type of Hearing"], required: false },
+    assignedWorker: { header: "Assigned Worker", aliases: ["Caseworker", "Case Worker"], required: false },
+    caseStatus:     { header: "Case Status", aliases: ["Status"], required: false },
+    nextCourtDate:  { header: "Next Court Date", aliases: ["Court Date", "Hearing Date"], required: true },
+    hearingTime:    { header: "Hearing Time", aliases: ["Court Time"], required: false },
+    summaryDueDate: { header: "Summary Due Date", aliases: ["Summary Due", "Due Date"], required: true },
+    summaryDueOverride: { header: "Due Date Override", aliases: ["Manual Due Date"], required: false },
+    submitted:      { header: "Submitted", aliases: ["Summary Submitted"], required: true },
+    summaryLink:    { header: "Summary Link", aliases: ["Link to Summary", "Summary URL"], required: true },
+    lastReminderSent: { header: "Last Reminder Sent", aliases: ["Last Reminder"], required: false },
+    hearingEventId: { header: "Hearing Event ID", aliases: ["Hearing Event"], required: false },
+    summaryEventId: { header: "Summary Event ID", aliases: ["Summary Event"], required: false }
+  }
+};
+
+/**
+ * Normalizes a header for comparison: trimmed, lower case, single spaces.
+ * @param {*} value Header cell value.
+ * @returns {string} Normalized header.
+ */
+function normalizeHeader(value) {
+  return (value === null || value === undefined ? "" : value.toString())
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Reads extra aliases from the "columnAliases" variable.
+ * @returns {Object} field → string[] of extra headers.
+ */
+function getConfiguredColumnAliases() {
+  let raw = "";
+  try {
+    raw = ensureGlobalVariables()["columnAliases"] || "";
+  } catch (e) {
+    Logger.log(`⚠️ Could not load columnAliases: ${e.message}`);
+    return {};
+  }
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    const aliases = {};
+    Object.keys(parsed).forEach(field => {
+      aliases[field] = [].concat(parsed[field]).map(a => a.toString());
+    });
+    return aliases;
+  } catch (e) {
+    Logger.log(`⚠️ Ignoring columnAliases, not valid JSON: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Maps each schema field to its column by header name.
+ *
+ * @param {Sheet} sheet Sheet whose row 1 holds the headers.
+ * @param {Object} schema CONTACT_SHEET_SCHEMA, CASE_TRACKER_SCHEMA, ...
+ * @param {Object} extraAliases (optional) From getConfiguredColumnAliases().
+ * @returns {Object} {columns, missing, headers}
+ *   - columns: field → 1-based column number (only found fields).
+ *   - missing: required fields whose header wasn't found.
+ *   - headers: the header row as read.
+ */
+function mapSheetColumns(sheet, schema, extraAliases) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const normalized = headers.map(normalizeHeader);
+  const aliases = extraAliases || {};
+
+  const columns = {};
+  const missing = [];
+
+  Object.keys(schema.fields).forEach(field => {
+    const spec = schema.fields[field];
+    const candidates = [spec.header].concat(spec.aliases || [], aliases[field] || []).map(normalizeHeader);
+    const candidate = candidates.find(name => normalized.includes(name));
+
+    if (candidate !== undefined) {
+      columns[field] = normalized.indexOf(candidate) + 1;
+    } else if (spec.required) {
+      missing.push(field);
+    }
+  });
+
+  return { columns: columns, missing: missing, headers: headers };
+}
+
+/**
+ * Describes what's missing from one sheet in plain words.
+ * @param {Sheet} sheet Sheet checked.
+ * @param {Object} schema Schema it was checked against.
+ * @param {Object} mapping Result of mapSheetColumns().
+ * @returns {string} One-line report.
+ */
+function describeMissingColumns(sheet, schema, mapping) {
+  const wanted = mapping.missing.map(field => {
+    const spec = schema.fields[field];
+    const others = spec.aliases && spec.aliases.length ? ` (or ${spec.aliases.map(a => `"${a}"`).join(", ")})` : "";
+    return `"${spec.header}"${others}`;
+  });
+  const found = mapping.headers.filter(h => h !== "").map(h => `"${h}"`).join(", ") || "(none)";
+  return `"${sheet.getName()}" (${schema.label}) is missing ${wanted.join(", ")}. Headers found: ${found}.`;
+}
+
+/**
+ * Maps the columns of several sheets and refuses to continue if any
+ * required header is missing, reporting every problem at once.
+ *
+ * @param {Object[]} checks [{sheet, schema}]
+ * @returns {Object[]} Column maps (field → 1-based column), in the same order.
+ * @throws {Error} Listing every sheet with missing headers.
+ */
+function requireSheetColumns(checks) {
+  const extraAliases = getConfiguredColumnAliases();
+  const problems = [];
+
+  const maps = checks.map(check => {
+    const mapping = mapSheetColumns(check.sheet, check.schema, extraAliases);
+    if (mapping.missing.length > 0) problems.push(describeMissingColumns(check.sheet, check.schema, mapping));
+    return mapping.columns;
+  });
+
+  if (problems.length > 0) {
+    const message = "❌ Required columns not found, nothing was sent:\n- " + problems.join("\n- ") +
+      "\nRename the header, or add an alias to the \"columnAliases\" row of the Variables tab.";
+    Logger.log(message);
+    throw new Error(message);
+  }
+
+  return maps;
+}
+
+/**
+ * Adds an optional schema column to the end of the header row when
+ * the sheet doesn't have it yet.
+ * @param {Sheet} sheet Sheet to update.
+ * @param {Object} schema Schema the column belongs to.
+ * @param {Object} columns Field → column map; updated in place.
+ * @param {string} field Field to make sure exists.
+ * @returns {number} The field's 1-based column.
+ */
+function ensureSheetColumn(sheet, schema, columns, field) {
+  if (columns[field]) return columns[field];
+
+  const column = sheet.getLastColumn() + 1;
+  sheet.getRange(1, column).setValue(schema.fields[field].header);
+  columns[field] = column;
+  Logger.log(`➕ Added "${schema.fields[field].header}" column to "${sheet.getName()}".`);
+  return column;
+}
+
+/**
+ * Reads one data row into an object keyed by schema field.
+ * @param {Array} row Row values.
+ * @param {Object} columns Field → 1-based column (from requireSheetColumns()).
+ * @returns {Object} Field → value (blank cells as ""; fields not on the sheet are left out).
+ */
+function readRowFields(row, columns) {
+  const record = {};
+  Object.keys(columns).forEach(field => {
+    const value = row[columns[field] - 1];
+    record[field] = value === undefined || value === null ? "" : value;
+  });
+  return record;
+}
+
+/**
+ * Name of the tracker tab: the "caseTrackerSheetName" variable
+ * (default "Hearing Tracker").
+ * @returns {string} Tab name.
+ */
+function getCaseTrackerSheetName() {
+  let name = "";
+  try {
+    name = ensureGlobalVariables()["caseTrackerSheetName"] || "";
+  } catch (e) {
+    Logger.log(`⚠️ Could not load caseTrackerSheetName: ${e.message}`);
+  }
+  return name || DEFAULT_CASE_TRACKER_SHEET_NAME;
+}
+
+/**
+ * Returns the tracker tab of the Case Tracker (see getCaseTrackerSheetName()).
+ * @param {Spreadsheet} ss Case Tracker spreadsheet.
+ * @returns {Sheet} Tracker sheet.
+ * @throws {Error} If the tab doesn't exist.
+ */
+function getCaseTrackerSheet(ss) {
+  const name = getCaseTrackerSheetName();
+  const sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    const tabs = ss.getSheets().map(s => `"${s.getName()}"`).join(", ");
+    throw new Error(
+      `❌ Tracker tab "${name}" not found in the Case Tracker. Tabs: ${tabs}. ` +
+      `Set "caseTrackerSheetName" in the Variables tab to the right tab name.`
+    );
+  }
+  return sheet;
+}
@@ -0,0 +1,207 @@
+/*************************************************************
+ * Summary Due Dates
+ * Works out each tracker row's "Summary Due Date" from its "Next
+ * Court Date": a number of working days (BusinessCalendar.js)
+ * before the hearing, per hearing type.
+ *
+ * Offsets come from the "summaryDueOffsets" Variables row, a JSON
+ * object of hearing type → working days, with "default" for any
+ * other type, e.g.
+ *   {"Permanency": 15, "Review": 10, "default": 10}
+ * Without it every hearing uses DEFAULT_SUMMARY_DUE_OFFSETS.
+ *
+ * Typing a due date by hand checks the row's "Due Date Override"
+ * column (added if missing), and calculated dates never replace a
+ * checked row. Clearing the due date (or unchecking the box) hands
+ * the row back to the calculator.
+ *
+ * Runs from the edit trigger when a court date or hearing type
+ * changes, and from "Calculate Summary Due Dates" for the whole
+ * tracker.
+ *************************************************************/
+
+const SUMMARY_DUE_OFFSETS_VARIABLE_KEY = "summaryDueOffsets";
+const DEFAULT_SUMMARY_DUE_OFFSETS = { default: 10 };
+
+// Offsets read during this execution (null = not read yet)
+var summaryDueOffsets = null;
+
+/**
+ * Returns the working-day offsets per hearing type.
+ * @returns {Object} Lower-cased hearing type → working days before the hearing (always has "default").
+ * @throws {Error} If the Variables row isn't a JSON object of whole numbers of days.
+ */
+function getSummaryDueOffsets() {
+  if (summaryDueOffsets) return summaryDueOffsets;
+
+  const raw = (ensureGlobalVariables()[SUMMARY_DUE_OFFSETS_VARIABLE_KEY] || "").toString().trim();
+  let configured = DEFAULT_SUMMARY_DUE_OFFSETS;
+  if (raw) {
+    try {
+      configured = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`❌ "${SUMMARY_DUE_OFFSETS_VARIABLE_KEY}" variable is not valid JSON: ${e.message}`);
+    }
+    if (!configured || typeof configured !== "object" || Array.isArray(configured)) {
+      throw new Error(`❌ "${SUMMARY_DUE_OFFSETS_VARIABLE_KEY}" must be a JSON object of hearing type → working days.`);
+    }
+  }
+
+  const offsets = { default: DEFAULT_SUMMARY_DUE_OFFSETS.default };
+  const problems = [];
+  Object.keys(configured).forEach(type => {
+    const days = Number(configured[type]);
+    if (!Number.isInteger(days) || days < 0) {
+      problems.push(`"${type}": ${JSON.stringify(configured[type])} is not a whole number of days`);
+      return;
+    }
+    offsets[type.trim().toLowerCase()] = days;
+  });
+  if (problems.length > 0) {
+    throw new Error(`❌ "${SUMMARY_DUE_OFFSETS_VARIABLE_KEY}" is invalid: ${problems.join("; ")}.`);
+  }
+
+  summaryDueOffsets = offsets;
+  return offsets;
+}
+
+/**
+ * Calculates a summary due date.
+ * @param {Date} courtDate Next Court Date.
+ * @param {string} hearingType Hearing Type ("" for the default offset).
+ * @param {Object} offsets From getSummaryDueOffsets().
+ * @returns {Date} The working day that many working days before the hearing.
+ */
+function calculateSummaryDueDate(courtDate, hearingType, offsets) {
+  const type = (hearingType || "").toString().trim().toLowerCase();
+  const days = Object.prototype.hasOwnProperty.call(offsets, type) ? offsets[type] : offsets.default;
+  return addWorkingDays(courtDate, -days);
+}
+
+/**
+ * Whether a "Due Date Override" cell is checked.
+ * @param {*} value Cell value (checkbox true or "TRUE").
+ * @returns {boolean} True if checked.
+ */
+function isSummaryDueOverridden(value) {
+  return value === true || (value || "").toString().trim().toUpperCase() === "TRUE";
+}
+
+/**
+ * Writes the calculated due date to one row unless it is overridden.
+ * @param {Sheet} sheet Tracker sheet.
+ * @param {number} rowIndex Row number.
+ * @param {Object} row Row read by readRowFields().
+ * @param {Object} columns Field → column for the sheet.
+ * @param {Object} offsets From getSummaryDueOffsets().
+ * @returns {string} "filled", "updated", "unchanged", "overridden" or "no court date".
+ */
+function applySummaryDueDate(sheet, rowIndex, row, columns, offsets) {
+  if (isSummaryDueOverridden(row.summaryDueOverride)) return "overridden";
+
+  const courtDate = parseSheetDate(row.nextCourtDate);
+  if (!courtDate) return "no court date";
+
+  const dueDate = calculateSummaryDueDate(courtDate, row.hearingType, offsets);
+  const current = parseSheetDate(row.summaryDueDate);
+  if (current && getCalendarDateKey(current) === getCalendarDateKey(dueDate)) return "unchanged";
+
+  sheet.getRange(rowIndex, columns.summaryDueDate).setValue(dueDate);
+  Logger.log(`📅 ${sheet.getName()} row ${rowIndex}: Summary Due Date ${current ? "recalculated" : "set"} to ${getCalendarDateKey(dueDate)}.`);
+  return current ? "updated" : "filled";
+}
+
+/**
+ * Edit trigger: recalculates the due date when a court date or hearing
+ * type changes, and marks due dates typed by hand as overridden.
+ * @param {Object} e Edit event object.
+ */
+function handleSummaryDueDateEdit(e) {
+  if (!e || !e.range) return;
+
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== getCaseTrackerSheetName()) return;
+
+  const columns = mapSheetColumns(sheet, CASE_TRACKER_SCHEMA, getConfiguredColumnAliases()).columns;
+  if (!columns.nextCourtDate || !columns.summaryDueDate) return;
+
+  const firstColumn = e.range.getColumn();
+  const lastColumn = e.range.getLastColumn();
+  const edited = field => columns[field] && columns[field] >= firstColumn && columns[field] <= lastColumn;
+  if (!edited("nextCourtDate") && !edited("hearingType") && !edited("summaryDueDate") && !edited("summaryDueOverride")) return;
+
+  let offsets;
+  try {
+    offsets = getSummaryDueOffsets();
+  } catch (error) {
+    Logger.log(error.message);
+    return;
+  }
+
+  const width = sheet.getLastColumn();
+  for (let rowIndex = Math.max(e.range.getRow(), 2); rowIndex <= e.range.getLastRow(); rowIndex++) {
+    const row = readRowFields(sheet.getRange(rowIndex, 1, 1, width).getValues()[0], columns);
+
+    if (edited("summaryDueDate")) {
+      const typed = row.summaryDueDate !== "" && row.summaryDueDate !== null;
+      ensureSheetColumn(sheet, CASE_TRACKER_SCHEMA, columns, "summaryDueOverride");
+      sheet.getRange(rowIndex, columns.summaryDueOverride).setValue(typed);
+      Logger.log(`✏️ ${sheet.getName()} row ${rowIndex}: Summary Due Date ${typed ? "entered by hand, marked as overridden" : "cleared, calculated again"}.`);
+      if (typed) continue;
+      row.summaryDueOverride = false;
+    }
+
+    applySummaryDueDate(sheet, rowIndex, row, columns, offsets);
+  }
+}
+
+/**
+ * Calculates due dates for the whole tracker.
+ * @param {Object} options (optional) {recalculate: also replace existing due dates that aren't overridden}
+ * @returns {Object} {filled, updated, overridden} row counts.
+ */
+function backfillSummaryDueDates(options) {
+  const recalculate = !!(options && options.recalculate);
+  getGlobalVariables(false);
+
+  const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
+  const sheet = getCaseTrackerSheet(ss);
+  const [columns] = requireSheetColumns([{ sheet: sheet, schema: CASE_TRACKER_SCHEMA }]);
+  const offsets = getSummaryDueOffsets();
+  const data = sheet.getDataRange().getValues();
+  const counts = { filled: 0, updated: 0, overridden: 0 };
+
+  for (let i = 1; i < data.length; i++) {
+    const row = readRowFields(data[i], columns);
+    if (row.submitted === true) continue;
+    if (!recalculate && parseSheetDate(row.summaryDueDate)) continue;
+
+    const result = applySummaryDueDate(sheet, i + 1, row, columns, offsets);
+    if (counts[result] !== undefined) counts[result]++;
+  }
+
+  Logger.log(`✅ Summary due dates: ${counts.filled} filled, ${counts.updated} recalculated, ${counts.overridden} overridden row(s) left alone.`);
+  return counts;
+}
+
+/**
+ * Menu entry: fills blank due dates and, if asked, recalculates the rest.
+ */
+function backfillSummaryDueDatesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert(
+    "Calculate Summary Due Dates",
+    "Blank Summary Due Dates will be filled in. Also recalculate existing due dates that aren't marked " +
+    "\"Due Date Override\"? Choose No to only fill blank ones.",
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  if (answer !== ui.Button.YES && answer !== ui.Button.NO) return;
+
+  try {
+    const counts = backfillSummaryDueDates({ recalculate: answer === ui.Button.YES });
+    ui.alert(`✅ Summary due dates: ${counts.filled} filled, ${counts.updated} recalculated, ${counts.overridden} overridden row(s) left alone.`);
+  } catch (e) {
+    Logger.log(`❌ Failed to calculate summary due dates: ${e.message}`);
+    ui.alert(`❌ Failed to calculate summary due dates: ${e.message}`);
+  }
+}
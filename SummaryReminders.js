@@ -5,30 +5,76 @@
  * 
  * Combines:
  * - Robust global variable handling and URL loading.
- * - Original email-type logic for different reminder tiers.
+ * - Reminder tiers, recipients and repeat schedules from the summary
+ *   escalation rules (EscalationRules.js), matched on working days
+ *   past the Summary Due Date (BusinessCalendar.js). Nothing is sent
+ *   on weekends and holidays.
+ * - Records each send in the tracker's "Last Reminder Sent" column
+ *   (added if missing) and skips rows reminded within the rule's
+ *   cadence, unless run.force.
+ * - Tracker tab picked by name and columns found by header
+ *   (SheetSchema.js); nothing is sent if a required header is missing.
+ * - Each row goes to its "Assigned Worker" (and their supervisor),
+ *   looked up with getWorkerInfoByName(); a blank or missing column
+ *   means the main worker. Rows naming an unknown worker get nothing.
+ *   Unknown names are checked across the whole tracker before any
+ *   tier is picked and reported in the Reminder Log once per name
+ *   (reportUnknownAssignedWorkers()); editing the cell flags them
+ *   straight away (handleAssignedWorkerEdit()).
+ *
+ * options (optional, see getReminderRun()):
+ * - today: run as if it were this date.
+ * - preview: send nothing and list what would be sent on the
+ *   "Reminder Preview" tab instead.
+ * - digest: collect rows for sendDailyDigests() instead of sending
+ *   (default: "reminderDelivery" variable). Run on its own in digest
+ *   mode this does nothing; the contact trigger sends the digest.
  *************************************************************/
-function sendSummaryReminders() {
+function sendSummaryReminders(options) {
+  const run = getReminderRun(options);
+  const ownsRun = !(options && options.run);
+
+  // Digest mode: summaries go out with the contacts in sendDailyDigests()
+  if (ownsRun && run.digest) {
+    Logger.log("📬 Digest delivery is on; summaries are sent with the daily digest.");
+    return run;
+  }
+
   // Ensure global variables are loaded (no popup)
   getGlobalVariables(false);
 
   // Open the Case Tracker sheet by URL
   const ss = SpreadsheetApp.openByUrl(CASE_TRACKER_URL);
-  const sheet = ss.getSheets()[0]; // First sheet assumed
+  const sheet = getCaseTrackerSheet(ss);
+  const [columns] = requireSheetColumns([{ sheet: sheet, schema: CASE_TRACKER_SCHEMA }]);
+  const rules = getEscalationRules("summary");
+  const tierDays = rules.map(r => r.fromDay).filter(day => day !== null);
+  const firstTierDay = tierDays.length > 0 ? Math.min(...tierDays) : -1;
+  if (!run.preview) ensureSheetColumn(sheet, CASE_TRACKER_SCHEMA, columns, "lastReminderSent");
   const data = sheet.getDataRange().getValues();
-  const today = new Date();
+  const today = run.today;
 
-  Logger.log(`Running sendSummaryReminders() on ${today}`);
+  Logger.log(`Running sendSummaryReminders() on ${today}${run.preview ? " (PREVIEW)" : ""}`);
+  reportUnknownAssignedWorkers(run, sheet, data, columns);
+
+  // Nothing goes out on weekends or holidays; the next working day catches up
+  if (!run.force && !isWorkingDay(today)) {
+    Logger.log(`📅 ${today} is not a working day; no summary reminders sent.`);
+    return run;
+  }
 
   // Loop through rows (skip header)
   for (let i = 1; i < data.length; i++) {
-    const row = data[i];
+    const row = readRowFields(data[i], columns);
 
-    // Column mapping based on layout
-    const fullName = row[0];                // Case Name (LastName, FirstName)
-    const courtDateRaw = row[4];            // Next Court Date
-    const dueDateRaw = row[7];              // Summary Due Date
-    const submitted = row[9] === true;      // Submitted checkbox
-    const summaryLink = row[12];            // Link to Summary
+    // Column mapping by header
+    const fullName = row.caseName;                // Case Name (LastName, FirstName)
+    const caseNumber = row.caseNumber || "";      // Case Number (optional)
+    const courtDateRaw = row.nextCourtDate;       // Next Court Date
+    const dueDateRaw = row.summaryDueDate;        // Summary Due Date
+    const submitted = row.submitted === true;     // Submitted checkbox
+    const summaryLink = row.summaryLink;          // Link to Summary
+    const assignedWorker = (row.assignedWorker || "").toString().trim(); // Assigned Worker (optional)
 
     // Parse last name from "LastName, FirstName"
     let lastName = "";
@@ -53,76 +99,107 @@ function sendSummaryReminders() {
       continue;
     }
 
-    // Date calculations
-    const daysLate = Math.floor((today - dueDate) / (1000 * 60 * 60 * 24));
+    // Date calculations (days late in working days)
+    const daysLate = businessDaysBetween(dueDate, today);
     const daysUntilHearing = courtDate
       ? Math.ceil((courtDate - today) / (1000 * 60 * 60 * 24))
       : 0;
 
-    // Reminder dates
-    const firstReminderDate = new Date(dueDate);
-    firstReminderDate.setDate(dueDate.getDate() - 1);
-
-    const followUpDate = new Date(dueDate);
-    followUpDate.setDate(dueDate.getDate() + 6);
-    const formattedFollowUpDate = followUpDate.toLocaleDateString();
-
-    // Counts for severe overdue logic
-    const remindersSent = Math.max(0, daysLate);
-    const supervisorRemindersSent = Math.max(0, daysLate - 1);
-
-    // Variables for email construction
-    let emailSubject = "";
-    let emailHtmlBody = "";
-    let recipients = [];
-
-    /**************** Determine which reminder email to send ****************/
+    // Escalation rule for this many days past the due date
+    const rule = findEscalationRule(rules, daysLate);
+    if (!rule) {
+      Logger.log(`Row ${i + 1}: No summary escalation rule for day ${daysLate}, nothing to send.`);
+      continue;
+    }
+    if (!isEscalationDueToday(rule, daysLate, today)) {
+      Logger.log(`Row ${i + 1}: ${rule.tier} reminders repeat ${rule.repeat.text}, not today.`);
+      continue;
+    }
+    if (!run.force && isWithinEscalationCadence(rule, row.lastReminderSent, today)) {
+      Logger.log(`Row ${i + 1}: Last reminded ${row.lastReminderSent}, cadence ${rule.cadence.text}; skipped.`);
+      continue;
+    }
 
-    if (today.toDateString() === firstReminderDate.toDateString()) {
-      // Day before due date
-      emailSubject = `Summary Due Tomorrow`;
-      emailHtmlBody = getStandardSummaryReminderHtml(lastName, summaryLink, false);
-      recipients = [MAIN_WORKER_EMAIL];
+    // Worker and supervisor for this case
+    const worker = getSummaryWorker(assignedWorker);
+    if (!worker) {
+      Logger.log(`Row ${i + 1}: ⚠️ Unknown Assigned Worker "${assignedWorker}"; no reminder sent.`);
+      continue;
+    }
 
-      Logger.log(`Row ${i + 1}: Sending "Due Tomorrow" email for ${lastName}`);
+    // Reminder dates: the first tier's first working day (the day before by default)
+    const firstReminderDate = addWorkingDays(dueDate, firstTierDay);
 
-    } else if (today.toDateString() === dueDate.toDateString()) {
-      // Due date
-      emailSubject = `Summary Due Today`;
-      emailHtmlBody = getStandardSummaryReminderHtml(lastName, summaryLink, true);
-      recipients = [MAIN_WORKER_EMAIL];
+    // Follow-up date: the working day before the next tier starts
+    const nextRule = rules[rules.indexOf(rule) + 1];
+    const followUpDate = addWorkingDays(dueDate, nextRule && nextRule.fromDay !== null ? nextRule.fromDay - 1 : 6);
+    const formattedFollowUpDate = followUpDate.toLocaleDateString();
 
-      Logger.log(`Row ${i + 1}: Sending "Due Today" email for ${lastName}`);
+    // Counts for severe overdue logic, from the Reminder Log: every reminder
+    // since the first tier started (plus this one), and the days the
+    // supervisor has been on them.
+    const history = rule.template === "reprimandingSummary"
+      ? countLoggedReminders({
+          source: sheet.getName(),
+          caseKey: caseNumber || fullName,
+          since: firstReminderDate,
+          today: today,
+          email: worker.supervisorEmail
+        })
+      : { sent: 0, daysIncludingEmail: 0 };
+    const remindersSent = history.sent + 1;
+    const supervisorRemindersSent = history.daysIncludingEmail;
 
-    } else if (daysLate > 0 && daysLate < 7) {
-      // 1-6 days late (supervisor included)
-      emailSubject = `Summary Overdue: ${lastName}`;
-      emailHtmlBody = getSupervisorIncludedSummaryReminderHtml(
-        lastName,
-        daysLate,
-        formattedFollowUpDate,
-        summaryLink
-      );
-      recipients = [MAIN_WORKER_EMAIL, MAIN_SUPERVISOR_EMAIL];
+    /**************** Build the email for the rule's template ****************/
 
-      Logger.log(`Row ${i + 1}: Sending "Overdue 1-6 days" email for ${lastName}`);
+    const values = {
+      workerName: worker.workerName,
+      supervisorName: worker.supervisorName,
+      lastName: lastName,
+      summaryLink: summaryLink
+    };
+    let emailHtmlBody = "";
 
-    } else if (daysLate >= 7) {
-      // 7+ days late (SSM included)
-      emailSubject = `Urgent: ${lastName} Summary Severely Overdue`;
+    if (rule.template === "reprimandingSummary") {
+      Object.assign(values, {
+        remindersSent, daysUntilHearing, supervisorRemindersSent, dueDate: dueDate.toLocaleDateString()
+      });
       emailHtmlBody = getReprimandingSummaryReminderHtml(
         lastName,
         remindersSent,
         daysUntilHearing,
         supervisorRemindersSent,
         dueDate.toLocaleDateString(),
-        summaryLink
+        summaryLink,
+        worker
       );
-      recipients = [MAIN_WORKER_EMAIL, MAIN_SUPERVISOR_EMAIL, SSM_EMAIL];
-
-      Logger.log(`Row ${i + 1}: Sending "Severely Overdue" email for ${lastName}`);
+    } else if (rule.template === "supervisorIncludedSummary") {
+      Object.assign(values, { daysLate, followUpDate: formattedFollowUpDate });
+      emailHtmlBody = getSupervisorIncludedSummaryReminderHtml(
+        lastName,
+        daysLate,
+        formattedFollowUpDate,
+        summaryLink,
+        worker
+      );
+    } else {
+      const isDueToday = daysLate >= 0;
+      Object.assign(values, {
+        whenText: isDueToday ? "due today" : "due tomorrow",
+        dueWhen: isDueToday ? "Today" : "Tomorrow"
+      });
+      emailHtmlBody = getStandardSummaryReminderHtml(lastName, summaryLink, isDueToday, worker);
     }
 
+    const emailSubject = getEmailSubject(rule.template, values);
+    const people = { worker: worker.workerEmail, supervisor: worker.supervisorEmail };
+    const recipients = resolveEscalationRecipients(rule.to, people);
+    const ccList = resolveEscalationRecipients(rule.cc, people);
+    const bccList = resolveEscalationRecipients(rule.bcc, people);
+    const tier = rule.tier;
+
+    Logger.log(`Row ${i + 1}: Sending "${tier}" email for ${lastName}`);
+
     /**************** Send Email ****************/
 
     // Skip if no recipients or email content determined
@@ -131,31 +208,168 @@ function sendSummaryReminders() {
       continue;
     }
 
+    const logEntry = {
+      source: sheet.getName(),
+      row: i + 1,
+      caseID: caseNumber,
+      name: fullName,
+      tier: tier
+    };
+
+    if (run.digest) {
+      recordDigestItem(run, Object.assign({}, logEntry, {
+        kind: "summary",
+        date: dueDate,
+        days: daysLate,
+        link: summaryLink,
+        workerName: worker.workerName,
+        workerEmail: worker.workerEmail,
+        supervisorName: worker.supervisorName,
+        supervisorEmail: worker.supervisorEmail,
+        to: recipients,
+        cc: ccList,
+        bcc: bccList,
+        sheet: sheet,
+        stampColumn: columns.lastReminderSent
+      }));
+      continue;
+    }
+
+    if (run.preview) {
+      recordPreviewReminder(run, Object.assign({
+        to: recipients.concat(ccList).join(","),
+        bcc: bccList.join(","),
+        subject: emailSubject,
+        htmlBody: emailHtmlBody
+      }, logEntry));
+      continue;
+    }
+
     // Send email with robust error handling
     try {
       sendEmailWithHtml(
-        recipients.filter(email => email && email.trim() !== ""), // remove blanks
+        recipients,
         emailSubject,
-        emailHtmlBody
+        emailHtmlBody,
+        logEntry,
+        { cc: ccList, bcc: bccList }
       );
       Logger.log(`Row ${i + 1}: Email sent successfully to ${recipients.join(", ")}`);
+      sheet.getRange(i + 1, columns.lastReminderSent).setValue(
+        Utilities.formatDate(today, GLOBAL_TIMEZONE, "MM/dd/yyyy")
+      );
     } catch (e) {
       Logger.log(`Row ${i + 1}: ❌ Failed to send email: ${e.message}`);
     }
   }
+
+  if (run.preview && ownsRun) writeReminderPreview(run);
+  return run;
+}
+
+/**
+ * Worker a tracker row's summary reminders go to.
+ * @param {string} assignedWorker "Assigned Worker" cell ("" for the main worker).
+ * @returns {Object|null} {workerName, workerEmail, supervisorName, supervisorEmail}, or null if the name is unknown.
+ */
+function getSummaryWorker(assignedWorker) {
+  return getContactWorker(assignedWorker || MAIN_WORKER_NAME);
 }
 
+// Script property holding the unknown Assigned Worker names already reported
+const UNKNOWN_ASSIGNED_WORKERS_PROPERTY = "unknownAssignedWorkersReported";
 
+/**
+ * Reports each "Assigned Worker" on the tracker that isn't in the
+ * worker directory: once per name (remembered in the script
+ * properties until the name resolves again), as a Reminder Log error
+ * on its first row. Previews only log.
+ * @param {Object} run Reminder run.
+ * @param {Sheet} sheet Tracker sheet.
+ * @param {Array[]} data Tracker values, header first.
+ * @param {Object} columns Column map (CASE_TRACKER_SCHEMA).
+ * @returns {string[]} Unknown names found.
+ */
+function reportUnknownAssignedWorkers(run, sheet, data, columns) {
+  if (!columns.assignedWorker) return [];
+
+  const firstRows = {};
+  for (let i = 1; i < data.length; i++) {
+    const row = readRowFields(data[i], columns);
+    const name = (row.assignedWorker || "").toString().trim();
+    if (!name || firstRows[name] || getSummaryWorker(name)) continue;
+    firstRows[name] = { rowIndex: i + 1, caseNumber: row.caseNumber || "", caseName: row.caseName || "" };
+  }
+  const unknown = Object.keys(firstRows);
+  if (run.preview) {
+    unknown.forEach(name => Logger.log(`⚠️ Unknown Assigned Worker "${name}" (row ${firstRows[name].rowIndex}).`));
+    return unknown;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const reported = JSON.parse(properties.getProperty(UNKNOWN_ASSIGNED_WORKERS_PROPERTY) || "[]");
+  unknown.filter(name => !reported.includes(name)).forEach(name => {
+    const first = firstRows[name];
+    const message = `Unknown Assigned Worker "${name}"; no summary reminders are sent for their rows.`;
+    Logger.log(`Row ${first.rowIndex}: ⚠️ ${message}`);
+    logReminderAttempt({
+      source: sheet.getName(),
+      row: first.rowIndex,
+      caseID: first.caseNumber,
+      name: first.caseName,
+      tier: "",
+      error: message
+    });
+  });
+  properties.setProperty(UNKNOWN_ASSIGNED_WORKERS_PROPERTY, JSON.stringify(unknown));
+  return unknown;
+}
+
+/**
+ * onEdit handler for the tracker's "Assigned Worker" column: marks a
+ * name that isn't in the worker directory (red text and a note) and
+ * clears the mark once it resolves.
+ * @param {Object} e Edit event object.
+ */
+function handleAssignedWorkerEdit(e) {
+  if (!e || !e.range) return;
+
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== getCaseTrackerSheetName()) return;
+
+  const column = mapSheetColumns(sheet, CASE_TRACKER_SCHEMA, getConfiguredColumnAliases()).columns.assignedWorker;
+  if (!column || column < e.range.getColumn() || column > e.range.getLastColumn()) return;
+
+  for (let rowIndex = Math.max(e.range.getRow(), 2); rowIndex <= e.range.getLastRow(); rowIndex++) {
+    const cell = sheet.getRange(rowIndex, column);
+    const name = (cell.getValue() || "").toString().trim();
+    if (name && !getSummaryWorker(name)) {
+      const problem = findWorkerRecord(name) ? "is marked inactive in" : "is not in";
+      cell.setFontColor(UNKNOWN_WORKER_FONT_COLOR)
+        .setNote(`⚠️ "${name}" ${problem} the worker directory; no summary reminders can be sent for this row.`);
+      Logger.log(`⚠️ ${sheet.getName()} row ${rowIndex}: unknown Assigned Worker "${name}".`);
+    } else {
+      cell.setFontColor(null).clearNote();
+    }
+  }
+}
 
 /*************************************************************
- * sendEmailWithHtml(to, subject, htmlBody)
+ * sendEmailWithHtml(to, subject, htmlBody, logEntry, copies)
  *
  * Sends an HTML email.
- * Accepts single or array of recipients.
+ * Accepts single or array of recipients; copies (optional) is
+ * {cc, bcc}, each a string or array of addresses.
  * Logs recipient, subject, and function call for debugging.
+ * Records the attempt (success or error) in the Reminder Log;
+ * logEntry (optional) supplies source/row/caseID/name/tier.
+ * Errors are rethrown after logging.
  *************************************************************/
-function sendEmailWithHtml(to, subject, htmlBody) {
-  const recipients = Array.isArray(to) ? to.join(",") : to;
+function sendEmailWithHtml(to, subject, htmlBody, logEntry, copies) {
+  const list = value => (Array.isArray(value) ? value.join(",") : value || "");
+  const recipients = list(to);
+  const cc = list(copies && copies.cc);
+  const bcc = list(copies && copies.bcc);
 
   // Log details before sending
   Logger.log(`sendEmailWithHtml() invoked`);
@@ -163,6 +377,17 @@ function sendEmailWithHtml(to, subject, htmlBody) {
   Logger.log(`Subject: ${subject}`);
   Logger.log(`Email body preview: ${htmlBody.substring(0, 100)}...`);
 
+  const entry = Object.assign({ to: [recipients, cc].filter(r => r).join(","), bcc: bcc }, logEntry);
+  const options = { htmlBody: htmlBody };
+  if (cc) options.cc = cc;
+  if (bcc) options.bcc = bcc;
+
   // Send the email
-  GmailApp.sendEmail(recipients, subject, "", { htmlBody: htmlBody });
+  try {
+    GmailApp.sendEmail(recipients, subject, "", options);
+  } catch (e) {
+    logReminderAttempt(Object.assign(entry, { error: e.message }));
+    throw e;
+  }
+  logReminderAttempt(entry);
 }
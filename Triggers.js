@@ -1,38 +1,318 @@
 /*************************************************************
  * Triggers
- * Functions to install and manage triggers
+ * Declares the triggers the app needs and reconciles them against
+ * ScriptApp.getProjectTriggers(), so running it again never adds
+ * duplicates:
+ * - contact and summary reminders, the compliance dashboard and the
+ *   court calendar sync, daily at the "reminderHour" Variables row
+ *   (0-23, default 7);
+ * - next month's contact sheet, on the 1st of each month at the same
+ *   hour (MonthRollover.js);
+ * - the global variables cache refresh, every 5 hours;
+ * - the Gmail scan for contact reminder replies, every hour;
+ * - the edit handler on this spreadsheet (contact sheet checks and
+ *   summary due dates).
+ *
+ * Triggers are matched by handler function. Apps Script can't pause
+ * a trigger, so pausing deletes it and remembers it (user property
+ * "triggerSettings") so reconciling doesn't put it back until it is
+ * installed again. "Manage Triggers..." lists, installs, pauses and
+ * removes them.
  *************************************************************/
 
+const TRIGGER_HOUR_VARIABLE_KEY = "reminderHour";
+const DEFAULT_REMINDER_HOUR = 7;
+const TRIGGER_SETTINGS_PROPERTY = "triggerSettings";
+
+/**
+ * The triggers the app wants installed.
+ * @returns {Object[]} {id, label, handler, kind ("daily" | "monthly" | "hours" | "edit"), hour, monthDay, everyHours}
+ */
+function getTriggerDefinitions() {
+  const hour = getReminderTriggerHour();
+  return [
+    { id: "contactReminders", label: "Contact reminders", handler: "sendMonthlyContactReminders", kind: "daily", hour: hour },
+    { id: "summaryReminders", label: "Summary reminders", handler: "sendSummaryReminders", kind: "daily", hour: hour },
+    { id: "complianceDashboard", label: "Compliance dashboard refresh", handler: "refreshComplianceDashboard", kind: "daily", hour: hour },
+    { id: "calendarSync", label: "Court calendar sync", handler: "syncCourtCalendar", kind: "daily", hour: hour },
+    { id: "monthRollover", label: "Monthly contact sheet rollover", handler: "rollOverContactSheets", kind: "monthly", monthDay: 1, hour: hour },
+    { id: "cacheRefresh", label: "Global variables cache refresh", handler: "refreshGlobalVariablesCache", kind: "hours", everyHours: 5 },
+    { id: "contactReplies", label: "Contact reply scan", handler: "scanContactReplies", kind: "hours", everyHours: 1 },
+    { id: "seenByEdit", label: "Edit handler (contact sheets, due dates)", handler: "handleSeenByEdit", kind: "edit" }
+  ];
+}
+
+/**
+ * Hour of day the daily reminder triggers run at.
+ * @returns {number} "reminderHour" from the Variables tab, or DEFAULT_REMINDER_HOUR.
+ */
+function getReminderTriggerHour() {
+  let value = "";
+  try {
+    value = ensureGlobalVariables()[TRIGGER_HOUR_VARIABLE_KEY];
+  } catch (e) {
+    Logger.log(`⚠️ Could not read ${TRIGGER_HOUR_VARIABLE_KEY}: ${e.message}`);
+  }
+  if (value === undefined || value === null || value.toString().trim() === "") return DEFAULT_REMINDER_HOUR;
+
+  const hour = Number(value);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    Logger.log(`⚠️ ${TRIGGER_HOUR_VARIABLE_KEY} "${value}" is not an hour from 0 to 23; using ${DEFAULT_REMINDER_HOUR}.`);
+    return DEFAULT_REMINDER_HOUR;
+  }
+  return hour;
+}
+
+/**
+ * Reads the paused triggers and the hour each daily or monthly trigger was installed at.
+ * @returns {Object} {paused: string[] (definition ids), hours: {id: hour}}
+ */
+function getTriggerSettings() {
+  try {
+    const json = PropertiesService.getUserProperties().getProperty(TRIGGER_SETTINGS_PROPERTY);
+    const settings = json ? JSON.parse(json) : {};
+    return { paused: settings.paused || [], hours: settings.hours || {} };
+  } catch (e) {
+    Logger.log(`⚠️ Could not read ${TRIGGER_SETTINGS_PROPERTY}: ${e.message}`);
+    return { paused: [], hours: {} };
+  }
+}
+
+/**
+ * Saves the trigger settings.
+ * @param {Object} settings From getTriggerSettings().
+ */
+function saveTriggerSettings(settings) {
+  PropertiesService.getUserProperties().setProperty(TRIGGER_SETTINGS_PROPERTY, JSON.stringify(settings));
+}
+
 /**
- * Installs all necessary triggers for the app.
- * Includes time-based and edit triggers.
+ * Creates the trigger for one definition.
+ * @param {Object} definition From getTriggerDefinitions().
+ */
+function createManagedTrigger(definition) {
+  const builder = ScriptApp.newTrigger(definition.handler);
+  if (definition.kind === "edit") {
+    builder.forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet()).onEdit().create();
+  } else if (definition.kind === "daily") {
+    builder.timeBased().everyDays(1).atHour(definition.hour).create();
+  } else if (definition.kind === "monthly") {
+    builder.timeBased().onMonthDay(definition.monthDay).atHour(definition.hour).create();
+  } else {
+    builder.timeBased().everyHours(definition.everyHours).create();
+  }
+}
+
+/**
+ * Whether a definition runs at a set hour of the day.
+ * @param {Object} definition From getTriggerDefinitions().
+ * @returns {boolean} True for daily and monthly triggers.
+ */
+function isHourlyScheduled(definition) {
+  return definition.kind === "daily" || definition.kind === "monthly";
+}
+
+/**
+ * Makes the installed triggers match the definitions: installs missing
+ * ones, deletes duplicates and paused ones, and re-creates daily and
+ * monthly triggers whose hour changed. Safe to run any number of times.
+ *
+ * @param {string[]} ids (optional) Definition ids to reconcile (default: all).
+ * @returns {Object} {installed, removed, kept}: labels of the triggers affected.
+ */
+function reconcileTriggers(ids) {
+  const settings = getTriggerSettings();
+  const existing = ScriptApp.getProjectTriggers();
+  const result = { installed: [], removed: [], kept: [] };
+
+  getTriggerDefinitions()
+    .filter(definition => !ids || ids.includes(definition.id))
+    .forEach(definition => {
+      const matches = existing.filter(t => t.getHandlerFunction() === definition.handler);
+      const paused = settings.paused.includes(definition.id);
+      const stale = isHourlyScheduled(definition) && settings.hours[definition.id] !== definition.hour;
+
+      // Keep the first match unless paused or at the wrong hour; the rest are duplicates
+      const keep = !paused && !stale && matches.length > 0 ? matches[0] : null;
+      matches.filter(t => t !== keep).forEach(t => {
+        ScriptApp.deleteTrigger(t);
+        result.removed.push(definition.label);
+      });
+
+      if (paused) {
+        Logger.log(`⏸️ ${definition.label} (${definition.handler}) is paused.`);
+      } else if (keep) {
+        result.kept.push(definition.label);
+      } else {
+        createManagedTrigger(definition);
+        if (isHourlyScheduled(definition)) settings.hours[definition.id] = definition.hour;
+        result.installed.push(definition.label);
+        Logger.log(`✅ Installed trigger: ${definition.label} (${definition.handler}).`);
+      }
+    });
+
+  saveTriggerSettings(settings);
+  if (result.removed.length > 0) Logger.log(`🗑️ Removed trigger(s): ${result.removed.join(", ")}`);
+  return result;
+}
+
+/**
+ * Installs all necessary triggers for the app (time-based and edit),
+ * without duplicating any that already exist.
  */
 function installTriggers() {
   Logger.log("Installing triggers...");
+  reconcileTriggers();
+  Logger.log("✅ All triggers installed.");
+}
 
-  // Time-based trigger to refresh global variables every 5 hours
-  ScriptApp.newTrigger("refreshGlobalVariablesCache")
-    .timeBased()
-    .everyHours(5)
-    .create();
+/**
+ * Called from onOpen(): reconciles every managed trigger. Opening the
+ * sheet as a simple trigger can't manage triggers, so failures are
+ * only logged.
+ */
+function ensureOnURLEditTrigger() {
+  try {
+    reconcileTriggers();
+  } catch (e) {
+    Logger.log(`⚠️ Could not check triggers: ${e.message}`);
+  }
+}
 
-  // Edit trigger to handle seen by edits
-  ScriptApp.newTrigger("handleSeenByEdit")
-    .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
-    .onEdit()
-    .create();
+/**
+ * Called from onOpen(): makes sure the Seen By edit trigger exists (once).
+ */
+function ensureHandleSeenByEditTrigger() {
+  try {
+    reconcileTriggers(["seenByEdit"]);
+  } catch (e) {
+    Logger.log(`⚠️ Could not check the Seen By edit trigger: ${e.message}`);
+  }
+}
 
-  Logger.log("✅ All triggers installed.");
+/**
+ * Describes the managed and other project triggers for the dialog.
+ * @returns {Object} {hour, managed: [{id, label, handler, schedule, status, count}], other: [{uniqueId, handler, eventType}]}
+ */
+function getTriggerStatus() {
+  const settings = getTriggerSettings();
+  const existing = ScriptApp.getProjectTriggers();
+  const definitions = getTriggerDefinitions();
+  const hour = getReminderTriggerHour();
+
+  const managed = definitions.map(definition => {
+    const count = existing.filter(t => t.getHandlerFunction() === definition.handler).length;
+    let status = count === 0 ? "missing" : count > 1 ? "duplicated" : "installed";
+    if (settings.paused.includes(definition.id)) status = "paused";
+    else if (count > 0 && isHourlyScheduled(definition) && settings.hours[definition.id] !== definition.hour) status = "outdated";
+
+    const schedule = definition.kind === "daily" ? `Daily at ${definition.hour}:00`
+      : definition.kind === "monthly" ? `Monthly on day ${definition.monthDay} at ${definition.hour}:00`
+      : definition.kind === "hours" ? `Every ${definition.everyHours} hours`
+      : "On edit";
+    return {
+      id: definition.id,
+      label: definition.label,
+      handler: definition.handler,
+      schedule: schedule,
+      status: status,
+      count: count
+    };
+  });
+
+  const handlers = definitions.map(definition => definition.handler);
+  const other = existing
+    .filter(t => !handlers.includes(t.getHandlerFunction()))
+    .map(t => ({ uniqueId: t.getUniqueId(), handler: t.getHandlerFunction(), eventType: String(t.getEventType()) }));
+
+  return { hour: hour, managed: managed, other: other };
+}
+
+/**
+ * Dialog action: un-pauses a managed trigger and installs it.
+ * @param {string} id Definition id.
+ * @returns {Object} getTriggerStatus() after the change.
+ */
+function installManagedTrigger(id) {
+  const settings = getTriggerSettings();
+  settings.paused = settings.paused.filter(p => p !== id);
+  saveTriggerSettings(settings);
+  reconcileTriggers([id]);
+  return getTriggerStatus();
+}
+
+/**
+ * Dialog action: pauses a managed trigger (deletes it until installed again).
+ * @param {string} id Definition id.
+ * @returns {Object} getTriggerStatus() after the change.
+ */
+function pauseManagedTrigger(id) {
+  const settings = getTriggerSettings();
+  if (!settings.paused.includes(id)) settings.paused.push(id);
+  saveTriggerSettings(settings);
+  reconcileTriggers([id]);
+  return getTriggerStatus();
+}
+
+/**
+ * Dialog action: deletes a trigger the app doesn't manage (e.g. one
+ * left over from an old install).
+ * @param {string} uniqueId Trigger's unique id.
+ * @returns {Object} getTriggerStatus() after the change.
+ */
+function removeProjectTrigger(uniqueId) {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getUniqueId() === uniqueId)
+    .forEach(t => {
+      ScriptApp.deleteTrigger(t);
+      Logger.log(`🗑️ Removed trigger ${uniqueId} (${t.getHandlerFunction()}).`);
+    });
+  return getTriggerStatus();
+}
+
+/**
+ * Dialog action: reconciles every managed trigger.
+ * @returns {Object} getTriggerStatus() after the change.
+ */
+function reconcileAllTriggers() {
+  reconcileTriggers();
+  return getTriggerStatus();
+}
+
+/**
+ * Menu entry: opens the trigger manager dialog.
+ */
+function showTriggerManagerDialog() {
+  const html = HtmlService.createHtmlOutputFromFile("TriggerManagerDialog")
+    .setWidth(520)
+    .setHeight(420);
+  SpreadsheetApp.getUi().showModalDialog(html, "Manage Triggers");
 }
 
 /**
  * Function called by onEdit trigger.
- * Delegates to handleSeenByEdit in ContactSheetsFunctions.
+ * Delegates to the contact sheet checks in ContactSheetsFunctions,
+ * the summary due date calculator (SummaryDueDates.js) and the
+ * Assigned Worker check (SummaryReminders.js). A failing check is
+ * logged and doesn't stop the others.
  * @param {Object} e Edit event object.
  */
 function handleSeenByEdit(e) {
   if (!e) return;
 
-  // Just call the function from ContactSheetsFunctions, which now uses ensureGlobalVariables
-  ContactSheetsFunctions_handleSeenByEdit(e);
+  try {
+    ContactSheetsFunctions_handleSeenByEdit(e);
+  } catch (error) {
+    Logger.log(`❌ Contact sheet edit check failed: ${error.message}`);
+  }
+  try {
+    handleSummaryDueDateEdit(e);
+  } catch (error) {
+    Logger.log(`❌ Summary due date edit check failed: ${error.message}`);
+  }
+  try {
+    handleAssignedWorkerEdit(e);
+  } catch (error) {
+    Logger.log(`❌ Assigned Worker edit check failed: ${error.message}`);
+  }
 }
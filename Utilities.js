@@ -1,17 +1,13 @@
 /*************************************************************
  * Utilities & Global Variable Handling
+ * The one loader for the Variables tab. ensureGlobalVariables()
+ * reads it through three layers:
+ *  1. CacheService - short-term (fast access)
+ *  2. PropertiesService - persistent storage
+ *  3. Variables Sheet - ultimate source of truth
+ * Which rows are required comes from ConfigSchema.js.
  *************************************************************/
 
-// List of required global keys
-const REQUIRED_KEYS = [
-  "MAIN_WORKER_EMAIL",
-  "MAIN_WORKER_NAME",
-  "MAIN_SUPERVISOR_EMAIL",
-  "MAIN_SUPERVISOR_NAME",
-  "SSM_NAME",
-  "SSM_EMAIL"
-];
-
 /**
  * Loads the Automation Info Sheet and retrieves global variables from the "Variables" tab.
  * @returns {Object} Key-value pairs of variables.
@@ -54,7 +50,8 @@ function loadAutomationInfoSheet() {
 
 /**
  * Ensures the specified global variables are loaded and cached.
- * Tries Cache → Properties → Sheet fallback.
+ * Tries Cache → Properties → Sheet fallback, and fills the declared
+ * globals from whichever layer answered (hydrateGlobalVariables()).
  * Optionally shows a popup to display the loaded variables.
  * @param {string[]} keys - Array of required variable keys.
  * @param {boolean} showPopup - Whether to display the variables in a popup dialog.
@@ -69,6 +66,7 @@ function ensureGlobalVariables(keys = [], showPopup = false) {
   if (cachedVars) {
     const vars = JSON.parse(cachedVars);
     Logger.log("✅ Loaded global variables from CACHE.");
+    hydrateGlobalVariables(vars);
     const filtered = filterVars(vars, keys);
     if (showPopup) showVariablesPopup(filtered);
     return filtered;
@@ -81,6 +79,7 @@ function ensureGlobalVariables(keys = [], showPopup = false) {
   if (propsVars && Object.keys(propsVars).length > 0) {
     cache.put("globalVariables", JSON.stringify(propsVars), 18000); // 5 hrs
     Logger.log("✅ Loaded global variables from PROPERTIES.");
+    hydrateGlobalVariables(propsVars);
     const filtered = filterVars(propsVars, keys);
     if (showPopup) showVariablesPopup(filtered);
     return filtered;
@@ -114,11 +113,11 @@ function filterVars(vars, keys) {
 /**
  * @deprecated Replaced by ensureGlobalVariables().
  * This function is kept only for backward compatibility and will be removed later.
- * It now calls ensureGlobalVariables(REQUIRED_KEYS) directly and logs a warning.
+ * It now calls ensureGlobalVariables() with the schema's required keys and logs a warning.
  */
 function getGlobalVariables(showPopup = false) {
-  Logger.log("⚠️ getGlobalVariables() is deprecated. Use ensureGlobalVariables(REQUIRED_KEYS) instead.");
-  return ensureGlobalVariables(REQUIRED_KEYS, showPopup);
+  Logger.log("⚠️ getGlobalVariables() is deprecated. Use ensureGlobalVariables() instead.");
+  return ensureGlobalVariables(getRequiredConfigKeys(), showPopup);
 }
 
 /**
@@ -135,10 +134,7 @@ function refreshGlobalVariablesCache() {
       throw new Error("No variables loaded from 'Variables' sheet! Check tab name & key names.");
     }
 
-    // Update script-level temporary globals if needed
-    CASE_TRACKER_URL = vars["caseTrackerUrl"] || "";
-    SSM_NAME = vars["ssmName"] || "";
-    // Add other globals as needed
+    hydrateGlobalVariables(vars);
 
     // Save permanently
     CacheService.getScriptCache().put("globalVariables", JSON.stringify(vars), 18000);
@@ -153,6 +149,56 @@ function refreshGlobalVariablesCache() {
   }
 }
 
+/**
+ * Menu entry: reloads the variables from the sheet and shows them.
+ */
+function refreshGlobalVariablesWithPopup() {
+  showVariablesPopup(refreshGlobalVariablesCache());
+}
+
+/**
+ * Updates one variable everywhere it is stored: the Variables tab
+ * (row added if missing), the cached/persisted variables JSON, and
+ * the script global of the same name.
+ * @param {string} name - Global name (e.g. "CONTACT_COMPLETE_MONTHS") or Variables key.
+ * @param {string} value - New value.
+ */
+function updateGlobalVariable(name, value) {
+  const key = getConfigKeyForGlobal(name) || name;
+
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  const sheet = automationInfoSheet.getSheetByName("Variables");
+  if (!sheet) throw new Error("❌ 'Variables' sheet not found in Automation Info Sheet.");
+
+  const values = sheet.getDataRange().getValues();
+  let foundRow = -1;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === key) {
+      foundRow = i + 1;
+      break;
+    }
+  }
+
+  if (foundRow === -1) {
+    sheet.appendRow([key, value]);
+  } else {
+    sheet.getRange(foundRow, 2).setValue(value);
+  }
+
+  const vars = ensureGlobalVariables();
+  vars[key] = value;
+  CacheService.getScriptCache().put("globalVariables", JSON.stringify(vars), 18000);
+  saveVarsToProperties(vars);
+
+  hydrateGlobalVariables(vars);
+
+  Logger.log(`✅ Updated variable ${key} = ${value}`);
+}
+
 /**
  * Loads variables JSON from PropertiesService.
  * @returns {Object|null} Parsed variables object or null on failure.
@@ -197,11 +243,9 @@ function showVariablesPopup(vars) {
 }
 
 /**
- * Schedules a time-based trigger to refresh global variables cache every 5 hours.
+ * Schedules a time-based trigger to refresh global variables cache every 5 hours
+ * (once; see reconcileTriggers()).
  */
 function scheduleCacheRefresh() {
-  ScriptApp.newTrigger("refreshGlobalVariablesCache")
-    .timeBased()
-    .everyHours(5)
-    .create();
+  reconcileTriggers(["cacheRefresh"]);
 }
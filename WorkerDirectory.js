@@ -0,0 +1,201 @@
+/*************************************************************
+ * Worker Directory
+ * One index of the CPSEmployeeInfo and Additional Workers Info tabs,
+ * read once per run and kept in the script cache, instead of
+ * re-reading both tabs for every contact row.
+ *
+ * Names are matched ignoring case and extra spaces. Two optional
+ * columns on either tab:
+ * - workerAliases: other names the worker goes by, separated by
+ *   commas (e.g. "Jon Smith, J. Smith");
+ * - workerActive: FALSE / No / Inactive takes the worker out of the
+ *   Seen By dropdown and stops their reminders; blank means active.
+ * A real name always wins over another worker's alias; an alias
+ * shared by two workers matches neither.
+ *
+ * "Refresh All Employee Data" (refreshEmployeeData()) reloads the
+ * tabs and the Seen By dropdowns after the tabs are edited.
+ *************************************************************/
+
+const WORKER_DIRECTORY_TABS = ["CPSEmployeeInfo", "Additional Workers Info"];
+const WORKER_DIRECTORY_CACHE_KEY = "workerDirectory";
+const WORKER_DIRECTORY_CACHE_SECONDS = 18000;
+const WORKER_ALIASES_COLUMN = "workerAliases";
+const WORKER_ACTIVE_COLUMN = "workerActive";
+
+// Index loaded during this execution: {workers, byName}
+var workerDirectory = null;
+
+/**
+ * Normalizes a name for matching.
+ * @param {*} name Worker name or alias.
+ * @returns {string} Lowercase, trimmed, single-spaced.
+ */
+function normalizeWorkerName(name) {
+  return (name || "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Reads a workerActive cell.
+ * @param {*} value Cell value.
+ * @returns {boolean} False only for FALSE, No, N, Inactive or 0.
+ */
+function isWorkerActiveValue(value) {
+  if (value === false || value === 0) return false;
+  return !["false", "no", "n", "inactive", "0"].includes(normalizeWorkerName(value));
+}
+
+/**
+ * Reads the worker tabs.
+ * @returns {Object[]} One record per named row: header → cell value, plus
+ *   {tab, aliases (string[]), active (boolean)}.
+ */
+function readWorkerRecords() {
+  ensureAutomationInfoSheetURL();
+  if (!automationInfoSheet) {
+    automationInfoSheet = SpreadsheetApp.openByUrl(AUTOMATION_INFO_SHEET_URL);
+  }
+
+  const workers = [];
+  WORKER_DIRECTORY_TABS.forEach(tabName => {
+    const sheet = automationInfoSheet.getSheetByName(tabName);
+    if (!sheet || sheet.getLastRow() < 2) return;
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0].map(h => (h || "").toString().trim());
+    const nameIdx = headers.indexOf("workerName");
+    if (nameIdx < 0) {
+      Logger.log(`⚠️ ${tabName} has no "workerName" column; skipped.`);
+      return;
+    }
+
+    for (let i = 1; i < data.length; i++) {
+      const name = (data[i][nameIdx] || "").toString().trim();
+      if (!name) continue;
+
+      const record = { tab: tabName };
+      headers.forEach((header, c) => {
+        if (header) record[header] = data[i][c] instanceof Date ? data[i][c].toISOString() : data[i][c];
+      });
+      record.workerName = name;
+      record.aliases = (record[WORKER_ALIASES_COLUMN] || "").toString()
+        .split(/[,;\n]/)
+        .map(alias => alias.trim())
+        .filter(alias => alias);
+      record.active = isWorkerActiveValue(record[WORKER_ACTIVE_COLUMN]);
+      workers.push(record);
+    }
+  });
+  return workers;
+}
+
+/**
+ * Builds the name/alias index over the records.
+ * @param {Object[]} workers From readWorkerRecords().
+ * @returns {Object} {workers, byName: normalized name → index in workers}
+ */
+function indexWorkerRecords(workers) {
+  const byName = {};
+  workers.forEach((worker, i) => {
+    const key = normalizeWorkerName(worker.workerName);
+    if (byName[key] === undefined) byName[key] = i;
+  });
+
+  // Aliases only fill names no worker has; one claimed twice is dropped
+  const aliasOwners = {};
+  workers.forEach((worker, i) => {
+    worker.aliases.forEach(alias => {
+      const key = normalizeWorkerName(alias);
+      if (byName[key] !== undefined) return;
+      (aliasOwners[key] = aliasOwners[key] || []).push(i);
+    });
+  });
+  Object.keys(aliasOwners).forEach(key => {
+    const owners = aliasOwners[key].filter((owner, n, all) => all.indexOf(owner) === n);
+    if (owners.length === 1) {
+      byName[key] = owners[0];
+    } else {
+      Logger.log(`⚠️ Alias "${key}" belongs to ${owners.map(i => workers[i].workerName).join(" and ")}; it matches neither.`);
+    }
+  });
+
+  return { workers: workers, byName: byName };
+}
+
+/**
+ * Returns the worker directory, from this run, the script cache or the tabs.
+ * @param {boolean} forceRefresh If true, re-reads the tabs.
+ * @returns {Object} {workers, byName}
+ */
+function getWorkerDirectory(forceRefresh = false) {
+  if (workerDirectory && !forceRefresh) return workerDirectory;
+
+  const cache = CacheService.getScriptCache();
+  if (!forceRefresh) {
+    const cached = cache.get(WORKER_DIRECTORY_CACHE_KEY);
+    if (cached) {
+      try {
+        workerDirectory = indexWorkerRecords(JSON.parse(cached));
+        return workerDirectory;
+      } catch (e) {
+        Logger.log(`⚠️ Ignoring unreadable cached worker directory: ${e.message}`);
+      }
+    }
+  }
+
+  const workers = readWorkerRecords();
+  workerDirectory = indexWorkerRecords(workers);
+  try {
+    cache.put(WORKER_DIRECTORY_CACHE_KEY, JSON.stringify(workers), WORKER_DIRECTORY_CACHE_SECONDS);
+  } catch (e) {
+    Logger.log(`⚠️ Could not cache the worker directory: ${e.message}`);
+  }
+  Logger.log(`✅ Loaded ${workers.length} workers from ${WORKER_DIRECTORY_TABS.join(" and ")}.`);
+  return workerDirectory;
+}
+
+/**
+ * Finds a worker by name or alias, active or not.
+ * @param {string} name Name as typed (e.g. a Seen By cell).
+ * @returns {Object|null} The worker's record (see readWorkerRecords()), or null.
+ */
+function findWorkerRecord(name) {
+  const key = normalizeWorkerName(name);
+  if (!key) return null;
+
+  const directory = getWorkerDirectory();
+  const index = directory.byName[key];
+  return index === undefined ? null : directory.workers[index];
+}
+
+/**
+ * Names of the active workers, for the Seen By dropdown.
+ * @returns {string[]} In tab order, without duplicates.
+ */
+function getActiveWorkerNames() {
+  const names = getWorkerDirectory().workers
+    .filter(worker => worker.active)
+    .map(worker => worker.workerName);
+  return [...new Set(names)];
+}
+
+/**
+ * Menu entry: reloads the worker tabs, the signature profiles and the
+ * Seen By dropdowns.
+ */
+function refreshEmployeeData() {
+  const directory = getWorkerDirectory(true);
+  signatureProfiles = {};
+
+  const inactive = directory.workers.filter(worker => !worker.active).length;
+  let message = `✅ Worker directory reloaded: ${directory.workers.length - inactive} active, ${inactive} inactive.`;
+  try {
+    updateSeenByDropdowns(false);
+  } catch (e) {
+    Logger.log(`⚠️ Could not update the Seen By dropdowns: ${e.message}`);
+    message += `\n⚠️ Could not update the Seen By dropdowns: ${e.message}`;
+  }
+
+  Logger.log(message);
+  SpreadsheetApp.getUi().alert(message);
+}
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER } = fixtures;
+
+// Monday 1/19/2026 is a holiday
+function calendarHarness(today, caseTracker) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Holidays"] = [
+    ["Date", "Holiday"],
+    [new Date(2026, 0, 19), "MLK Day"],
+    ["not a date", ""]
+  ];
+
+  return createHarness({
+    today,
+    automationInfo,
+    caseTracker: Object.assign({ "Hearing Tracker": fixtures.hearingTrackerRows([]) }, caseTracker),
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("working days skip weekends and the Holidays tab", () => {
+  const h = calendarHarness(new Date(2026, 0, 14, 9));
+  const c = h.context;
+
+  assert.strictEqual(c.isWorkingDay(new Date(2026, 0, 16)), true);
+  assert.strictEqual(c.isWorkingDay(new Date(2026, 0, 17)), false);
+  assert.strictEqual(c.isWorkingDay(new Date(2026, 0, 19)), false);
+  assert.strictEqual(c.nextWorkingDay(new Date(2026, 0, 17, 15)).getDate(), 20);
+  assert.strictEqual(c.addWorkingDays(new Date(2026, 0, 15), 2).getDate(), 20);
+
+  // Fri 1/16 → Tue 1/20 is one working day; the reverse is negative
+  assert.strictEqual(c.businessDaysBetween(new Date(2026, 0, 16), new Date(2026, 0, 20, 9)), 1);
+  assert.strictEqual(c.businessDaysBetween(new Date(2026, 0, 20, 9), new Date(2026, 0, 16)), -1);
+  // Wed 1/14: 11 working days left in January once the holiday is removed
+  assert.strictEqual(c.daysRemainingInMonth(new Date(2026, 0, 14, 9)), 11);
+  assert.ok(h.logger.lines.some(line => /Holidays row 3: "not a date" is not a date/.test(line)));
+});
+
+test("nothing is sent on a holiday, and summary tiers count working days", () => {
+  const tracker = {
+    "Hearing Tracker": fixtures.hearingTrackerRows([
+      { caseName: "Clark, Cory", dueDate: new Date(2026, 0, 16), link: "https://docs/clark" }
+    ]),
+    "January Contacts": fixtures.contactSheetRows([
+      { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+    ])
+  };
+
+  const holiday = calendarHarness(new Date(2026, 0, 19, 9), tracker);
+  holiday.context.sendMonthlyContactReminders();
+  holiday.context.sendSummaryReminders();
+  assert.strictEqual(holiday.sent.length, 0);
+
+  // Tuesday: due Friday, so one working day late
+  const h = calendarHarness(new Date(2026, 0, 20, 9), tracker);
+  h.context.sendSummaryReminders();
+  assert.strictEqual(h.sent.length, 1);
+  assert.match(h.sent[0].htmlBody, /The Clark summary is 1 working days late/);
+  assert.match(h.sent[0].htmlBody, /isn't submitted by 1\/27\/2026/);
+});
+
+test("the weekly prior-month reminder moves to Tuesday when Monday is a holiday", () => {
+  const december = {
+    "December Contacts": fixtures.contactSheetRows([
+      { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 10), seenBy: MAIN_WORKER.workerName }
+    ])
+  };
+
+  const tuesday = calendarHarness(new Date(2026, 0, 20, 9), december);
+  tuesday.context.sendMonthlyContactReminders();
+  assert.deepStrictEqual(tuesday.sent.map(m => m.subject), ["Contact Entry Reminder – Avery Doe"]);
+  assert.match(tuesday.sent[0].htmlBody, /now past due for the previous month/);
+
+  const wednesday = calendarHarness(new Date(2026, 0, 21, 9), december);
+  wednesday.context.sendMonthlyContactReminders();
+  assert.strictEqual(wednesday.sent.length, 0);
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER } = fixtures;
+const CALENDAR_ID = "court-dates@group.calendar.google.com";
+
+function calendarHarness(rows, variables) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || { courtCalendarId: CALENDAR_ID });
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: { "Hearing Tracker": fixtures.hearingTrackerRows(rows) },
+    globals: fixtures.defaultGlobals()
+  });
+  return { h, calendar: h.calendarApp.addCalendar(CALENDAR_ID) };
+}
+
+const ROWS = [
+  {
+    caseName: "Adams, Jo", caseNumber: "C-100", children: "Avery Adams", hearingType: "Review",
+    courtDate: new Date(2026, 0, 28), hearingTime: "9:30 AM", dueDate: new Date(2026, 0, 21),
+    link: "https://docs.example.org/adams"
+  },
+  { caseName: "Baker, Lee", caseNumber: "C-200", courtDate: new Date(2026, 0, 26), dueDate: new Date(2026, 0, 12) },
+  { caseName: "Clark, Sam", caseNumber: "C-300", courtDate: new Date(2026, 0, 20), dueDate: new Date(2026, 0, 9), submitted: true }
+];
+
+test("tracker rows become hearing and summary events with their ids stored on the row", () => {
+  const { h, calendar } = calendarHarness(ROWS);
+
+  const counts = h.context.syncCourtCalendar();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { created: 5, updated: 0, deleted: 0 });
+  const titles = calendar.events.map(e => [e.title, e.allDay]);
+  assert.deepStrictEqual(titles, [
+    ["Hearing: Adams, Jo (Review)", false],
+    ["Summary Due: Adams, Jo", true],
+    ["Hearing: Baker, Lee", true],
+    ["Summary Due: Baker, Lee", true],
+    ["Hearing: Clark, Sam", true]
+  ]);
+
+  const hearing = calendar.events[0];
+  assert.strictEqual(hearing.start.getHours(), 9);
+  assert.strictEqual(hearing.start.getMinutes(), 30);
+  assert.match(hearing.description, /Summary: https:\/\/docs\.example\.org\/adams/);
+
+  // Only the overdue summary invites the supervisor
+  assert.deepStrictEqual(calendar.events[1].guests, []);
+  assert.deepStrictEqual(calendar.events[3].guests, [MAIN_WORKER.supervisorEmail]);
+
+  const sheet = h.sheet("Hearing Tracker");
+  const data = sheet.dump();
+  assert.deepStrictEqual(data[0].slice(13), ["Hearing Event ID", "Summary Event ID"]);
+  assert.deepStrictEqual(data[1].slice(13), [calendar.events[0].id, calendar.events[1].id]);
+  assert.deepStrictEqual(data[3].slice(13), [calendar.events[4].id, ""]);
+});
+
+test("re-running updates the same events and deletes ones no longer wanted", () => {
+  const { h, calendar } = calendarHarness(ROWS);
+  h.context.syncCourtCalendar();
+
+  let counts = h.context.syncCourtCalendar();
+  assert.deepStrictEqual(Object.assign({}, counts), { created: 0, updated: 0, deleted: 0 });
+  assert.strictEqual(calendar.events.length, 5);
+
+  const sheet = h.sheet("Hearing Tracker");
+  sheet.getRange("E2").setValue(new Date(2026, 0, 29)); // Adams hearing moved
+  sheet.getRange("J3").setValue(true);                  // Baker summary submitted
+  sheet.getRange("E4").setValue("");                    // Clark hearing cleared
+
+  counts = h.context.syncCourtCalendar();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { created: 0, updated: 1, deleted: 2 });
+  assert.deepStrictEqual(calendar.events.map(e => e.title), [
+    "Hearing: Adams, Jo (Review)",
+    "Summary Due: Adams, Jo",
+    "Hearing: Baker, Lee"
+  ]);
+  assert.strictEqual(calendar.events[0].start.getDate(), 29);
+  assert.strictEqual(sheet.getRange("O3").getValue(), "");
+  assert.strictEqual(sheet.getRange("N4").getValue(), "");
+});
+
+test("a stored event that is already gone is cleared without counting as deleted", () => {
+  const { h, calendar } = calendarHarness(ROWS);
+  h.context.syncCourtCalendar();
+
+  calendar.events[4].deleteEvent();                     // Clark hearing removed by hand
+  const sheet = h.sheet("Hearing Tracker");
+  sheet.getRange("E4").setValue("");                    // then the hearing is cleared
+
+  const counts = h.context.syncCourtCalendar();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { created: 0, updated: 0, deleted: 0 });
+  assert.strictEqual(sheet.getRange("N4").getValue(), "");
+});
+
+test("hearing times are read from time cells and text", () => {
+  const { h } = calendarHarness([]);
+  const parse = value => {
+    const time = h.context.parseHearingTime(value);
+    return time && [time.hours, time.minutes];
+  };
+
+  assert.deepStrictEqual(parse("9:30 AM"), [9, 30]);
+  assert.deepStrictEqual(parse("1:15pm"), [13, 15]);
+  assert.deepStrictEqual(parse("14:00"), [14, 0]);
+  assert.deepStrictEqual(parse(new Date(1899, 11, 30, 10, 45)), [10, 45]);
+  assert.strictEqual(parse("9"), null);
+  assert.strictEqual(parse("TBD"), null);
+});
+
+test("without a calendar id the sync does nothing", () => {
+  const { h } = calendarHarness(ROWS, {});
+
+  assert.strictEqual(h.context.syncCourtCalendar(), null);
+  assert.strictEqual(h.writesTo("Hearing Tracker").length, 0);
+
+  h.context.syncCourtCalendarFromMenu();
+  assert.match(h.ui.alerts[0], /courtCalendarId/);
+});
+
+test("events of a deleted tracker row are removed, events added by hand or by another tracker are not", () => {
+  const { h, calendar } = calendarHarness(ROWS);
+  h.context.syncCourtCalendar();
+  calendar.createAllDayEvent("Office closed", new Date(2026, 0, 19), {});
+  calendar.createAllDayEvent("Hearing: Other unit", new Date(2026, 0, 22), {}).setTag("caseTrackerEvent", "other-tracker:hearing:C-900");
+  assert.strictEqual(calendar.events[0].getTag("caseTrackerEvent"), `${h.caseTracker.getId()}:hearing:C-100`);
+
+  h.sheet("Hearing Tracker").deleteRow(3); // Baker, with both events
+
+  const counts = h.context.syncCourtCalendar();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { created: 0, updated: 0, deleted: 2 });
+  assert.deepStrictEqual(calendar.events.map(e => e.title), [
+    "Hearing: Adams, Jo (Review)",
+    "Summary Due: Adams, Jo",
+    "Hearing: Clark, Sam",
+    "Office closed",
+    "Hearing: Other unit"
+  ]);
+});
+
+test("the failure alert names the missing calendar", () => {
+  const { h } = calendarHarness(ROWS, { courtCalendarId: "missing@group.calendar.google.com" });
+
+  h.context.syncCourtCalendarFromMenu();
+
+  assert.strictEqual(h.ui.alerts[0],
+    '❌ Failed to sync the court calendar: Calendar "missing@group.calendar.google.com" (courtCalendarId) not found or not shared with this account.');
+});
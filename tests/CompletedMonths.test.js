@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, variable } = fixtures;
+
+test("a quiet Monday marks the finished month complete with its year", () => {
+  const h = createHarness({
+    today: new Date(2026, 1, 2, 9), // Monday
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, entered: new Date(2026, 0, 6) }
+      ]),
+      "February Contacts": fixtures.contactSheetRows([])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(variable(h, "contactCompleteMonths"), "January 2026");
+  assert.strictEqual(h.context.CONTACT_COMPLETE_MONTHS, "January 2026");
+});
+
+test("completed months are skipped; legacy bare names only cover the latest such month", () => {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo.Variables = fixtures.variablesRows({ contactCompleteMonths: "January" });
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  // A preview reads the legacy name without rewriting it
+  h.context.previewReminders(new Date(2026, 0, 14));
+  assert.strictEqual(variable(h, "contactCompleteMonths"), "January");
+
+  assert.deepStrictEqual([...h.context.getCompletedMonths()], ["January 2026"]);
+  assert.strictEqual(variable(h, "contactCompleteMonths"), "January 2026");
+  h.context.sendMonthlyContactReminders();
+  assert.strictEqual(h.sent.length, 0);
+
+  h.setToday(new Date(2027, 0, 14, 9));
+  h.context.getCompletedMonths();
+  assert.strictEqual(h.context.getContactCompleteMonths(), "January 2026");
+});
+
+test("dialog submit marks checked months and unmarks shown-but-unchecked ones", () => {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo.Variables = fixtures.variablesRows({ contactCompleteMonths: "March 2024, December 2025, November 2025" });
+  const h = createHarness({ today: new Date(2026, 0, 14, 9), automationInfo });
+
+  const shown = [...h.context.getCompletedMonthOptions()];
+  assert.strictEqual(shown[0], "January 2026");
+  assert.ok(shown.includes("March 2024"));
+
+  h.context.addCompletedMonths(["January 2026", "November 2025"], shown.filter(m => m !== "March 2024"));
+
+  assert.strictEqual(variable(h, "contactCompleteMonths"), "January 2026, November 2025, March 2024");
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+test("the dashboard counts each month per worker with totals, compliance and a trend chart", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "December 2025 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 3), seenBy: MAIN_WORKER.workerName, entered: new Date(2025, 11, 4) },
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 3), seenBy: MAIN_WORKER.workerName, entered: "01/02/2026" },
+        { child: "Cory Roe", caseId: "C-200", seenBy: OTHER_WORKER.workerName, missed: true, reason: "Family moved" },
+        { child: "Dana Poe", caseId: "C-300", dateSeen: new Date(2025, 11, 9), seenBy: OTHER_WORKER.workerName }
+      ]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, entered: new Date(2026, 0, 6) },
+        { child: "Eden Fox", caseId: "C-400" }
+      ]),
+      "February 2026 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.refreshComplianceDashboardFromMenu();
+  h.context.refreshComplianceDashboard();
+
+  const sheet = h.sheet("Compliance Dashboard");
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows.slice(0, 7).map(r => r.slice(0, 9)), [
+    ["Month", "Worker", "Children", "Seen", "Entered In Month", "Entered Late", "Still Missing", "Missed (Reason Given)", "Compliance %"],
+    ["December 2025", MAIN_WORKER.workerName, 2, 2, 1, 1, 0, 0, 0.5],
+    ["December 2025", OTHER_WORKER.workerName, 2, 1, 0, 0, 1, 1, 0],
+    ["December 2025", "All workers", 4, 3, 1, 1, 1, 1, 1 / 3],
+    ["January 2026", "(No Seen By)", 1, 0, 0, 0, 1, 0, 0],
+    ["January 2026", MAIN_WORKER.workerName, 1, 1, 1, 0, 0, 0, 1],
+    ["January 2026", "All workers", 2, 1, 1, 0, 1, 0, 0.5]
+  ]);
+  assert.deepStrictEqual(rows.slice(0, 3).map(r => r.slice(10, 12)), [
+    ["Month", "Compliance %"], ["December 2025", 1 / 3], ["January 2026", 0.5]
+  ]);
+
+  // Rebuilt in place: one chart, no February (future) rows
+  assert.strictEqual(sheet.getCharts().length, 1);
+  assert.ok(sheet.getCharts()[0].calls.some(c => c.method === "asLineChart"));
+  assert.ok(!rows.some(r => r[0] === "February 2026"));
+  assert.match(h.ui.alerts[0], /refreshed for 2 month\(s\)/);
+});
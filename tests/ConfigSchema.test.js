@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, SSM } = fixtures;
+
+function configHarness(variables) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+  return createHarness({ today: new Date(2026, 0, 14, 9), automationInfo });
+}
+
+function globals(h) {
+  return ["MAIN_WORKER_EMAIL", "SSM_EMAIL", "WORKER_CELL_NUMBER", "CONTACT_COMPLETE_MONTHS", "CASE_TRACKER_URL"]
+    .map(name => h.context[name]);
+}
+
+test("every load path fills all declared globals", () => {
+  const expected = [MAIN_WORKER.workerEmail, SSM.email, "304-555-0100", "December 2025", fixtures.CASE_TRACKER_URL];
+  const variables = { workerCellNumber: "304-555-0100", contactCompleteMonths: "December 2025" };
+
+  // Sheet
+  let h = configHarness(variables);
+  h.context.ensureGlobalVariables();
+  assert.deepStrictEqual(globals(h), expected);
+  const stored = h.scriptProperties.getProperty("globalVariablesJSON");
+
+  // Properties
+  h = configHarness();
+  h.scriptProperties.setProperty("globalVariablesJSON", stored);
+  h.context.ensureGlobalVariables();
+  assert.deepStrictEqual(globals(h), expected);
+
+  // Cache
+  h = configHarness();
+  h.scriptCache.put("globalVariables", stored, 18000);
+  h.context.ensureGlobalVariables();
+  assert.deepStrictEqual(globals(h), expected);
+
+  // The deprecated loader asks for the rows the schema marks required
+  assert.deepStrictEqual(Object.keys(h.context.getGlobalVariables()), Array.from(h.context.getRequiredConfigKeys()));
+  assert.deepStrictEqual(Array.from(h.context.getRequiredConfigKeys()), [
+    "caseTrackerUrl", "ssmName", "ssmEmail", "mainWorkerName", "mainWorkerEmail", "mainSupervisorName", "mainSupervisorEmail"
+  ]);
+});
+
+test("Validate Configuration lists missing, invalid and unknown rows", () => {
+  const h = configHarness({
+    ssmEmail: "",
+    mainWorkerEmail: "morgan.main(at)example.org",
+    reminderHour: "25",
+    summaryDueOffsets: "{default: 10}",
+    workerCellNumber: "(304) 555-0100",
+    mainWorkerEmial: "typo@example.org"
+  });
+
+  h.context.showConfigurationReport();
+
+  const lines = h.ui.alerts.pop().split("\n");
+  assert.deepStrictEqual(lines.slice(0, 5), [
+    "❌ Configuration problems:",
+    "",
+    "❌ ssmEmail (SSM_EMAIL) is required but missing.",
+    '❌ mainWorkerEmail (MAIN_WORKER_EMAIL): "morgan.main(at)example.org" is not an email address.',
+    '❌ reminderHour: "25" is not between 0 and 23.'
+  ]);
+  assert.match(lines[5], /^❌ summaryDueOffsets: "\{default: 10\}" is not valid JSON/);
+  assert.strictEqual(lines[6], "⚠️ mainWorkerEmial is not a known setting (typo?).");
+  assert.strictEqual(lines.length, 7);
+
+  const clean = configHarness();
+  clean.context.showConfigurationReport();
+  assert.match(clean.ui.alerts.pop(), /^✅ Configuration OK: \d+ settings checked\.$/);
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, variable } = fixtures;
+
+function unitHarness(variables, extraTabs) {
+  const automationInfo = Object.assign(fixtures.defaultAutomationInfo(), extraTabs || {});
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January 2026 Contacts": fixtures.contactSheetRows([]),
+      "February 2026 Contacts": fixtures.contactSheetRows([])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+function exportFrom(h, includePersonal) {
+  const file = h.context.exportConfiguration({ includePersonal });
+  return JSON.parse(file.getBlob().getDataAsString());
+}
+
+test("an export without personal details stands up another unit and keeps its own details", () => {
+  const source = unitHarness(
+    {
+      reminderHour: "6",
+      workerCellNumber: "304-555-0100",
+      summaryDueOffsets: '{"default": 7}',
+      courtCalendarId: "unit-calendar@group.calendar.google.com",
+      escalationRules: JSON.stringify([{ reminder: "summary", tier: "late", fromDay: 1, template: "standardSummary", to: "worker", bcc: "audit@example.org" }])
+    },
+    { "Email Templates": [
+      ["Template", "Subject", "Body", "Placeholders"],
+      ["workerDigest", "Your list for {{date}}", "", ""],
+      ["standardContact", "", "Questions? Write to intake.lead@example.org.", ""]
+    ] }
+  );
+  source.context.pauseManagedTrigger("contactReplies");
+  const bundle = exportFrom(source, false);
+
+  assert.strictEqual(bundle.version, 1);
+  assert.strictEqual(bundle.workers, null);
+  assert.deepStrictEqual(Object.keys(bundle.variables).sort(), ["reminderHour", "summaryDueOffsets"]);
+  assert.deepStrictEqual(Object.keys(bundle.emailTemplates), ["workerDigest"]);
+  assert.deepStrictEqual(bundle.contactSheets.map(cs => cs.name), ["January 2026 Contacts", "February 2026 Contacts"]);
+  assert.deepStrictEqual(bundle.triggers.paused, ["contactReplies"]);
+
+  const target = unitHarness({ mainWorkerEmail: "new.worker@example.org" });
+  target.caseTracker.sheets.pop(); // no February sheet in the new unit
+  const file = target.driveApp.createFile("export.json", JSON.stringify(bundle), "application/json");
+  let diff = "";
+
+  const applied = target.context.importConfiguration(file.getUrl(), { confirm: text => { diff = text; return true; } });
+
+  assert.deepStrictEqual(diff.split("\n"), [
+    'Variable reminderHour: (blank) → "6"',
+    'Variable summaryDueOffsets: (blank) → "{"default": 7}"',
+    "Contact sheet: February 2026 Contacts is not in this tracker, skipped",
+    "Email template workerDigest: added",
+    "Paused triggers: (none) → contactReplies"
+  ]);
+  assert.strictEqual(applied.length, 4); // the skipped sheet isn't a change
+  assert.strictEqual(variable(target, "reminderHour"), "6");
+  assert.strictEqual(variable(target, "mainWorkerEmail"), "new.worker@example.org");
+  assert.strictEqual(target.context.getEmailTemplateOverrides().workerDigest.subject, "Your list for {{date}}");
+  assert.ok(!target.scriptApp.triggers.some(t => t.handler === "scanContactReplies"));
+  assert.ok(target.scriptApp.triggers.some(t => t.handler === "sendSummaryReminders" && t.details.atHour === 6));
+
+  // Importing the same file again changes nothing
+  assert.deepStrictEqual(Array.from(target.context.importConfiguration(file.getId())), []);
+});
+
+test("a full export carries the worker tabs and the menu asks before including them", () => {
+  const source = unitHarness();
+  source.ui.respond(source.ui.Button.YES);
+  source.context.exportConfigurationFromMenu();
+  assert.match(source.ui.alerts.pop(), /^✅ Configuration exported to "Case Tracker Config Exports":\nhttps:\/\/drive\.google\.com\/file\/d\/file-\d+\/view$/);
+  const bundle = JSON.parse(source.driveApp.files[0].getBlob().getDataAsString());
+  assert.strictEqual(bundle.variables.mainWorkerEmail, MAIN_WORKER.workerEmail);
+  assert.strictEqual(bundle.variables.contactSheets, undefined);
+  assert.strictEqual(bundle.variables.caseTrackerUrl, undefined);
+
+  // A file from before the tracker URL was left out still can't repoint this unit
+  bundle.variables.caseTrackerUrl = "https://docs.google.com/spreadsheets/d/other-unit/edit";
+
+  const extra = { workerName: "Jamie New", workerEmail: "jamie.new@example.org", supervisorName: "Pat Lead", supervisorEmail: "pat.lead@example.org" };
+  bundle.workers["Additional Workers Info"] = fixtures.workerRows([OTHER_WORKER, extra]);
+  const target = unitHarness();
+  const file = target.driveApp.createFile("export.json", JSON.stringify(bundle), "application/json");
+  target.ui.respond(file.getId());
+  target.ui.respond(target.ui.Button.YES);
+
+  target.context.importConfigurationFromMenu();
+
+  assert.match(target.ui.alerts[0], /Additional Workers Info: 1 → 2 worker row\(s\)/);
+  assert.match(target.ui.alerts[0], /Variable caseTrackerUrl: belongs to the exporting copy, skipped/);
+  assert.strictEqual(target.ui.alerts.pop(), "✅ Configuration imported (1 change(s)).");
+  assert.strictEqual(target.context.getWorkerInfoByName("Jamie New").workerEmail, "jamie.new@example.org");
+  assert.strictEqual(variable(target, "caseTrackerUrl"), fixtures.CASE_TRACKER_URL);
+});
+
+test("a file that isn't a valid export changes nothing", () => {
+  const h = unitHarness();
+  const bundle = exportFrom(h, false);
+  const write = content => h.driveApp.createFile("bad.json", content, "application/json").getId();
+  const importing = content => () => h.context.importConfiguration(write(content), { confirm: () => true });
+
+  assert.throws(importing("not json"), /is not valid JSON/);
+  assert.throws(importing(JSON.stringify({ format: "something-else" })), /Not a configuration export/);
+  assert.throws(importing(JSON.stringify(Object.assign({}, bundle, { version: 2 }))), /reads up to version 1/);
+
+  const broken = Object.assign({}, bundle, {
+    variables: { reminderHour: "31", ssmEmail: "nobody" },
+    emailTemplates: { noSuchTemplate: { subject: "x" } }
+  });
+  assert.throws(importing(JSON.stringify(broken)), err => {
+    assert.deepStrictEqual(err.message.split("\n").slice(1), [
+      'variables.reminderHour: "31" is not between 0 and 23.',
+      'variables.ssmEmail: "nobody" is not an email address.',
+      'emailTemplates: unknown template "noSuchTemplate".'
+    ]);
+    return true;
+  });
+  assert.strictEqual(variable(h, "reminderHour"), undefined);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, SSM } = fixtures;
+
+function harnessWithContacts(today, rows) {
+  return createHarness({
+    today,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows(rows)
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("sends a standard reminder for each missing contact and stamps Last Reminder Sent", () => {
+  const h = harnessWithContacts(new Date(2026, 0, 14, 9), [
+    { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName },
+    { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 6), seenBy: MAIN_WORKER.workerName, entered: new Date(2026, 0, 7) },
+    { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName },
+    { child: "Dana Poe", caseId: "C-300", dateSeen: new Date(2026, 0, 9), seenBy: "Unknown Person" }
+  ]);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.to, m.bcc, m.subject]), [
+    [MAIN_WORKER.workerEmail, MAIN_WORKER.supervisorEmail, "Contact Entry Reminder – Avery Doe"],
+    [OTHER_WORKER.workerEmail, OTHER_WORKER.supervisorEmail, "Contact Entry Reminder – Cory Roe"]
+  ]);
+  assert.match(h.sent[0].htmlBody, /There are only 12 working days remaining in the month/);
+
+  assert.deepStrictEqual(
+    h.writesTo("January Contacts").map(w => [w.a1, w.value]),
+    [["F2", "01/14/2026"], ["F4", "01/14/2026"]]
+  );
+});
+
+test("last week of the month switches to the reprimanding template and adds the SSM", () => {
+  const h = harnessWithContacts(new Date(2026, 0, 27, 9), [
+    { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+  ]);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent.length, 1);
+  assert.strictEqual(h.sent[0].bcc, `${MAIN_WORKER.supervisorEmail},${SSM.email}`);
+  assert.match(h.sent[0].htmlBody, /Since it is the final week of the month/);
+});
+
+test("in January, December sheets are prior months (qualified or not), not future ones", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 5, 9), // Monday
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "December 2025 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 10), seenBy: MAIN_WORKER.workerName }
+      ]),
+      "November Contacts": fixtures.contactSheetRows([
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2025, 10, 3), seenBy: MAIN_WORKER.workerName }
+      ]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 2), seenBy: MAIN_WORKER.workerName }
+      ]),
+      "January 2027 Contacts": fixtures.contactSheetRows([
+        { child: "Dana Poe", caseId: "C-300", dateSeen: new Date(2026, 0, 2), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => m.subject), [
+    "Contact Entry Reminder – Avery Doe",
+    "Contact Entry Reminder – Blake Doe",
+    "Contact Entry Reminder – Cory Roe"
+  ]);
+  assert.match(h.sent[0].htmlBody, /now past due for the previous month/);
+  assert.match(h.sent[1].htmlBody, /now past due for the previous month/);
+  assert.match(h.sent[2].htmlBody, /There are only 19 working days remaining/);
+});
+
+test("prior-month rows wait for Monday across the year boundary", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 6, 9), // Tuesday
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "December Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 10), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent.length, 0);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, SSM } = fixtures;
+const SENDER = "Automation <automation.owner@example.org>";
+
+function replyHarness() {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName },
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 6), seenBy: OTHER_WORKER.workerName },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 7), seenBy: OTHER_WORKER.workerName, entered: new Date(2026, 0, 9) }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  const thread = (child, caseId, from, body) => h.gmailApp.addThread([
+    { from: SENDER, subject: `Contact Entry Reminder – ${child}`, body: `You last saw ${child} (Case ID: ${caseId}).`, date: new Date(2026, 0, 12, 7) },
+    { from: from, subject: `Re: Contact Entry Reminder – ${child}`, body: body, date: new Date(2026, 0, 13, 15, 20) }
+  ]);
+  return {
+    h,
+    avery: thread("Avery Doe", "C-100", `${MAIN_WORKER.workerName} <${MAIN_WORKER.workerEmail}>`,
+      "It's entered now, thanks!\n\nOn Mon, Jan 12, 2026 at 7:00 AM Automation wrote:\n> Please reply once the contact is entered"),
+    blake: thread("Blake Doe", "C-100", OTHER_WORKER.workerEmail, "I will get it entered tomorrow."),
+    cory: thread("Cory Roe", "C-200", OTHER_WORKER.workerEmail, "Done."),
+    avery2: thread("Avery Doe", "C-100", SSM.email, "Entered.")
+  };
+}
+
+function logActions(h) {
+  return h.sheet("Contact Reply Log").dump().slice(1).map(r => [r[4], r[7]]);
+}
+
+test("confident replies fill Date Contact Entered and the rest go to Needs Review", () => {
+  const { h } = replyHarness();
+
+  const counts = h.context.scanContactReplies();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { entered: 1, review: 1, skipped: 2 });
+  const entered = h.sheet("January Contacts").getRange("E2").getValue();
+  assert.strictEqual(entered.toDateString(), "Tue Jan 13 2026");
+  assert.strictEqual(h.sheet("January Contacts").getRange("E3").getValue(), "");
+
+  assert.deepStrictEqual(logActions(h), [
+    ["Avery Doe", "Entered"],
+    ["Blake Doe", "Needs Review"],
+    ["", "Skipped"],   // Cory Roe is already entered
+    ["", "Skipped"]    // Avery Doe was entered by the first reply
+  ]);
+  const review = h.sheet("Needs Review").dump();
+  assert.deepStrictEqual(review[1].slice(1, 7), [
+    "January Contacts", 3, "Blake Doe", "C-100", OTHER_WORKER.workerEmail, "Reply sounds unsure or negative."
+  ]);
+
+  // Replies already in the log are never handled again
+  h.context.scanContactReplies();
+  assert.strictEqual(logActions(h).length, 4);
+});
+
+test("replies from someone other than the Seen By worker are not trusted", () => {
+  const { h } = replyHarness();
+  h.gmailApp.threads.splice(0, 1); // leave Avery's row pending for the SSM's reply
+
+  h.context.scanContactReplies();
+
+  assert.strictEqual(h.sheet("January Contacts").getRange("E2").getValue(), "");
+  const review = h.sheet("Needs Review").dump().slice(1).map(r => [r[3], r[6]]);
+  assert.deepStrictEqual(review.find(r => r[0] === "Avery Doe"), [
+    "Avery Doe", `Reply is not from the Seen By worker (${MAIN_WORKER.workerName}).`
+  ]);
+});
+
+test("an automatic update can be undone once, unless the cell changed", () => {
+  const { h, avery } = replyHarness();
+  h.context.scanContactReplies();
+  const messageId = avery.messages[1].id;
+
+  h.context.undoContactReplyUpdate(messageId);
+  assert.strictEqual(h.sheet("January Contacts").getRange("E2").getValue(), "");
+  assert.deepStrictEqual(logActions(h).pop(), ["Avery Doe", "Undone"]);
+  assert.throws(() => h.context.undoContactReplyUpdate(messageId), /already undone/);
+  assert.throws(() => h.context.undoContactReplyUpdate("msg-unknown"), /No automatic update/);
+
+  const { h: other, avery: thread } = replyHarness();
+  other.context.scanContactReplies();
+  other.sheet("January Contacts").getRange("E2").setValue(new Date(2026, 0, 14));
+  assert.throws(() => other.context.undoContactReplyUpdate(thread.messages[1].id), /has changed since/);
+});
+
+test("a reply only counts for its reminder's month sheet and dates", () => {
+  const h = createHarness({
+    today: new Date(2026, 2, 2, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January 2026 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, entered: new Date(2026, 0, 9) },
+        { child: "Blake Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName }
+      ]),
+      "February 2026 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 1, 3), seenBy: MAIN_WORKER.workerName },
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 1, 5), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+  const thread = (child, body, sent, replied) => h.gmailApp.addThread([
+    { from: SENDER, subject: `Contact Entry Reminder – ${child}`, body: body, date: sent },
+    { from: MAIN_WORKER.workerEmail, subject: `Re: Contact Entry Reminder – ${child}`, body: "Entered.", date: replied }
+  ]);
+  thread("Avery Doe", "You last saw Avery Doe (Case ID: C-100).", new Date(2026, 0, 12, 7), new Date(2026, 0, 30, 10));
+  thread("Blake Doe", "You last saw Blake Doe (Case ID: C-100).", new Date(2026, 0, 12, 7), new Date(2026, 0, 20, 10));
+  thread("Avery Doe", "You saw Avery Doe on 02/03/2026 (Case ID: C-100).", new Date(2026, 1, 27, 7), new Date(2026, 2, 2, 8));
+  thread("Blake Doe", "You saw Blake Doe on 02/05/2026 (Case ID: C-100).", new Date(2026, 1, 9, 7), new Date(2026, 1, 10, 8));
+
+  const counts = h.context.scanContactReplies();
+
+  assert.deepStrictEqual(Object.assign({}, counts), { entered: 1, review: 1, skipped: 2 });
+  assert.strictEqual(h.sheet("February 2026 Contacts").getRange("E2").getValue(), "");
+  assert.strictEqual(h.sheet("February 2026 Contacts").getRange("E3").getValue().toDateString(), "Tue Feb 10 2026");
+  assert.strictEqual(h.sheet("January 2026 Contacts").getRange("E3").getValue(), "");
+  const review = h.sheet("Needs Review").dump().slice(1).map(r => r.slice(1, 7));
+  assert.deepStrictEqual(review, [
+    ["February 2026 Contacts", 2, "Avery Doe", "C-100", MAIN_WORKER.workerEmail, "Reply is dated outside February 2026."]
+  ]);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+function rosterHarness(coryStatus) {
+  // Case Status is added after the fixture's last tracker column
+  const tracker = fixtures.hearingTrackerRows([
+    { caseName: "Doe, Jo", caseNumber: "C-100", children: "Avery Doe, Blake Doe" },
+    { caseName: "Roe, Sam", caseNumber: "C-200", children: "Cory Roe" },
+    { caseName: "Poe, Al", caseNumber: "C-300", children: "Dana Poe" }
+  ]);
+  ["Case Status", "", coryStatus, "Open"].forEach((value, i) => tracker[i].push(value));
+
+  const january = [
+    { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: OTHER_WORKER.workerName },
+    { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 6), seenBy: MAIN_WORKER.workerName },
+    { child: "Avery Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName },
+    { child: "Evan Old", caseId: "C-900", dateSeen: new Date(2026, 0, 2), seenBy: MAIN_WORKER.workerName }
+  ];
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": tracker,
+      "December 2025 Contacts": fixtures.contactSheetRows(january),
+      "January 2026 Contacts": fixtures.contactSheetRows(january)
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+// [Child Name, Case ID, Date Seen day, Seen By] per data row
+function roster(h, name) {
+  return h.sheet(name).dump().slice(1).map(r => [r[0], r[1], r[2] instanceof Date ? r[2].getDate() : r[2], r[3]]);
+}
+
+test("the sync adds new children and moves closed or removed ones under Inactive with their data", () => {
+  const h = rosterHarness("Closed");
+  const before = roster(h, "December 2025 Contacts");
+
+  const plans = h.context.syncContactRoster();
+
+  assert.strictEqual(plans.length, 1);
+  assert.deepStrictEqual(roster(h, "January 2026 Contacts"), [
+    ["Blake Doe", "C-100", 5, OTHER_WORKER.workerName],
+    ["Avery Doe", "C-100", "", MAIN_WORKER.workerName],
+    ["Dana Poe", "C-300", "", ""],
+    ["Inactive", "", "", ""],
+    ["Cory Roe", "C-200", 6, MAIN_WORKER.workerName],
+    ["Evan Old", "C-900", 2, MAIN_WORKER.workerName]
+  ]);
+  // Earlier months keep their roster
+  assert.deepStrictEqual(roster(h, "December 2025 Contacts"), before);
+
+  // Running it again changes nothing
+  assert.strictEqual(h.context.syncContactRoster().length, 0);
+});
+
+test("changes are listed before they are applied", () => {
+  const h = rosterHarness("Closed");
+  let diff = "";
+
+  const plans = h.context.syncContactRoster({ confirm: text => { diff = text; return false; } });
+
+  assert.strictEqual(plans.length, 0);
+  assert.strictEqual(diff, [
+    "January 2026 Contacts:",
+    "  + Add 1: Dana Poe (C-300)",
+    "  − Move to Inactive 2: Cory Roe (C-200), Evan Old (C-900)"
+  ].join("\n"));
+  assert.strictEqual(h.sheet("January 2026 Contacts").dump().length, 5);
+});
+
+test("a reopened case comes back from Inactive and inactive rows are not counted", () => {
+  const h = rosterHarness("Closed");
+  h.context.syncContactRoster();
+
+  h.sheet("Hearing Tracker").getRange("N3").setValue("Reopened");
+  h.context.syncContactRoster();
+
+  assert.deepStrictEqual(roster(h, "January 2026 Contacts").map(r => r[0]), [
+    "Blake Doe", "Avery Doe", "Dana Poe", "Cory Roe", "Inactive", "Evan Old"
+  ]);
+
+  const months = h.context.refreshComplianceDashboard();
+  const january = months.find(m => m.key === "January 2026");
+  assert.strictEqual(january.total.children, 4);
+});
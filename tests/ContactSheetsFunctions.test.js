@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+// Columns: A Child Name, B Case ID, C Date Seen, D Seen By, E Date Contact Entered,
+// F Last Reminder Sent, G Missed, H Reason Missed
+function editHarness(rows) {
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows(rows)
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+function edit(h, a1, value, oldValue) {
+  const range = h.sheet("January Contacts").getRange(a1);
+  range.setValue(value);
+  h.context.handleSeenByEdit({ range: range, value: value, oldValue: oldValue });
+  return range;
+}
+
+test("unknown Seen By names are flagged and known ones clear the flag", () => {
+  const h = editHarness([{ child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5) }]);
+
+  const cell = edit(h, "D2", "Nobody Known");
+  assert.match(cell.getNote(), /"Nobody Known" is not in the worker directory/);
+
+  edit(h, "D2", OTHER_WORKER.workerName);
+  assert.strictEqual(cell.getNote(), "");
+  edit(h, "D2", MAIN_WORKER.workerName);
+  assert.strictEqual(cell.getNote(), "");
+});
+
+test("entering the contact clears Last Reminder Sent", () => {
+  const h = editHarness([
+    { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, lastReminder: "01/13/2026" }
+  ]);
+
+  edit(h, "E2", new Date(2026, 0, 14));
+
+  assert.strictEqual(h.sheet("January Contacts").getRange("F2").getValue(), "");
+});
+
+test("a Date Seen in the future or outside the sheet's month is rejected", () => {
+  const h = editHarness([{ child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }]);
+  const sheet = h.sheet("January Contacts");
+
+  let cell = edit(h, "C2", new Date(2026, 0, 20), "01/05/2026");
+  assert.strictEqual(cell.getValue(), "01/05/2026");
+  assert.match(cell.getNote(), /can't be in the future/);
+
+  cell = edit(h, "C2", new Date(2025, 11, 30), "01/05/2026");
+  assert.match(cell.getNote(), /must be in January 2026/);
+
+  cell = edit(h, "C2", new Date(2026, 0, 12), "01/05/2026");
+  assert.strictEqual(sheet.getRange("C2").getValue().getDate(), 12);
+  assert.strictEqual(cell.getNote(), "");
+});
+
+test("Missed without a reason highlights the row until a reason is given", () => {
+  const h = editHarness([{ child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }]);
+  const sheet = h.sheet("January Contacts");
+
+  edit(h, "G2", true);
+  assert.strictEqual(sheet.getRange("A2").getBackground(), "#fff2cc");
+  assert.match(sheet.getRange("H2").getNote(), /enter the reason/);
+
+  edit(h, "H2", "Family unavailable");
+  assert.notStrictEqual(sheet.getRange("A2").getBackground(), "#fff2cc");
+  assert.strictEqual(sheet.getRange("H2").getNote(), "");
+});
+
+test("clearing Missed leaves backgrounds it didn't set alone", () => {
+  const h = editHarness([
+    { child: "Avery Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName },
+    { child: "Inactive" }
+  ]);
+  const sheet = h.sheet("January Contacts");
+  sheet.getRange("A3:H3").setBackground("#d9d9d9");
+
+  edit(h, "G3", false);
+  edit(h, "H3", "");
+
+  assert.strictEqual(sheet.getRange("A3").getBackground(), "#d9d9d9");
+});
+
+test("edits outside the contact sheets are ignored", () => {
+  const h = editHarness([]);
+  const range = h.sheet("Hearing Tracker").getRange("A2");
+  range.setValue("Someone");
+
+  h.context.handleSeenByEdit({ range: range, value: "Someone" });
+
+  assert.strictEqual(range.getNote(), "");
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+const PROFILE_HEADERS = fixtures.EMPLOYEE_HEADERS.concat([
+  "workerTitle", "workerOfficePhone", "workerOfficeExtension", "workerCellPhone", "signatureLogoFileId"
+]);
+
+function harnessWithProfile(profile, variables) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+  automationInfo["CPSEmployeeInfo"] = [
+    PROFILE_HEADERS,
+    PROFILE_HEADERS.map(h => (h in profile ? profile[h] : MAIN_WORKER[h] || ""))
+  ];
+
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: OTHER_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("the sender's employee row builds the signature, with Variables filling the gaps", () => {
+  const h = harnessWithProfile(
+    { workerTitle: "Child Protective Service Worker", workerOfficePhone: "555-010-2000", workerOfficeExtension: "42" },
+    { signatureOffice: "Bureau for Social Services\nExample County Office", signatureAddress: "1 Main St & Co", signatureFax: "555-010-2999" }
+  );
+
+  h.context.sendMonthlyContactReminders();
+
+  const body = h.sent[0].htmlBody;
+  assert.match(body, /<strong>Morgan Main<\/strong><br\/>\s*Child Protective Service Worker<br\/>\s*Bureau for Social Services<br\/>\s*Example County Office<br\/>\s*1 Main St &amp; Co<\/p>/);
+  assert.match(body, /P: 555-010-2000 ext\. 42 \(Office\)<br\/>\s*F: 555-010-2999<\/p>/);
+  assert.doesNotMatch(body, /\(Cell\)|<img/);
+});
+
+test("nothing from the old hard-coded signature leaks into an empty profile", () => {
+  const h = harnessWithProfile({});
+
+  h.context.sendMonthlyContactReminders();
+
+  const body = h.sent[0].htmlBody;
+  assert.match(body, /<p><strong>Morgan Main<\/strong><\/p>\s*$/);
+  assert.doesNotMatch(body, /Kanawha|304-|drive\.google\.com/);
+});
+
+test("the preview dialog shows the signature and flags profile problems", () => {
+  const h = harnessWithProfile({ workerCellPhone: "12", signatureLogoFileId: "missing-logo" });
+  const logo = h.driveApp.createFile("logo.png", "", "image/png");
+
+  h.context.previewEmailSignature();
+
+  const dialog = h.ui.dialogs[0];
+  assert.strictEqual(dialog.title, "Email Signature Preview");
+  const content = dialog.output.getContent();
+  assert.match(content, /⚠️ Title is blank\./);
+  assert.match(content, /⚠️ Cell phone &quot;12&quot; doesn&#39;t look like a phone number\./);
+  assert.match(content, /❌ Logo file ID &quot;missing-logo&quot; can&#39;t be opened/);
+
+  h.context.signatureProfiles = {};
+  assert.deepStrictEqual(
+    Array.from(h.context.validateSignatureProfile(Object.assign(h.context.getSignatureProfile(), {
+      title: "Worker", cellPhone: "555-010-3000", logoFileId: logo.id
+    }))),
+    []
+  );
+});
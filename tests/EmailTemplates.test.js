@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+function harnessWithTemplates(templateRows) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Email Templates"] = [["Template", "Subject", "Body", "Placeholders"]].concat(templateRows);
+
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery <Doe>", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("sheet overrides replace the subject and body, escaping values and keeping the signature HTML", () => {
+  const h = harnessWithTemplates([
+    ["standardContact", "Please enter {{childName}} ({{daysLeftInMonth}} days left)",
+      "<p>Hi {{workerName}}, {{childName}} was seen {{dateSeen}}.</p>{{signature}}", ""]
+  ]);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent[0].subject, "Please enter Avery <Doe> (12 days left)");
+  assert.match(h.sent[0].htmlBody, /^<p>Hi Morgan Main, Avery &lt;Doe&gt; was seen 01\/05\/2026\.<\/p>/);
+  assert.ok(h.sent[0].htmlBody.includes(h.context.getEmailSignatureHtml()));
+  assert.strictEqual(h.sent[1].subject, "Please enter Cory Roe (12 days left)");
+  assert.match(h.sent[1].htmlBody, /Hi Riley Other/);
+});
+
+test("unknown placeholders are logged and left as typed", () => {
+  const h = harnessWithTemplates([
+    ["standardContact", "", "<p>{{childName}} {{dueDate}}</p>", ""]
+  ]);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent[0].htmlBody, "<p>Avery &lt;Doe&gt; {{dueDate}}</p>");
+  assert.ok(h.logger.lines.some(m => m.includes('"standardContact" uses unknown placeholder {{dueDate}}')));
+});
+
+test("templates left blank fall back to the built-in text", () => {
+  const h = harnessWithTemplates([
+    ["standardContact", "", "", ""],
+    ["notATemplate", "Ignored", "Ignored", ""]
+  ]);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent[0].subject, "Contact Entry Reminder – Avery <Doe>");
+  assert.match(h.sent[0].htmlBody, /There are only 12 working days remaining in the month/);
+});
+
+test("summary subjects can be overridden per template", () => {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Email Templates"] = [
+    ["Template", "Subject", "Body", "Placeholders"],
+    ["standardSummary", "{{lastName}} summary is {{whenText}}", "", ""]
+  ];
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Davis, Dana", caseNumber: "C-400", dueDate: new Date(2026, 0, 15), courtDate: new Date(2026, 0, 30), link: "https://docs/davis" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.strictEqual(h.sent[0].subject, "Davis summary is due tomorrow");
+});
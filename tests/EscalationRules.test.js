@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, SSM } = fixtures;
+
+const RULE_HEADERS = ["Reminder", "Tier", "From Day", "To Day", "Template", "To", "Cc", "Bcc", "Repeat"];
+
+function harnessWithRules({ today, rulesTab, variables, caseTracker }) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+  if (rulesTab) automationInfo["Escalation Rules"] = [RULE_HEADERS].concat(rulesTab);
+
+  return createHarness({
+    today,
+    automationInfo,
+    caseTracker: Object.assign({ "Hearing Tracker": fixtures.hearingTrackerRows([]) }, caseTracker),
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("summary tiers, recipients and repeat come from the Escalation Rules tab", () => {
+  const h = harnessWithRules({
+    today: new Date(2026, 0, 14, 9),
+    rulesTab: [
+      ["summary", "heads-up", -3, -1, "standardSummary", "worker", "", "", "Once"],
+      ["summary", "late", 1, 3, "supervisorIncludedSummary", "worker", "supervisor", "audit@example.org", "Daily"],
+      ["summary", "very-late", 4, "", "reprimandingSummary", "worker, ssm", "", "", "Every 2 days"]
+    ],
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        // Days are working days from Wednesday 1/14
+        { caseName: "Adams, Avery", dueDate: new Date(2026, 0, 19), link: "https://docs/adams" }, // day -3: first day, Once
+        { caseName: "Baker, Blake", dueDate: new Date(2026, 0, 16), link: "https://docs/baker" }, // day -2: Once, already sent
+        { caseName: "Clark, Cory", dueDate: new Date(2026, 0, 12), link: "https://docs/clark" },  // day 2
+        { caseName: "Davis, Dana", dueDate: new Date(2026, 0, 7), link: "https://docs/davis" },   // day 5: off day
+        { caseName: "Evans, Eden", dueDate: new Date(2026, 0, 6), link: "https://docs/evans" }    // day 6
+      ])
+    }
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.subject, m.to, m.cc || "", m.bcc || ""]), [
+    ["Summary Due Tomorrow", MAIN_WORKER.workerEmail, "", ""],
+    ["Summary Overdue: Clark", MAIN_WORKER.workerEmail, MAIN_WORKER.supervisorEmail, "audit@example.org"],
+    ["Urgent: Evans Summary Severely Overdue", `${MAIN_WORKER.workerEmail},${SSM.email}`, "", ""]
+  ]);
+  // Follow-up date is the working day before the next tier starts (due + 3 working days)
+  assert.match(h.sent[1].htmlBody, /isn't submitted by 1\/15\/2026/);
+
+  const log = h.automationInfo.getSheetByName("Reminder Log").dump();
+  assert.deepStrictEqual(log.slice(1).map(r => [r[5], r[6], r[7]]), [
+    ["heads-up", MAIN_WORKER.workerEmail, ""],
+    ["late", `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail}`, "audit@example.org"],
+    ["very-late", `${MAIN_WORKER.workerEmail},${SSM.email}`, ""]
+  ]);
+});
+
+test("contact rules from the escalationRules variable move the reprimanding window", () => {
+  const rules = [
+    { reminder: "contact", tier: "early", fromDay: 15, toDay: null, template: "standardContact", to: "worker", bcc: "" },
+    { reminder: "contact", tier: "late", fromDay: 0, toDay: 14, template: "reprimandingContact", to: "worker", cc: "mainWorker", bcc: "supervisor, ssm" },
+    { reminder: "contact", tier: "post-month", fromDay: null, toDay: -1, template: "postMonthContact", to: "worker", repeat: "Tue" }
+  ];
+  const h = harnessWithRules({
+    today: new Date(2026, 0, 20, 9), // Tuesday, 11 days left
+    variables: { escalationRules: JSON.stringify(rules) },
+    caseTracker: {
+      "December 2025 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 10), seenBy: OTHER_WORKER.workerName }
+      ]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName }
+      ])
+    }
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.to, m.cc || "", m.bcc]), [
+    [OTHER_WORKER.workerEmail, "", ""],
+    [OTHER_WORKER.workerEmail, MAIN_WORKER.workerEmail, `${OTHER_WORKER.supervisorEmail},${SSM.email}`]
+  ]);
+  assert.match(h.sent[0].htmlBody, /now past due for the previous month/);
+  assert.match(h.sent[1].htmlBody, /Since it is the final week of the month/);
+});
+
+test("contact Once and Every N days count from To Day, where the window opens", () => {
+  const h = harnessWithRules({
+    today: new Date(2026, 0, 5, 9),
+    rulesTab: [
+      ["contact", "early", 8, 15, "standardContact", "worker", "", "", "Every 3 days"],
+      ["contact", "final-week", 0, 7, "reprimandingContact", "worker", "", "", "Once"]
+    ],
+    caseTracker: {
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 2), seenBy: MAIN_WORKER.workerName }
+      ])
+    }
+  });
+
+  const sentOn = [];
+  for (let day = 5; day <= 30; day++) {
+    const today = new Date(2026, 0, day, 9);
+    if (today.getDay() === 0 || today.getDay() === 6) continue;
+    h.setToday(today);
+    const before = h.sent.length;
+    h.context.sendMonthlyContactReminders();
+    if (h.sent.length > before) sentOn.push(`${day}: ${h.context.daysLeftInContactMonth(new Date(2026, 0, 2), today)}`);
+  }
+
+  // Working days left: 15 on the 9th, 12 on the 14th, 9 on the 19th, 7 on the 21st
+  assert.deepStrictEqual(sentOn, ["9: 15", "14: 12", "19: 9", "21: 7"]);
+
+  const open = h.context.parseEscalationRule({ reminder: "contact", tier: "x", fromDay: 0, toDay: "", template: "standardContact", to: "worker", repeat: "Once" });
+  assert.deepStrictEqual(Array.from(open.problems), ['Repeat "Once" needs a To Day.']);
+});
+
+test("a prior month with reminders held for Monday is not marked complete", () => {
+  const h = harnessWithRules({
+    today: new Date(2026, 1, 2, 9), // Monday
+    rulesTab: [
+      ["contact", "post-month", "", -1, "postMonthContact", "worker", "", "supervisor", "Wednesday"]
+    ],
+    caseTracker: {
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+      ])
+    }
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent.length, 0);
+  assert.deepStrictEqual(Array.from(h.context.getCompletedMonths()), []);
+});
+
+test("invalid rules stop the run before anything is sent", () => {
+  const h = harnessWithRules({
+    today: new Date(2026, 0, 14, 9),
+    rulesTab: [
+      ["summary", "due", 0, 0, "standardContact", "worker", "", "", "Daily"],
+      ["summary", "late", 5, 1, "supervisorIncludedSummary", "boss", "", "", "Fortnightly"]
+    ],
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Baker, Blake", dueDate: new Date(2026, 0, 14), link: "https://docs/baker" }
+      ])
+    }
+  });
+
+  assert.throws(() => h.context.sendSummaryReminders(), err => {
+    assert.match(err.message, /nothing was sent/);
+    assert.match(err.message, /rule 1 \(due\): Template "standardContact" is for contact reminders/);
+    assert.match(err.message, /rule 2 \(late\): From Day is after To Day/);
+    assert.match(err.message, /To has unknown recipient "boss"/);
+    assert.match(err.message, /Repeat "Fortnightly" not understood/);
+    return true;
+  });
+  assert.strictEqual(h.sent.length, 0);
+});
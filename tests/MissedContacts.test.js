@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, variable } = fixtures;
+
+test("missed contacts get a reason request and one supervisor notice instead of entry reminders", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName, missed: true, reason: "Family out of state" },
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: OTHER_WORKER.workerName, missed: true },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.to, m.subject]), [
+    [MAIN_WORKER.supervisorEmail, `Missed Contact – Avery Doe (${MAIN_WORKER.workerName})`],
+    [OTHER_WORKER.supervisorEmail, `Missed Contact – Blake Doe (${OTHER_WORKER.workerName})`],
+    [OTHER_WORKER.workerEmail, "Reason Needed: Missed Contact – Blake Doe"],
+    [OTHER_WORKER.workerEmail, "Contact Entry Reminder – Cory Roe"]
+  ]);
+  assert.match(h.sent[0].htmlBody, /Reason missed: Family out of state/);
+  assert.match(h.sent[1].htmlBody, /Not entered yet/);
+  assert.match(h.sent[2].htmlBody, /January 2026 contact for <strong>Blake Doe<\/strong>/);
+  assert.deepStrictEqual(h.writesTo("January Contacts").map(w => w.a1), ["F3", "F4"]);
+
+  // Notices are never repeated and requests go out at most once a day
+  h.resetRecords();
+  h.context.sendMonthlyContactReminders();
+  assert.strictEqual(h.sent.length, 0);
+});
+
+test("month close-out treats missed-with-reason as resolved but waits for a missing reason", () => {
+  const make = reason => createHarness({
+    today: new Date(2026, 1, 2, 9), // Monday
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, entered: new Date(2026, 0, 6) },
+        { child: "Blake Doe", caseId: "C-100", seenBy: MAIN_WORKER.workerName, missed: true, reason: reason }
+      ]),
+      "February Contacts": fixtures.contactSheetRows([])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  const resolved = make("Hospitalized");
+  resolved.context.sendMonthlyContactReminders();
+  assert.strictEqual(variable(resolved, "contactCompleteMonths"), "January 2026");
+
+  const pending = make("");
+  pending.context.sendMonthlyContactReminders();
+  assert.ok(!variable(pending, "contactCompleteMonths"));
+  assert.ok(pending.sent.some(m => m.subject === "Reason Needed: Missed Contact – Blake Doe"));
+});
+
+test("a missed contact with no Seen By asks the main worker and keeps the month open", () => {
+  const h = createHarness({
+    today: new Date(2026, 1, 2, 9), // Monday
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Blake Doe", caseId: "C-100", missed: true }
+      ]),
+      "February Contacts": fixtures.contactSheetRows([])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.to, m.subject]), [
+    [MAIN_WORKER.supervisorEmail, `Missed Contact – Blake Doe (${MAIN_WORKER.workerName})`],
+    [MAIN_WORKER.workerEmail, "Reason Needed: Missed Contact – Blake Doe"]
+  ]);
+  assert.ok(!variable(h, "contactCompleteMonths"));
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER } = fixtures;
+
+function rolloverHarness(today) {
+  const tracker = fixtures.hearingTrackerRows([
+    { caseName: "Doe, Jo", caseNumber: "C-100", children: "Avery Doe, Blake Doe" },
+    { caseName: "Roe, Sam", caseNumber: "C-200", children: "Cory Roe" }
+  ]);
+  ["Case Status", "", "Closed"].forEach((value, i) => tracker[i].push(value));
+
+  return createHarness({
+    today: today || new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": tracker,
+      "January 2026 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("next month's sheet is copied from the template with the active roster and registered", () => {
+  const h = rolloverHarness();
+
+  h.context.createNextMonthContactSheetFromMenu();
+
+  const sheet = h.sheet("February 2026 Contacts");
+  const rows = sheet.dump();
+  assert.deepStrictEqual(rows[0].slice(0, 4), ["Child Name", "Case ID", "Date Seen", "Seen By"]);
+  assert.deepStrictEqual(rows.slice(1).map(r => [r[0], r[1], r[3]]), [
+    ["Avery Doe", "C-100", ""],
+    ["Blake Doe", "C-100", ""]
+  ]);
+  assert.strictEqual(h.ui.alerts.pop(), "✅ Created February 2026 Contacts.");
+
+  // The template is kept hidden, carries the formatting and isn't a contact sheet itself
+  const template = h.sheet("Contacts Template");
+  assert.strictEqual(template.isSheetHidden(), true);
+  assert.strictEqual(sheet.isSheetHidden(), false);
+  assert.strictEqual(sheet.getFrozenRows(), 1);
+  assert.strictEqual(sheet.getConditionalFormatRules().length, 2);
+  assert.ok(sheet.getRange("D3").getDataValidation());
+
+  const registered = JSON.parse(h.scriptProperties.getProperty("contactSheets"));
+  assert.deepStrictEqual(registered.map(cs => cs.name), ["January 2026 Contacts", "February 2026 Contacts"]);
+  const backup = h.sheet("Variables").dump().find(r => r[0] === "contactSheets");
+  assert.deepStrictEqual(JSON.parse(backup[1]), registered);
+});
+
+test("a month that already has a sheet is left alone", () => {
+  const h = rolloverHarness(new Date(2026, 0, 1, 7));
+  const before = h.sheet("January 2026 Contacts").dump();
+
+  h.context.rollOverContactSheets();
+
+  assert.deepStrictEqual(h.sheet("January 2026 Contacts").dump(), before);
+  assert.strictEqual(h.caseTracker.getSheetByName("Contacts Template"), null);
+
+  h.setToday(new Date(2026, 1, 1, 7));
+  h.context.rollOverContactSheets();
+  h.context.rollOverContactSheets();
+  assert.strictEqual(h.caseTracker.getSheets().filter(s => s.getName().startsWith("February")).length, 1);
+});
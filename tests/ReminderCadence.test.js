@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+const RULE_HEADERS = ["Reminder", "Tier", "From Day", "To Day", "Template", "To", "Cc", "Bcc", "Repeat", "Cadence"];
+
+test("contact rows reminded within the tier's cadence are skipped", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, lastReminder: "01/14/2026" },
+        { child: "Blake Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, lastReminder: new Date(2026, 0, 13) },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => m.subject), [
+    "Contact Entry Reminder – Blake Doe",
+    "Contact Entry Reminder – Cory Roe"
+  ]);
+});
+
+test("summary sends are recorded on the tracker, so a second run the same day sends nothing", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Clark, Cory", dueDate: new Date(2026, 0, 10), link: "https://docs/clark" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+  h.context.sendSummaryReminders();
+
+  assert.strictEqual(h.sent.length, 1);
+  const tracker = h.sheet("Hearing Tracker").dump();
+  assert.strictEqual(tracker[0][13], "Last Reminder Sent");
+  assert.strictEqual(tracker[1][13], "01/14/2026");
+});
+
+test("a weekly cadence holds rows back until forced", () => {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Escalation Rules"] = [
+    RULE_HEADERS,
+    ["contact", "standard", "", "", "standardContact", "worker", "", "", "Daily", "Weekly"],
+    ["summary", "overdue", 1, "", "supervisorIncludedSummary", "worker", "", "", "Daily", "Every 3 days"]
+  ];
+  const tracker = fixtures.hearingTrackerRows([
+    { caseName: "Clark, Cory", dueDate: new Date(2026, 0, 10), link: "https://docs/clark" }
+  ]);
+  tracker[0].push("Last Reminder Sent");
+  tracker[1].push(new Date(2026, 0, 12));
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": tracker,
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName, lastReminder: "01/09/2026" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+  h.context.sendSummaryReminders();
+  assert.strictEqual(h.sent.length, 0);
+
+  h.ui.respond(h.ui.Button.YES);
+  h.context.forceResendReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => m.subject), ["Contact Entry Reminder – Avery Doe", "Summary Overdue: Clark"]);
+  assert.deepStrictEqual(h.writesTo("Hearing Tracker").map(w => [w.a1, w.value]), [["N2", "01/14/2026"]]);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, SSM } = fixtures;
+
+function digestHarness(today, variables) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+
+  return createHarness({
+    today,
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Clark, Cory", caseNumber: "C-900", dueDate: new Date(2026, 0, 10), link: "https://docs/clark" }
+      ]),
+      "December 2025 Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 10), seenBy: OTHER_WORKER.workerName }
+      ]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Blake <Doe>", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: OTHER_WORKER.workerName },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 6), seenBy: OTHER_WORKER.workerName },
+        { child: "Dana Poe", caseId: "C-300", dateSeen: new Date(2026, 0, 7), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("one digest per worker and a roll-up per supervisor, with rows still stamped and logged", () => {
+  const h = digestHarness(new Date(2026, 0, 12, 9)); // Monday
+
+  h.context.sendDailyDigests();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.to, m.subject]), [
+    [OTHER_WORKER.workerEmail, "Daily Reminder Digest – 3 pending item(s)"],
+    [OTHER_WORKER.supervisorEmail, "Team Reminder Roll-up – 3 pending item(s)"],
+    [SSM.email, "Team Reminder Roll-up – 1 pending item(s)"],
+    [MAIN_WORKER.workerEmail, "Daily Reminder Digest – 2 pending item(s)"],
+    [MAIN_WORKER.supervisorEmail, "Team Reminder Roll-up – 2 pending item(s)"]
+  ]);
+
+  const workerBody = h.sent[0].htmlBody;
+  assert.match(workerBody, /<td[^>]*>Blake &lt;Doe&gt;<\/td><td[^>]*>C-100<\/td><td[^>]*>January Contacts<\/td><td[^>]*>01\/05\/2026<\/td><td[^>]*>7<\/td><td[^>]*>standard<\/td>/);
+  // Digest replies are not scanned, so the digest must not ask for one
+  assert.doesNotMatch(workerBody, /reply/i);
+  assert.match(workerBody, /Avery Doe.*post-month/);
+  assert.match(h.sent[2].htmlBody, /<h4>Riley Other<\/h4>.*Avery Doe/);
+  assert.doesNotMatch(h.sent[2].htmlBody, /Blake/);
+  assert.match(h.sent[3].htmlBody, /Court summaries.*Clark, Cory.*1 late.*overdue/);
+
+  assert.deepStrictEqual(h.writesTo("January Contacts").map(w => [w.a1, w.value]), [
+    ["F2", "01/12/2026"], ["F3", "01/12/2026"], ["F4", "01/12/2026"]
+  ]);
+  assert.deepStrictEqual(h.writesTo("December 2025 Contacts").map(w => w.a1), ["F2"]);
+
+  const log = h.automationInfo.getSheetByName("Reminder Log").dump().slice(1);
+  assert.strictEqual(log.length, 5);
+  assert.deepStrictEqual(log[4].slice(1, 9), [
+    "Hearing Tracker", 2, "C-900", "Clark, Cory", "overdue",
+    `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail}`, "", "Sent"
+  ]);
+});
+
+test("reminderDelivery=digest turns the contact trigger into the digest and the summary trigger stands down", () => {
+  const h = digestHarness(new Date(2026, 0, 13, 9), { reminderDelivery: "digest" });
+  h.gmailApp.failFor.push(OTHER_WORKER.workerEmail);
+
+  h.context.sendSummaryReminders();
+  assert.strictEqual(h.sent.length, 0);
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => m.to), [
+    OTHER_WORKER.supervisorEmail, MAIN_WORKER.workerEmail, MAIN_WORKER.supervisorEmail
+  ]);
+  // The failed worker digest leaves that worker's rows unstamped
+  assert.deepStrictEqual(h.writesTo("January Contacts").map(w => w.a1), ["F4"]);
+});
+
+test("digest preview lists one row per digest and sends nothing", () => {
+  const h = digestHarness(new Date(2026, 0, 13, 9), { reminderDelivery: "digest" });
+
+  const run = h.context.previewReminders(new Date(2026, 0, 13));
+
+  assert.strictEqual(h.sent.length, 0);
+  assert.deepStrictEqual(h.writesTo("January Contacts"), []);
+  assert.deepStrictEqual(Array.from(run.previewRows, r => [r.source, r.tier, r.to]), [
+    ["Digest", "workerDigest", OTHER_WORKER.workerEmail],
+    ["Digest", "rollUpDigest", OTHER_WORKER.supervisorEmail],
+    ["Digest", "workerDigest", MAIN_WORKER.workerEmail],
+    ["Digest", "rollUpDigest", MAIN_WORKER.supervisorEmail]
+  ]);
+});
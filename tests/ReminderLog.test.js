@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+test("every contact send attempt is logged with its outcome", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName },
+        { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: OTHER_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+  h.gmailApp.failFor.push(OTHER_WORKER.workerEmail);
+
+  h.context.sendMonthlyContactReminders();
+
+  const log = h.automationInfo.getSheetByName("Reminder Log").dump();
+  assert.deepStrictEqual(log.slice(1).map(r => r.slice(1)), [
+    ["January Contacts", 2, "C-100", "Avery Doe", "standard", MAIN_WORKER.workerEmail, MAIN_WORKER.supervisorEmail, "Sent", ""],
+    ["January Contacts", 3, "C-200", "Cory Roe", "standard", OTHER_WORKER.workerEmail, OTHER_WORKER.supervisorEmail, "Error",
+      `Simulated send failure for ${OTHER_WORKER.workerEmail}`]
+  ]);
+  // A failed send leaves Last Reminder Sent alone
+  assert.deepStrictEqual(h.writesTo("January Contacts").map(w => w.a1), ["F2"]);
+});
+
+test("severely overdue summaries quote the logged reminder counts", () => {
+  const logged = (day, tier, to) =>
+    [new Date(2026, 0, day, 8), "Hearing Tracker", 2, "C-400", "Davis, Dana", tier, to, "", "Sent", ""];
+  const withSupervisor = `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail}`;
+
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Reminder Log"] = [
+    ["Timestamp", "Source Sheet", "Row", "Case ID", "Child / Case", "Template Tier", "Recipients", "Bcc", "Status", "Message"],
+    logged(1, "due-tomorrow", MAIN_WORKER.workerEmail),
+    logged(2, "due-today", MAIN_WORKER.workerEmail),
+    logged(3, "overdue", withSupervisor),
+    logged(5, "overdue", withSupervisor),
+    logged(6, "overdue", withSupervisor),
+    // Older due date cycle, not counted
+    [new Date(2025, 11, 1, 8), "Hearing Tracker", 2, "C-400", "Davis, Dana", "overdue", withSupervisor, "", "Sent", ""]
+  ];
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Davis, Dana", caseNumber: "C-400", dueDate: new Date(2026, 0, 2), courtDate: new Date(2026, 0, 20), link: "https://docs/davis" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.strictEqual(h.sent.length, 1);
+  assert.match(h.sent[0].htmlBody, /You have now received 6 reminders about the Davis summary/);
+  assert.match(h.sent[0].htmlBody, /receiving these reminders for the past 3 days/);
+
+  const log = h.automationInfo.getSheetByName("Reminder Log").dump();
+  assert.deepStrictEqual(log[log.length - 1].slice(1, 6), ["Hearing Tracker", 2, "C-400", "Davis, Dana", "severely-overdue"]);
+});
+
+test("a Monday due date counts the reminder sent the Friday before", () => {
+  const logged = (day, tier) =>
+    [new Date(2026, 0, day, 8), "Hearing Tracker", 2, "C-500", "Evans, Eden", tier, MAIN_WORKER.workerEmail, "", "Sent", ""];
+
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Reminder Log"] = [
+    ["Timestamp", "Source Sheet", "Row", "Case ID", "Child / Case", "Template Tier", "Recipients", "Bcc", "Status", "Message"],
+    logged(2, "due-tomorrow"), // Friday
+    logged(5, "due-today"),
+    ...[6, 7, 8, 9, 12, 13].map(day => logged(day, "overdue"))
+  ];
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Evans, Eden", caseNumber: "C-500", dueDate: new Date(2026, 0, 5), courtDate: new Date(2026, 0, 20), link: "https://docs/evans" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.match(h.sent[0].htmlBody, /You have now received 9 reminders about the Evans summary/);
+});
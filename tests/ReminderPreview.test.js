@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER } = fixtures;
+
+test("preview lists would-be emails without sending or stamping rows", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Adams, Avery", caseNumber: "C-100", dueDate: new Date(2026, 0, 28), link: "https://docs/adams" }
+      ]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  const run = h.context.previewReminders(new Date(2026, 0, 27));
+
+  assert.strictEqual(h.sent.length, 0);
+  assert.deepStrictEqual(h.writesTo("January Contacts"), []);
+  assert.strictEqual(run.previewRows.length, 2);
+
+  const rows = h.sheet("Reminder Preview").dump();
+  assert.deepStrictEqual(rows[0].slice(0, 5), ["Source", "Row", "Child / Case", "Case ID", "Template Tier"]);
+  assert.deepStrictEqual(rows.slice(1).map(r => r.slice(0, 8)), [
+    ["January Contacts", 2, "Avery Doe", "C-100", "reprimanding", MAIN_WORKER.workerEmail,
+      `${MAIN_WORKER.supervisorEmail},${fixtures.SSM.email}`, "Contact Entry Reminder – Avery Doe"],
+    ["Hearing Tracker", 2, "Adams, Avery", "C-100", "due-tomorrow", MAIN_WORKER.workerEmail, "", "Summary Due Tomorrow"]
+  ]);
+  assert.match(rows[1][8], /^=HYPERLINK\("https:\/\/drive\.google\.com\/file\/d\/.+", "View body"\)$/);
+  assert.match(h.driveApp.files[0].content, /Avery Doe/);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER } = fixtures;
+
+/** Moves column `from` to index `to` in every row. */
+function moveColumn(rows, from, to) {
+  return rows.map(r => {
+    const copy = r.slice();
+    const [cell] = copy.splice(from, 1);
+    copy.splice(to, 0, cell);
+    return copy;
+  });
+}
+
+test("contact reminders follow headers when columns are inserted or reordered", () => {
+  const rows = fixtures.contactSheetRows([
+    { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: MAIN_WORKER.workerName }
+  ]).map((r, i) => [i === 0 ? "Notes" : ""].concat(r));
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": moveColumn(rows, 6, 1) // "Last Reminder Sent" moved to B
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendMonthlyContactReminders();
+
+  assert.strictEqual(h.sent.length, 1);
+  assert.deepStrictEqual(h.writesTo("January Contacts").map(w => w.a1), ["B2"]);
+});
+
+test("summary reminders read the configured tracker tab and accept aliases", () => {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo.Variables = fixtures.variablesRows({
+    caseTrackerSheetName: "Court",
+    columnAliases: JSON.stringify({ summaryLink: "Draft" })
+  });
+  const tracker = fixtures.hearingTrackerRows([
+    { caseName: "Adams, Avery", dueDate: new Date(2026, 0, 14), link: "https://docs/adams" }
+  ]);
+  tracker[0][12] = "Draft";
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Dashboard": [["Nothing to see here"]],
+      "Court": moveColumn(tracker, 7, 0)
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => m.subject), ["Summary Due Today"]);
+  assert.match(h.sent[0].htmlBody, /https:\/\/docs\/adams/);
+});
+
+test("a missing required header stops the run before anything is sent", () => {
+  const broken = fixtures.contactSheetRows([
+    { child: "Cory Roe", caseId: "C-200", dateSeen: new Date(2026, 0, 8), seenBy: MAIN_WORKER.workerName }
+  ]);
+  broken[0][2] = "Seen";
+
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "December Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2025, 11, 5), seenBy: MAIN_WORKER.workerName }
+      ]),
+      "January Contacts": broken
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  assert.throws(
+    () => h.context.sendMonthlyContactReminders(),
+    /"January Contacts" \(contact sheet\) is missing "Date Seen"/
+  );
+  assert.strictEqual(h.sent.length, 0);
+});
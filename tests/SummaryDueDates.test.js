@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+// Hearing Tracker columns: D Hearing Type, E Next Court Date, H Summary Due Date,
+// J Submitted, N Due Date Override (added here)
+function dueDateHarness(rows, overrides, variables) {
+  const tracker = fixtures.hearingTrackerRows(rows);
+  if (overrides) tracker.forEach((row, i) => row.push(i === 0 ? "Due Date Override" : overrides[i - 1] || false));
+
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || { summaryDueOffsets: '{"Permanency": 15}' });
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: { "Hearing Tracker": tracker },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+function dueDate(h, row) {
+  const value = h.sheet("Hearing Tracker").getRange(`H${row}`).getValue();
+  return value instanceof Date ? value.toDateString() : value;
+}
+
+function edit(h, a1, value) {
+  const range = h.sheet("Hearing Tracker").getRange(a1);
+  range.setValue(value);
+  h.context.handleSeenByEdit({ range: range, value: value });
+}
+
+test("the backfill fills blank due dates by hearing type and leaves overrides alone", () => {
+  const rows = [
+    { caseName: "Adams, Jo", courtDate: new Date(2026, 0, 30) },
+    { caseName: "Baker, Lee", hearingType: "permanency", courtDate: new Date(2026, 0, 30) },
+    { caseName: "Clark, Sam", courtDate: new Date(2026, 0, 30), dueDate: new Date(2026, 0, 20) },
+    { caseName: "Davis, Al", courtDate: new Date(2026, 0, 30), dueDate: new Date(2026, 0, 22) },
+    { caseName: "Evans, Kim", courtDate: new Date(2026, 0, 30), submitted: true }
+  ];
+  const h = dueDateHarness(rows, [false, false, false, true, false]);
+
+  let counts = h.context.backfillSummaryDueDates();
+  assert.deepStrictEqual(Object.assign({}, counts), { filled: 2, updated: 0, overridden: 0 });
+  assert.strictEqual(dueDate(h, 2), "Fri Jan 16 2026"); // 10 working days before
+  assert.strictEqual(dueDate(h, 3), "Fri Jan 09 2026"); // 15 for Permanency
+  assert.strictEqual(dueDate(h, 4), "Tue Jan 20 2026");
+  assert.strictEqual(dueDate(h, 6), "");
+
+  counts = h.context.backfillSummaryDueDates({ recalculate: true });
+  assert.deepStrictEqual(Object.assign({}, counts), { filled: 0, updated: 1, overridden: 1 });
+  assert.strictEqual(dueDate(h, 4), "Fri Jan 16 2026");
+  assert.strictEqual(dueDate(h, 5), "Thu Jan 22 2026");
+});
+
+test("editing the court date recalculates until the due date is typed by hand", () => {
+  const h = dueDateHarness([{ caseName: "Adams, Jo", courtDate: new Date(2026, 0, 30) }]);
+  const sheet = h.sheet("Hearing Tracker");
+
+  edit(h, "E2", new Date(2026, 1, 6));
+  assert.strictEqual(dueDate(h, 2), "Fri Jan 23 2026");
+
+  edit(h, "H2", new Date(2026, 0, 27));
+  assert.strictEqual(sheet.getRange(1, 14).getValue(), "Due Date Override");
+  assert.strictEqual(sheet.getRange("N2").getValue(), true);
+
+  edit(h, "E2", new Date(2026, 1, 13));
+  assert.strictEqual(dueDate(h, 2), "Tue Jan 27 2026");
+
+  edit(h, "H2", "");
+  assert.strictEqual(sheet.getRange("N2").getValue(), false);
+  assert.strictEqual(dueDate(h, 2), "Fri Jan 30 2026");
+});
+
+test("invalid offsets stop the backfill before anything is written", () => {
+  const h = dueDateHarness([{ caseName: "Adams, Jo", courtDate: new Date(2026, 0, 30) }], null, {
+    summaryDueOffsets: '{"Review": "soon"}'
+  });
+
+  assert.throws(() => h.context.backfillSummaryDueDates(), /"Review": "soon" is not a whole number of days/);
+  assert.strictEqual(h.writesTo("Hearing Tracker").length, 0);
+});
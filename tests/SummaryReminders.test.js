@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER, SSM } = fixtures;
+
+test("picks the reminder tier from the summary due date", () => {
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([
+        { caseName: "Adams, Avery", dueDate: new Date(2026, 0, 15), link: "https://docs/adams" },
+        { caseName: "Baker, Blake", dueDate: new Date(2026, 0, 14), link: "https://docs/baker" },
+        { caseName: "Clark, Cory", dueDate: new Date(2026, 0, 10), link: "https://docs/clark" },
+        { caseName: "Davis, Dana", dueDate: new Date(2026, 0, 2), courtDate: new Date(2026, 0, 20), link: "https://docs/davis" },
+        { caseName: "Evans, Eden", dueDate: new Date(2026, 0, 10), submitted: true },
+        { caseName: "Fox, Finley", dueDate: new Date(2026, 0, 20) }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.subject, m.to]), [
+    ["Summary Due Tomorrow", MAIN_WORKER.workerEmail],
+    ["Summary Due Today", MAIN_WORKER.workerEmail],
+    ["Summary Overdue: Clark", `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail}`],
+    ["Urgent: Davis Summary Severely Overdue", `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail},${SSM.email}`]
+  ]);
+  assert.match(h.sent[2].htmlBody, /The Clark summary is 3 working days late/);
+  assert.match(h.sent[3].htmlBody, /You only have 6 days until this hearing/);
+  // "Last Reminder Sent" is added after the last header and stamped on each row sent
+  assert.deepStrictEqual(h.writesTo("Hearing Tracker").map(w => [w.a1, w.value]), [
+    ["N1", "Last Reminder Sent"],
+    ["N2", "01/14/2026"], ["N3", "01/14/2026"], ["N4", "01/14/2026"], ["N5", "01/14/2026"]
+  ]);
+});
+
+test("each case goes to its Assigned Worker, and unknown names are reported once", () => {
+  const tracker = fixtures.hearingTrackerRows([
+    { caseName: "Adams, Avery", caseNumber: "C-100", dueDate: new Date(2026, 0, 12), link: "https://docs/adams" },
+    { caseName: "Baker, Blake", caseNumber: "C-200", dueDate: new Date(2026, 0, 12), link: "https://docs/baker" },
+    { caseName: "Clark, Cory", caseNumber: "C-300", dueDate: new Date(2026, 0, 12), link: "https://docs/clark" },
+    { caseName: "Davis, Dana", caseNumber: "C-400", link: "https://docs/davis" },
+    { caseName: "Evans, Eden", caseNumber: "C-500", dueDate: new Date(2026, 1, 20), link: "https://docs/evans" }
+  ]);
+  ["Assigned Worker", "", OTHER_WORKER.workerName, "Nobody Known", "Nobody Known", "Rilye Other"]
+    .forEach((value, i) => tracker[i].push(value));
+  const h = createHarness({
+    today: new Date(2026, 0, 14, 9),
+    caseTracker: { "Hearing Tracker": tracker },
+    globals: fixtures.defaultGlobals()
+  });
+
+  h.context.sendSummaryReminders();
+
+  assert.deepStrictEqual(h.sent.map(m => [m.subject, m.to]), [
+    ["Summary Overdue: Adams", `${MAIN_WORKER.workerEmail},${MAIN_WORKER.supervisorEmail}`],
+    ["Summary Overdue: Baker", `${OTHER_WORKER.workerEmail},${OTHER_WORKER.supervisorEmail}`]
+  ]);
+  assert.match(h.sent[1].htmlBody, new RegExp(`Hey ${OTHER_WORKER.workerName},`));
+  assert.match(h.sent[1].htmlBody, new RegExp(`${OTHER_WORKER.supervisorName} will be required`));
+
+  // Reported once per name, including rows no tier applies to yet
+  const errors = () => h.sheet("Reminder Log").dump().slice(1).filter(entry => entry[8] === "Error").map(entry => [entry[4], entry[9]]);
+  assert.deepStrictEqual(errors(), [
+    ["Clark, Cory", 'Unknown Assigned Worker "Nobody Known"; no summary reminders are sent for their rows.'],
+    ["Evans, Eden", 'Unknown Assigned Worker "Rilye Other"; no summary reminders are sent for their rows.']
+  ]);
+  // Last Reminder Sent (O) is stamped only on the rows that were sent
+  assert.deepStrictEqual(h.writesTo("Hearing Tracker").map(w => w.a1), ["O1", "O2", "O3"]);
+
+  h.setToday(new Date(2026, 0, 15, 9));
+  h.context.sendSummaryReminders();
+  assert.strictEqual(errors().length, 2);
+
+  // Editing the cell flags an unknown name straight away and clears it once fixed
+  const cell = h.sheet("Hearing Tracker").getRange("N6");
+  h.context.handleSeenByEdit({ range: cell, value: "Rilye Other" });
+  assert.match(cell.getNote(), /"Rilye Other" is not in the worker directory/);
+  cell.setValue(OTHER_WORKER.workerName);
+  h.context.handleSeenByEdit({ range: cell, value: OTHER_WORKER.workerName });
+  assert.strictEqual(cell.getNote(), "");
+});
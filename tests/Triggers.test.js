@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+function triggerHarness(variables) {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["Variables"] = fixtures.variablesRows(variables || {});
+  return createHarness({ today: new Date(2026, 0, 14, 9), automationInfo, globals: fixtures.defaultGlobals() });
+}
+
+function installed(h) {
+  return h.scriptApp.triggers.map(t => [t.handler, t.details.atHour !== undefined ? t.details.atHour : t.details.everyHours || t.eventType]);
+}
+
+test("reconciling installs every trigger once and removes duplicates", () => {
+  const h = triggerHarness({ reminderHour: "6" });
+  // Two cache refreshes left over from old installTriggers() runs
+  h.scriptApp.newTrigger("refreshGlobalVariablesCache").timeBased().everyHours(5).create();
+  h.scriptApp.newTrigger("refreshGlobalVariablesCache").timeBased().everyHours(5).create();
+
+  h.context.installTriggers();
+  h.context.installTriggers();
+  h.context.onOpen();
+
+  assert.deepStrictEqual(installed(h), [
+    ["refreshGlobalVariablesCache", 5],
+    ["sendMonthlyContactReminders", 6],
+    ["sendSummaryReminders", 6],
+    ["refreshComplianceDashboard", 6],
+    ["syncCourtCalendar", 6],
+    ["rollOverContactSheets", 6],
+    ["scanContactReplies", 1],
+    ["handleSeenByEdit", "ON_EDIT"]
+  ]);
+  assert.strictEqual(h.scriptApp.triggers[5].details.monthDay, 1);
+  assert.strictEqual(h.scriptApp.triggers[7].details.sourceId, h.caseTracker.getId());
+});
+
+test("changing reminderHour re-creates the daily triggers at the new hour", () => {
+  const h = triggerHarness();
+  h.context.reconcileTriggers();
+  assert.deepStrictEqual(installed(h).filter(t => t[0].startsWith("send")).map(t => t[1]), [7, 7]);
+
+  h.context.updateGlobalVariable("reminderHour", 16);
+  const result = h.context.reconcileTriggers();
+
+  assert.deepStrictEqual(Array.from(result.installed), ["Contact reminders", "Summary reminders", "Compliance dashboard refresh", "Court calendar sync", "Monthly contact sheet rollover"]);
+  assert.deepStrictEqual(installed(h).filter(t => t[0].startsWith("send")).map(t => t[1]), [16, 16]);
+  assert.strictEqual(h.scriptApp.triggers.length, 8);
+});
+
+test("paused triggers stay out until installed again, and unmanaged ones can be removed", () => {
+  const h = triggerHarness();
+  h.scriptApp.newTrigger("oldReminderScript").timeBased().everyDays(1).create();
+  h.context.reconcileTriggers();
+
+  let status = h.context.pauseManagedTrigger("summaryReminders");
+  h.context.reconcileTriggers();
+  assert.ok(!h.scriptApp.triggers.some(t => t.handler === "sendSummaryReminders"));
+  assert.strictEqual(status.managed.find(t => t.id === "summaryReminders").status, "paused");
+
+  status = h.context.installManagedTrigger("summaryReminders");
+  assert.strictEqual(status.managed.find(t => t.id === "summaryReminders").status, "installed");
+  assert.deepStrictEqual(Array.from(status.other, t => t.handler), ["oldReminderScript"]);
+
+  status = h.context.removeProjectTrigger(status.other[0].uniqueId);
+  assert.strictEqual(status.other.length, 0);
+  assert.strictEqual(h.scriptApp.triggers.length, 8);
+
+  h.context.showTriggerManagerDialog();
+  assert.strictEqual(h.ui.dialogs[0].title, "Manage Triggers");
+});
+
+test("a failing edit check is logged and the other checks still run", () => {
+  const h = triggerHarness();
+  const ran = [];
+  h.context.ContactSheetsFunctions_handleSeenByEdit = () => { throw new Error("sheet is protected"); };
+  h.context.handleSummaryDueDateEdit = () => ran.push("due date");
+  h.context.handleAssignedWorkerEdit = () => ran.push("assigned worker");
+
+  h.context.handleSeenByEdit({ range: h.sheet("Hearing Tracker").getRange("A2"), value: "x" });
+
+  assert.deepStrictEqual(ran, ["due date", "assigned worker"]);
+  assert.ok(h.logger.lines.includes("❌ Contact sheet edit check failed: sheet is protected"));
+});
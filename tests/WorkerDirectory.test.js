@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { createHarness, fixtures } = require("./harness");
+
+const { MAIN_WORKER, OTHER_WORKER } = fixtures;
+
+const HEADERS = ["workerName", "workerEmail", "supervisorName", "supervisorEmail", "workerCounty", "workerAliases", "workerActive"];
+const row = (worker, aliases, active) => HEADERS.slice(0, 5).map(h => worker[h]).concat([aliases, active]);
+
+function directoryHarness() {
+  const automationInfo = fixtures.defaultAutomationInfo();
+  automationInfo["CPSEmployeeInfo"] = [
+    HEADERS,
+    row(MAIN_WORKER, "Morgan M.", ""),
+    row({ workerName: "Jonathan Smith", workerEmail: "jonathan.smith@example.org", supervisorName: "Sam Supervisor", supervisorEmail: "sam.supervisor@example.org" }, "Jon Smith, J. Smith", "")
+  ];
+  automationInfo["Additional Workers Info"] = [
+    HEADERS,
+    row(OTHER_WORKER, "J. Smith", "TRUE"),
+    row({ workerName: "Lee Gone", workerEmail: "lee.gone@example.org" }, "", "No")
+  ];
+  return createHarness({
+    today: new Date(2026, 0, 14, 9),
+    automationInfo,
+    caseTracker: {
+      "Hearing Tracker": fixtures.hearingTrackerRows([]),
+      "January Contacts": fixtures.contactSheetRows([
+        { child: "Avery Doe", caseId: "C-100", dateSeen: new Date(2026, 0, 5), seenBy: "jon  smith" }
+      ])
+    },
+    globals: fixtures.defaultGlobals()
+  });
+}
+
+test("names match ignoring case and spacing, through aliases, and only for active workers", () => {
+  const h = directoryHarness();
+  const lookup = name => {
+    const info = h.context.getWorkerInfoByName(name);
+    return info && info.workerEmail;
+  };
+
+  assert.strictEqual(lookup("  JONATHAN   smith "), "jonathan.smith@example.org");
+  assert.strictEqual(lookup("Jon Smith"), "jonathan.smith@example.org");
+  assert.strictEqual(lookup("riley other"), OTHER_WORKER.workerEmail);
+  assert.strictEqual(lookup("J. Smith"), null);   // claimed by two workers
+  assert.strictEqual(lookup("Lee Gone"), null);   // inactive
+  assert.strictEqual(h.context.getContactWorker("Morgan M.").workerEmail, MAIN_WORKER.workerEmail);
+
+  assert.deepStrictEqual(Array.from(h.context.getActiveWorkerNames()), [MAIN_WORKER.workerName, "Jonathan Smith", OTHER_WORKER.workerName]);
+  assert.strictEqual(h.logger.lines.filter(m => m.includes("Loaded 4 workers")).length, 1);
+});
+
+test("the directory is cached until Refresh All Employee Data reloads it", () => {
+  const h = directoryHarness();
+  assert.ok(h.context.getWorkerInfoByName("Riley Other"));
+
+  h.sheet("Additional Workers Info").getRange("G2").setValue("Inactive");
+  h.context.workerDirectory = null; // a later run reads the script cache
+  assert.ok(h.context.getWorkerInfoByName("Riley Other"));
+
+  h.context.refreshEmployeeData();
+
+  assert.strictEqual(h.context.getWorkerInfoByName("Riley Other"), null);
+  assert.strictEqual(h.ui.alerts.pop(), "✅ Worker directory reloaded: 2 active, 2 inactive.");
+  const validation = h.sheet("January Contacts").getRange("D2").getDataValidation();
+  const listCall = validation.calls.find(c => c.method === "requireValueInList");
+  assert.deepStrictEqual(Array.from(listCall.args[0]), [MAIN_WORKER.workerName, "Jonathan Smith"]);
+});
@@ -0,0 +1,1029 @@
+/*************************************************************
+ * In-memory fakes for the Apps Script services the project uses.
+ *
+ * Each fake keeps just enough state to run the automation
+ * offline and records every side effect (emails, cell writes,
+ * triggers, UI alerts) so tests can assert on them.
+ *************************************************************/
+
+/**
+ * Converts a 1-based column number into its A1 letter(s).
+ * @param {number} col Column number (1 = A)
+ * @returns {string} Column letters
+ */
+function columnToLetter(col) {
+  let letters = "";
+  while (col > 0) {
+    const rem = (col - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    col = Math.floor((col - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parses "B3" or "B3:D10" into 1-based row/column bounds.
+ * @param {string} a1 A1 notation
+ * @returns {Object} {row, col, numRows, numCols}
+ */
+function parseA1(a1) {
+  const toCell = ref => {
+    const m = ref.trim().toUpperCase().match(/^([A-Z]+)(\d+)$/);
+    if (!m) throw new Error(`Unsupported A1 reference: ${ref}`);
+    let col = 0;
+    for (const ch of m[1]) col = col * 26 + (ch.charCodeAt(0) - 64);
+    return { row: Number(m[2]), col };
+  };
+  const [start, end] = a1.split(":");
+  const from = toCell(start);
+  const to = end ? toCell(end) : from;
+  return { row: from.row, col: from.col, numRows: to.row - from.row + 1, numCols: to.col - from.col + 1 };
+}
+
+/**
+ * Chainable builder that records every call and returns a plain
+ * description of itself from build(). Used for data validation,
+ * conditional format rules and charts, where tests only need to
+ * see what was asked for.
+ * @param {string} kind Label stored on the built object
+ * @param {Object} extra Extra properties for the built object
+ */
+function createRecordingBuilder(kind, extra = {}) {
+  const calls = [];
+  const builder = new Proxy({}, {
+    get(target, prop) {
+      if (prop === "build") return () => Object.assign({ kind, calls: calls.slice() }, extra);
+      if (prop === "getCalls") return () => calls.slice();
+      return (...args) => {
+        calls.push({ method: prop, args });
+        return builder;
+      };
+    }
+  });
+  return builder;
+}
+
+/*************************************************************
+ * Spreadsheets
+ *************************************************************/
+
+class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.col; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.col + this.numCols - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numCols; }
+  getSheet() { return this.sheet; }
+
+  getA1Notation() {
+    const start = `${columnToLetter(this.col)}${this.row}`;
+    if (this.numRows === 1 && this.numCols === 1) return start;
+    return `${start}:${columnToLetter(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  _map(fn) {
+    const out = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numCols; c++) line.push(fn(this.row + r, this.col + c));
+      out.push(line);
+    }
+    return out;
+  }
+
+  _each(fn) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) fn(this.row + r, this.col + c, r, c);
+    }
+    return this;
+  }
+
+  getValue() { return this.sheet._get(this.row, this.col); }
+  getValues() { return this._map((r, c) => this.sheet._get(r, c)); }
+  getDisplayValue() { return String(this.getValue()); }
+  getDisplayValues() { return this._map((r, c) => String(this.sheet._get(r, c))); }
+
+  setValue(value) {
+    return this._each((r, c) => this.sheet._set(r, c, value));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(v => v.length !== this.numCols)) {
+      throw new Error(
+        `The number of rows or columns in the data does not match the range ` +
+        `(${values.length}x${values[0] ? values[0].length : 0} vs ${this.numRows}x${this.numCols}).`
+      );
+    }
+    return this._each((r, c, i, j) => this.sheet._set(r, c, values[i][j]));
+  }
+
+  clearContent() { return this.setValue(""); }
+  clear() {
+    this._each((r, c) => {
+      this.sheet._set(r, c, "");
+      delete this.sheet.formats[`${r}:${c}`];
+      delete this.sheet.notes[`${r}:${c}`];
+    });
+    return this;
+  }
+
+  getNote() { return this.sheet.notes[`${this.row}:${this.col}`] || ""; }
+  setNote(note) {
+    return this._each((r, c) => {
+      if (note) this.sheet.notes[`${r}:${c}`] = note;
+      else delete this.sheet.notes[`${r}:${c}`];
+    });
+  }
+  clearNote() { return this.setNote(""); }
+
+  _format(key, value) {
+    return this._each((r, c) => {
+      const cell = this.sheet.formats[`${r}:${c}`] || (this.sheet.formats[`${r}:${c}`] = {});
+      cell[key] = value;
+    });
+  }
+  _getFormat(key, fallback) {
+    const cell = this.sheet.formats[`${this.row}:${this.col}`];
+    return cell && cell[key] !== undefined ? cell[key] : fallback;
+  }
+
+  setBackground(color) { return this._format("background", color); }
+  getBackground() { return this._getFormat("background", "#ffffff"); }
+  setFontWeight(weight) { return this._format("fontWeight", weight); }
+  setFontColor(color) { return this._format("fontColor", color); }
+  setNumberFormat(fmt) { return this._format("numberFormat", fmt); }
+  setWrap(wrap) { return this._format("wrap", wrap); }
+  setHorizontalAlignment(align) { return this._format("horizontalAlignment", align); }
+  insertCheckboxes() { return this._format("checkbox", true); }
+
+  setDataValidation(rule) { return this._format("dataValidation", rule); }
+  getDataValidation() { return this._getFormat("dataValidation", null); }
+  clearDataValidations() { return this._format("dataValidation", null); }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, rows = []) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = rows.map(r => r.slice());
+    this.notes = {};
+    this.formats = {};
+    this.conditionalFormatRules = [];
+    this.charts = [];
+    this.frozenRows = 0;
+    this.hidden = false;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getParent() { return this.spreadsheet; }
+  getSheetId() { return this.spreadsheet.sheets.indexOf(this); }
+  activate() { this.spreadsheet.activeSheet = this; return this; }
+
+  _get(row, col) {
+    const line = this.rows[row - 1];
+    if (!line) return "";
+    const value = line[col - 1];
+    return value === undefined || value === null ? "" : value;
+  }
+
+  _set(row, col, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const line = this.rows[row - 1];
+    while (line.length < col) line.push("");
+    line[col - 1] = value;
+    this.spreadsheet.app.writes.push({
+      spreadsheet: this.spreadsheet.name,
+      sheet: this.name,
+      row,
+      col,
+      a1: `${columnToLetter(col)}${row}`,
+      value
+    });
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some(v => v !== "" && v !== null && v !== undefined)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows.forEach(line => {
+      for (let c = line.length; c > last; c--) {
+        if (line[c - 1] !== "" && line[c - 1] !== null && line[c - 1] !== undefined) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(rowOrA1, col, numRows = 1, numCols = 1) {
+    if (typeof rowOrA1 === "string") {
+      const p = parseA1(rowOrA1);
+      return new FakeRange(this, p.row, p.col, p.numRows, p.numCols);
+    }
+    if (rowOrA1 < 1 || col < 1) throw new Error(`Invalid range start (${rowOrA1}, ${col}).`);
+    if (numRows < 1 || numCols < 1) throw new Error("The number of rows/columns in the range must be at least 1.");
+    return new FakeRange(this, rowOrA1, col, numRows, numCols);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((v, i) => this._set(row, i + 1, v));
+    return this;
+  }
+
+  insertRowsAfter(afterRow, howMany) {
+    const blank = Array.from({ length: howMany }, () => []);
+    this.rows.splice(afterRow, 0, ...blank);
+    return this;
+  }
+
+  insertRowAfter(afterRow) { return this.insertRowsAfter(afterRow, 1); }
+  insertRowsBefore(beforeRow, howMany) { return this.insertRowsAfter(beforeRow - 1, howMany); }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    return this;
+  }
+
+  /** Moves the rows a range spans so they sit before destinationIndex (counted before the move). */
+  moveRows(rowSpec, destinationIndex) {
+    const start = rowSpec.getRow();
+    const count = rowSpec.getNumRows();
+    while (this.rows.length < Math.max(start + count - 1, destinationIndex - 1)) this.rows.push([]);
+    const moved = this.rows.splice(start - 1, count);
+    const target = destinationIndex > start ? destinationIndex - 1 - count : destinationIndex - 1;
+    this.rows.splice(target, 0, ...moved);
+    return this;
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    this.notes = {};
+    this.formats = {};
+    return this;
+  }
+
+  clearContents() {
+    this.rows = [];
+    return this;
+  }
+
+  setFrozenRows(n) { this.frozenRows = n; return this; }
+  getFrozenRows() { return this.frozenRows; }
+  setColumnWidth() { return this; }
+  autoResizeColumns() { return this; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  isSheetHidden() { return this.hidden; }
+
+  getConditionalFormatRules() { return this.conditionalFormatRules.slice(); }
+  setConditionalFormatRules(rules) { this.conditionalFormatRules = rules.slice(); return this; }
+
+  newChart() {
+    return createRecordingBuilder("chart", { sheet: this.name });
+  }
+  insertChart(chart) { this.charts.push(chart); return this; }
+  getCharts() { return this.charts.slice(); }
+  removeChart(chart) { this.charts = this.charts.filter(c => c !== chart); return this; }
+
+  copyTo(spreadsheet) {
+    const copy = spreadsheet.insertSheet(`Copy of ${this.name}`);
+    copy.rows = this.rows.map(r => r.slice());
+    copy.notes = Object.assign({}, this.notes);
+    copy.formats = JSON.parse(JSON.stringify(this.formats));
+    copy.conditionalFormatRules = this.conditionalFormatRules.slice();
+    copy.frozenRows = this.frozenRows;
+    return copy;
+  }
+
+  /** Test helper: current cell values as a plain 2D array. */
+  dump() {
+    return this.getDataRange().getValues();
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(app, name, url, tabs = {}) {
+    this.app = app;
+    this.name = name;
+    this.url = url;
+    this.id = url.replace(/^.*\/d\//, "").replace(/\/.*$/, "");
+    this.sheets = Object.keys(tabs).map(tab => new FakeSheet(this, tab, tabs[tab]));
+    this.activeSheet = this.sheets[0] || null;
+    this.toasts = [];
+  }
+
+  getName() { return this.name; }
+  getUrl() { return this.url; }
+  getId() { return this.id; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(s => s.name === name) || null; }
+  getActiveSheet() { return this.activeSheet; }
+  getSpreadsheetTimeZone() { return this.app.timeZone; }
+
+  insertSheet(name, index) {
+    if (name && this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name || `Sheet${this.sheets.length + 1}`);
+    if (typeof index === "number") this.sheets.splice(index, 0, sheet);
+    else this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  setActiveSheet(sheet) { this.activeSheet = sheet; return sheet; }
+  moveActiveSheet(position) {
+    const sheet = this.activeSheet;
+    this.sheets = this.sheets.filter(s => s !== sheet);
+    this.sheets.splice(position - 1, 0, sheet);
+  }
+
+  toast(message, title) { this.toasts.push({ message, title }); }
+}
+
+/**
+ * Fake UI: records alerts, dialogs and menus. Prompt/alert
+ * answers are taken from a queue tests push onto.
+ */
+class FakeUi {
+  constructor() {
+    this.Button = { OK: "OK", CANCEL: "CANCEL", YES: "YES", NO: "NO", CLOSE: "CLOSE" };
+    this.ButtonSet = { OK: "OK", OK_CANCEL: "OK_CANCEL", YES_NO: "YES_NO", YES_NO_CANCEL: "YES_NO_CANCEL" };
+    this.alerts = [];
+    this.prompts = [];
+    this.dialogs = [];
+    this.menus = [];
+    this.responses = [];
+  }
+
+  alert(title, message, buttons) {
+    this.alerts.push(message === undefined ? title : `${title}\n${message}`);
+    const next = this.responses.length ? this.responses.shift() : null;
+    return next && typeof next === "object" ? next.button : (next || this.Button.OK);
+  }
+
+  prompt(title, message) {
+    this.prompts.push(message && typeof message === "string" ? `${title}\n${message}` : title);
+    const next = this.responses.length ? this.responses.shift() : { button: this.Button.CANCEL, text: "" };
+    const answer = typeof next === "string" ? { button: this.Button.OK, text: next } : next;
+    return {
+      getSelectedButton: () => answer.button,
+      getResponseText: () => answer.text
+    };
+  }
+
+  showModalDialog(output, title) { this.dialogs.push({ title, output, modal: true }); }
+  showModelessDialog(output, title) { this.dialogs.push({ title, output, modal: false }); }
+  showSidebar(output) { this.dialogs.push({ title: output.title, output, sidebar: true }); }
+
+  createMenu(caption) {
+    const menu = { caption, items: [] };
+    this.menus.push(menu);
+    const api = {
+      addItem: (label, fn) => { menu.items.push({ label, fn }); return api; },
+      addSeparator: () => { menu.items.push({ separator: true }); return api; },
+      addSubMenu: sub => { menu.items.push({ subMenu: sub }); return api; },
+      addToUi: () => api
+    };
+    return api;
+  }
+
+  /** Queues an answer for the next prompt()/alert() call. */
+  respond(answer) { this.responses.push(answer); }
+}
+
+class FakeSpreadsheetApp {
+  constructor(timeZone) {
+    this.timeZone = timeZone;
+    this.workbooks = [];
+    this.active = null;
+    this.writes = [];
+    this.ui = new FakeUi();
+  }
+
+  /**
+   * Registers a workbook. `tabs` maps tab name → 2D array of values.
+   * @returns {FakeSpreadsheet}
+   */
+  addWorkbook(name, url, tabs = {}) {
+    const ss = new FakeSpreadsheet(this, name, url, tabs);
+    this.workbooks.push(ss);
+    return ss;
+  }
+
+  setActive(ss) { this.active = ss; }
+
+  openByUrl(url) {
+    const ss = this.workbooks.find(w => w.url === url);
+    if (!ss) throw new Error(`Unexpected error while getting the method or property openByUrl on object SpreadsheetApp. (${url})`);
+    return ss;
+  }
+
+  openById(id) {
+    const ss = this.workbooks.find(w => w.id === id);
+    if (!ss) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp. (${id})`);
+    return ss;
+  }
+
+  getActiveSpreadsheet() { return this.active; }
+  getActive() { return this.active; }
+  getUi() { return this.ui; }
+  flush() {}
+
+  newDataValidation() { return createRecordingBuilder("dataValidation"); }
+  newConditionalFormatRule() { return createRecordingBuilder("conditionalFormatRule"); }
+}
+
+/*************************************************************
+ * Gmail
+ *************************************************************/
+
+class FakeGmailMessage {
+  constructor(id, fields) {
+    this.id = id;
+    this.from = fields.from || "";
+    this.to = fields.to || "";
+    this.subject = fields.subject || "";
+    this.body = fields.body || "";
+    this.date = new Date(fields.date || 0);
+  }
+
+  getId() { return this.id; }
+  getFrom() { return this.from; }
+  getTo() { return this.to; }
+  getSubject() { return this.subject; }
+  getPlainBody() { return this.body; }
+  getDate() { return new Date(this.date); }
+}
+
+class FakeGmailThread {
+  constructor(id, messages) {
+    this.id = id;
+    this.messages = messages;
+  }
+
+  getId() { return this.id; }
+  getMessages() { return this.messages.slice(); }
+  getFirstMessageSubject() { return this.messages.length ? this.messages[0].subject : ""; }
+  getMessageCount() { return this.messages.length; }
+}
+
+class FakeGmailApp {
+  constructor() {
+    this.sent = [];
+    this.failFor = [];
+    this.threads = [];
+    this.searches = [];
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Adds a mailbox thread that search() returns.
+   * @param {Object[]} messages {from, to, subject, body, date}, oldest first
+   */
+  addThread(messages) {
+    const thread = new FakeGmailThread(
+      `thread-${this.threads.length + 1}`,
+      messages.map(m => new FakeGmailMessage(`msg-${this.nextMessageId++}`, m))
+    );
+    this.threads.push(thread);
+    return thread;
+  }
+
+  /** Records the query and returns every thread (queries aren't evaluated). */
+  search(query, start = 0, max = 500) {
+    this.searches.push(query);
+    return this.threads.slice(start, start + max);
+  }
+
+  sendEmail(recipient, subject, body, options = {}) {
+    if (!recipient) throw new Error("Invalid argument: recipient");
+    if (this.failFor.some(addr => String(recipient).includes(addr))) {
+      throw new Error(`Simulated send failure for ${recipient}`);
+    }
+    this.sent.push({
+      to: recipient,
+      subject,
+      body,
+      bcc: options.bcc || "",
+      cc: options.cc || "",
+      htmlBody: options.htmlBody || "",
+      options
+    });
+    return this;
+  }
+}
+
+/*************************************************************
+ * Calendar
+ *************************************************************/
+
+class FakeCalendarEvent {
+  constructor(calendar, id, title, start, end, allDay, options = {}) {
+    this.calendar = calendar;
+    this.id = id;
+    this.title = title;
+    this.start = new Date(start);
+    this.end = new Date(end);
+    this.allDay = allDay;
+    this.description = options.description || "";
+    this.guests = (options.guests || "").split(",").map(g => g.trim()).filter(Boolean);
+    this.tags = {};
+    this.deleted = false;
+  }
+
+  getId() { return this.id; }
+  getTitle() { return this.title; }
+  setTitle(title) { this.title = title; return this; }
+  getDescription() { return this.description; }
+  setDescription(description) { this.description = description; return this; }
+  isAllDayEvent() { return this.allDay; }
+  getAllDayStartDate() { return new Date(this.start); }
+  getStartTime() { return new Date(this.start); }
+  getEndTime() { return new Date(this.end); }
+  getTag(key) { return this.tags[key] === undefined ? null : this.tags[key]; }
+  setTag(key, value) { this.tags[key] = String(value); return this; }
+
+  setAllDayDate(date) {
+    this.allDay = true;
+    this.start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    this.end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return this;
+  }
+
+  setTime(start, end) {
+    this.allDay = false;
+    this.start = new Date(start);
+    this.end = new Date(end);
+    return this;
+  }
+
+  getGuestList() {
+    return this.guests.map(email => ({ getEmail: () => email }));
+  }
+
+  addGuest(email) {
+    if (!this.guests.includes(email)) this.guests.push(email);
+    return this;
+  }
+
+  deleteEvent() {
+    this.deleted = true;
+    this.calendar.events = this.calendar.events.filter(e => e !== this);
+  }
+}
+
+class FakeCalendar {
+  constructor(id) {
+    this.id = id;
+    this.events = [];
+    this.nextId = 1;
+  }
+
+  getId() { return this.id; }
+
+  createAllDayEvent(title, date, options) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return this.addEvent(title, start, end, true, options);
+  }
+
+  createEvent(title, start, end, options) {
+    return this.addEvent(title, start, end, false, options);
+  }
+
+  addEvent(title, start, end, allDay, options) {
+    const event = new FakeCalendarEvent(this, `event-${this.nextId++}@${this.id}`, title, start, end, allDay, options);
+    this.events.push(event);
+    return event;
+  }
+
+  getEventById(id) {
+    return this.events.find(e => e.id === id) || null;
+  }
+
+  /** Events overlapping [start, end). */
+  getEvents(start, end) {
+    return this.events.filter(e => e.start < end && e.end > start);
+  }
+}
+
+class FakeCalendarApp {
+  constructor() {
+    this.calendars = {};
+  }
+
+  /** Registers a calendar the script can open. */
+  addCalendar(id) {
+    this.calendars[id] = new FakeCalendar(id);
+    return this.calendars[id];
+  }
+
+  getCalendarById(id) {
+    return this.calendars[id] || null;
+  }
+}
+
+/*************************************************************
+ * Drive
+ *************************************************************/
+
+/** Wraps an array in the hasNext()/next() iterator Drive returns. */
+function createIterator(items) {
+  let i = 0;
+  return {
+    hasNext: () => i < items.length,
+    next: () => {
+      if (i >= items.length) throw new Error("No more items.");
+      return items[i++];
+    }
+  };
+}
+
+class FakeDriveFile {
+  constructor(drive, name, content, mimeType, parent) {
+    this.drive = drive;
+    this.id = `file-${drive.nextId++}`;
+    this.name = name;
+    this.content = content;
+    this.mimeType = mimeType;
+    this.parent = parent;
+    this.trashed = false;
+  }
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://drive.google.com/file/d/${this.id}/view`; }
+  getMimeType() { return this.mimeType; }
+  getBlob() {
+    return {
+      getDataAsString: () => this.content,
+      getContentType: () => this.mimeType,
+      getName: () => this.name
+    };
+  }
+  setContent(content) { this.content = content; return this; }
+  setTrashed(trashed) { this.trashed = trashed; return this; }
+  isTrashed() { return this.trashed; }
+}
+
+class FakeDriveFolder {
+  constructor(drive, name) {
+    this.drive = drive;
+    this.id = `folder-${drive.nextId++}`;
+    this.name = name;
+  }
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://drive.google.com/drive/folders/${this.id}`; }
+  createFile(nameOrBlob, content, mimeType) {
+    const isBlob = typeof nameOrBlob === "object";
+    const file = new FakeDriveFile(
+      this.drive,
+      isBlob ? nameOrBlob.getName() : nameOrBlob,
+      isBlob ? nameOrBlob.getDataAsString() : content,
+      isBlob ? nameOrBlob.getContentType() : mimeType || "text/plain",
+      this
+    );
+    this.drive.files.push(file);
+    return file;
+  }
+  getFiles() {
+    return createIterator(this.drive.files.filter(f => f.parent === this && !f.trashed));
+  }
+  getFilesByName(name) {
+    return createIterator(this.drive.files.filter(f => f.parent === this && !f.trashed && f.name === name));
+  }
+}
+
+class FakeDriveApp {
+  constructor() {
+    this.nextId = 1;
+    this.files = [];
+    this.folders = [];
+    this.root = new FakeDriveFolder(this, "My Drive");
+  }
+  getRootFolder() { return this.root; }
+  createFolder(name) {
+    const folder = new FakeDriveFolder(this, name);
+    this.folders.push(folder);
+    return folder;
+  }
+  getFoldersByName(name) { return createIterator(this.folders.filter(f => f.name === name)); }
+  createFile(nameOrBlob, content, mimeType) { return this.root.createFile(nameOrBlob, content, mimeType); }
+  getFileById(id) {
+    const file = this.files.find(f => f.id === id);
+    if (!file) throw new Error(`No item with the given ID could be found: ${id}`);
+    return file;
+  }
+  getFilesByName(name) { return createIterator(this.files.filter(f => f.name === name && !f.trashed)); }
+  getFolderById(id) {
+    const folder = this.folders.concat([this.root]).find(f => f.id === id);
+    if (!folder) throw new Error(`No item with the given ID could be found: ${id}`);
+    return folder;
+  }
+}
+
+const MIME_TYPES = {
+  HTML: "text/html",
+  PLAIN_TEXT: "text/plain",
+  CSV: "text/csv",
+  GOOGLE_SHEETS: "application/vnd.google-apps.spreadsheet",
+  GOOGLE_DOCS: "application/vnd.google-apps.document",
+  FOLDER: "application/vnd.google-apps.folder"
+};
+
+/*************************************************************
+ * Cache / Properties
+ *************************************************************/
+
+class FakeCache {
+  constructor() { this.store = {}; }
+  get(key) { return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null; }
+  getAll(keys) {
+    const out = {};
+    keys.forEach(k => { if (this.get(k) !== null) out[k] = this.store[k]; });
+    return out;
+  }
+  put(key, value) { this.store[key] = String(value); }
+  putAll(values) { Object.keys(values).forEach(k => this.put(k, values[k])); }
+  remove(key) { delete this.store[key]; }
+  removeAll(keys) { keys.forEach(k => this.remove(k)); }
+}
+
+class FakeProperties {
+  constructor() { this.store = {}; }
+  getProperty(key) { return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null; }
+  getProperties() { return Object.assign({}, this.store); }
+  getKeys() { return Object.keys(this.store); }
+  setProperty(key, value) { this.store[key] = String(value); return this; }
+  setProperties(values, deleteAllOthers) {
+    if (deleteAllOthers) this.store = {};
+    Object.keys(values).forEach(k => this.setProperty(k, values[k]));
+    return this;
+  }
+  deleteProperty(key) { delete this.store[key]; return this; }
+  deleteAllProperties() { this.store = {}; return this; }
+}
+
+/*************************************************************
+ * ScriptApp (triggers)
+ *************************************************************/
+
+class FakeTrigger {
+  constructor(id, handler, eventType, source, details) {
+    this.id = id;
+    this.handler = handler;
+    this.eventType = eventType;
+    this.source = source;
+    this.details = details;
+  }
+  getUniqueId() { return this.id; }
+  getHandlerFunction() { return this.handler; }
+  getEventType() { return this.eventType; }
+  getTriggerSource() { return this.source; }
+  getTriggerSourceId() { return this.details.sourceId || null; }
+}
+
+class FakeScriptApp {
+  constructor() {
+    this.triggers = [];
+    this.nextId = 1;
+    this.EventType = { CLOCK: "CLOCK", ON_EDIT: "ON_EDIT", ON_OPEN: "ON_OPEN", ON_CHANGE: "ON_CHANGE", ON_FORM_SUBMIT: "ON_FORM_SUBMIT" };
+    this.TriggerSource = { CLOCK: "CLOCK", SPREADSHEETS: "SPREADSHEETS" };
+    this.WeekDay = {
+      SUNDAY: "SUNDAY", MONDAY: "MONDAY", TUESDAY: "TUESDAY", WEDNESDAY: "WEDNESDAY",
+      THURSDAY: "THURSDAY", FRIDAY: "FRIDAY", SATURDAY: "SATURDAY"
+    };
+    this.AuthMode = { FULL: "FULL", LIMITED: "LIMITED", NONE: "NONE" };
+  }
+
+  newTrigger(handler) {
+    const details = {};
+    const create = (eventType, source) => {
+      const trigger = new FakeTrigger(String(this.nextId++), handler, eventType, source, details);
+      this.triggers.push(trigger);
+      return trigger;
+    };
+    const clock = {
+      everyMinutes: n => { details.everyMinutes = n; return clock; },
+      everyHours: n => { details.everyHours = n; return clock; },
+      everyDays: n => { details.everyDays = n; return clock; },
+      everyWeeks: n => { details.everyWeeks = n; return clock; },
+      onWeekDay: d => { details.weekDay = d; return clock; },
+      onMonthDay: d => { details.monthDay = d; return clock; },
+      atHour: h => { details.atHour = h; return clock; },
+      nearMinute: m => { details.nearMinute = m; return clock; },
+      inTimezone: tz => { details.timeZone = tz; return clock; },
+      at: date => { details.at = date; return clock; },
+      after: ms => { details.after = ms; return clock; },
+      create: () => create(this.EventType.CLOCK, this.TriggerSource.CLOCK)
+    };
+    const sheet = {
+      onEdit: () => { details.eventType = this.EventType.ON_EDIT; return sheet; },
+      onOpen: () => { details.eventType = this.EventType.ON_OPEN; return sheet; },
+      onChange: () => { details.eventType = this.EventType.ON_CHANGE; return sheet; },
+      onFormSubmit: () => { details.eventType = this.EventType.ON_FORM_SUBMIT; return sheet; },
+      create: () => create(details.eventType, this.TriggerSource.SPREADSHEETS)
+    };
+    return {
+      timeBased: () => clock,
+      forSpreadsheet: ss => {
+        details.sourceId = ss && ss.getId ? ss.getId() : ss;
+        return sheet;
+      }
+    };
+  }
+
+  getProjectTriggers() { return this.triggers.slice(); }
+  getUserTriggers() { return this.triggers.slice(); }
+  deleteTrigger(trigger) { this.triggers = this.triggers.filter(t => t.getUniqueId() !== trigger.getUniqueId()); }
+  getScriptId() { return "fake-script-id"; }
+}
+
+/*************************************************************
+ * Session / Utilities / Logger / HtmlService
+ *************************************************************/
+
+class FakeSession {
+  constructor(timeZone, userEmail) {
+    this.timeZone = timeZone;
+    this.userEmail = userEmail;
+  }
+  getScriptTimeZone() { return this.timeZone; }
+  getActiveUser() { return { getEmail: () => this.userEmail }; }
+  getEffectiveUser() { return { getEmail: () => this.userEmail }; }
+}
+
+/**
+ * Formats a date with a subset of the SimpleDateFormat patterns
+ * Apps Script accepts (yyyy, yy, MMMM, MMM, MM, M, dd, d, EEEE, EEE,
+ * HH, H, hh, h, mm, ss, a and quoted literals).
+ */
+function formatDate(date, timeZone, pattern) {
+  const d = new Date(date);
+  if (isNaN(d)) throw new Error("Invalid argument: date");
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric", month: "numeric", day: "numeric",
+    hour: "numeric", minute: "numeric", second: "numeric",
+    weekday: "long", hourCycle: "h23"
+  }).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
+
+  const monthNames = ["January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"];
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const hour = Number(parts.hour);
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+  const tokens = {
+    yyyy: () => String(year),
+    yy: () => pad(year % 100),
+    MMMM: () => monthNames[month - 1],
+    MMM: () => monthNames[month - 1].slice(0, 3),
+    MM: () => pad(month),
+    M: () => String(month),
+    dd: () => pad(day),
+    d: () => String(day),
+    EEEE: () => parts.weekday,
+    EEE: () => parts.weekday.slice(0, 3),
+    HH: () => pad(hour),
+    H: () => String(hour),
+    hh: () => pad(hour % 12 || 12),
+    h: () => String(hour % 12 || 12),
+    mm: () => pad(Number(parts.minute)),
+    ss: () => pad(Number(parts.second)),
+    a: () => (hour < 12 ? "AM" : "PM")
+  };
+
+  return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match]()));
+}
+
+class FakeUtilities {
+  constructor() {
+    this.Charset = { UTF_8: "UTF-8" };
+  }
+  formatDate(date, timeZone, pattern) { return formatDate(date, timeZone, pattern); }
+  sleep() {}
+  getUuid() { return `uuid-${Math.random().toString(16).slice(2)}`; }
+  newBlob(data, contentType, name) {
+    return {
+      getDataAsString: () => String(data),
+      getContentType: () => contentType,
+      getName: () => name,
+      setName(n) { name = n; return this; }
+    };
+  }
+}
+
+class FakeLogger {
+  constructor(echo) {
+    this.lines = [];
+    this.echo = echo;
+  }
+  log(message, ...args) {
+    let text = String(message);
+    args.forEach(a => { text = text.replace(/%s/, String(a)); });
+    this.lines.push(text);
+    if (this.echo) console.log(text);
+    return this;
+  }
+  getLog() { return this.lines.join("\n"); }
+  clear() { this.lines = []; }
+}
+
+class FakeHtmlOutput {
+  constructor(content) {
+    this.content = content || "";
+    this.title = "";
+    this.width = null;
+    this.height = null;
+  }
+  setWidth(w) { this.width = w; return this; }
+  setHeight(h) { this.height = h; return this; }
+  setTitle(t) { this.title = t; return this; }
+  getContent() { return this.content; }
+  append(html) { this.content += html; return this; }
+}
+
+class FakeHtmlService {
+  constructor(readProjectFile) {
+    this.readProjectFile = readProjectFile;
+  }
+  createHtmlOutput(html) { return new FakeHtmlOutput(html); }
+  createHtmlOutputFromFile(name) { return new FakeHtmlOutput(this.readProjectFile(`${name}.html`)); }
+  createTemplateFromFile(name) {
+    const source = this.readProjectFile(`${name}.html`);
+    const template = {
+      evaluate: () => new FakeHtmlOutput(source)
+    };
+    return template;
+  }
+}
+
+module.exports = {
+  columnToLetter,
+  parseA1,
+  createRecordingBuilder,
+  formatDate,
+  FakeRange,
+  FakeSheet,
+  FakeSpreadsheet,
+  FakeSpreadsheetApp,
+  FakeUi,
+  FakeGmailApp,
+  FakeGmailThread,
+  FakeGmailMessage,
+  FakeCalendarApp,
+  FakeCalendar,
+  FakeCalendarEvent,
+  FakeDriveApp,
+  FakeDriveFile,
+  FakeDriveFolder,
+  MIME_TYPES,
+  createIterator,
+  FakeCache,
+  FakeProperties,
+  FakeScriptApp,
+  FakeTrigger,
+  FakeSession,
+  FakeUtilities,
+  FakeLogger,
+  FakeHtmlOutput,
+  FakeHtmlService
+};
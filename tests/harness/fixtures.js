@@ -0,0 +1,182 @@
+/*************************************************************
+ * Fixture workbooks for the offline harness.
+ *
+ * Builders return plain tab → rows maps so each test can take
+ * the defaults and tweak only the rows it cares about.
+ *************************************************************/
+
+const AUTOMATION_INFO_URL = "https://docs.google.com/spreadsheets/d/automation-info/edit";
+const CASE_TRACKER_URL = "https://docs.google.com/spreadsheets/d/case-tracker/edit";
+
+const CONTACT_HEADERS = [
+  "Child Name", "Case ID", "Date Seen", "Seen By",
+  "Date Contact Entered", "Last Reminder Sent", "Missed", "Reason Missed"
+];
+
+const HEARING_TRACKER_HEADERS = [
+  "Case Name", "Case Number", "Children", "Hearing Type", "Next Court Date",
+  "Hearing Time", "Judge", "Summary Due Date", "Summary Started", "Submitted",
+  "Date Submitted", "Notes", "Summary Link"
+];
+
+const EMPLOYEE_HEADERS = ["workerName", "workerEmail", "supervisorName", "supervisorEmail", "workerCounty"];
+
+const MAIN_WORKER = {
+  workerName: "Morgan Main",
+  workerEmail: "morgan.main@example.org",
+  supervisorName: "Sam Supervisor",
+  supervisorEmail: "sam.supervisor@example.org",
+  workerCounty: "Kanawha"
+};
+
+const OTHER_WORKER = {
+  workerName: "Riley Other",
+  workerEmail: "riley.other@example.org",
+  supervisorName: "Pat Lead",
+  supervisorEmail: "pat.lead@example.org",
+  workerCounty: "Putnam"
+};
+
+const SSM = { name: "Casey Manager", email: "casey.manager@example.org" };
+
+/**
+ * Key/value rows for the Variables tab.
+ * @param {Object} overrides Extra or replacement keys
+ */
+function variablesRows(overrides = {}) {
+  const values = Object.assign({
+    caseTrackerUrl: CASE_TRACKER_URL,
+    ssmName: SSM.name,
+    ssmEmail: SSM.email,
+    mainWorkerName: MAIN_WORKER.workerName,
+    mainWorkerEmail: MAIN_WORKER.workerEmail,
+    mainSupervisorName: MAIN_WORKER.supervisorName,
+    mainSupervisorEmail: MAIN_WORKER.supervisorEmail
+  }, overrides);
+  return [["Key", "Value", "Notes"]].concat(Object.keys(values).map(k => [k, values[k], ""]));
+}
+
+/**
+ * Reads one key back from a harness's Variables tab.
+ * @param {Object} h Harness from createHarness()
+ * @param {string} key Variables key
+ * @returns {*} The value, or undefined if the key is missing
+ */
+function variable(h, key) {
+  const row = h.automationInfo.getSheetByName("Variables").dump().find(r => r[0] === key);
+  return row ? row[1] : undefined;
+}
+
+/**
+ * Rows for a worker tab (CPSEmployeeInfo / Additional Workers Info).
+ * @param {Object[]} workers Worker objects keyed by EMPLOYEE_HEADERS
+ */
+function workerRows(workers) {
+  return [EMPLOYEE_HEADERS.slice()].concat(workers.map(w => EMPLOYEE_HEADERS.map(h => w[h] || "")));
+}
+
+/**
+ * One contact sheet row.
+ * @param {Object} row {child, caseId, dateSeen, seenBy, entered, lastReminder, missed, reason}
+ */
+function contactRow(row) {
+  return [
+    row.child || "",
+    row.caseId || "",
+    row.dateSeen || "",
+    row.seenBy || "",
+    row.entered || "",
+    row.lastReminder || "",
+    row.missed === undefined ? false : row.missed,
+    row.reason || ""
+  ];
+}
+
+/**
+ * Rows for a "Month Contacts" tab.
+ * @param {Object[]} rows Passed to contactRow()
+ */
+function contactSheetRows(rows) {
+  return [CONTACT_HEADERS.slice()].concat(rows.map(contactRow));
+}
+
+/**
+ * One Hearing Tracker row.
+ * @param {Object} row {caseName, caseNumber, children, hearingType, courtDate, dueDate, submitted, link}
+ */
+function hearingRow(row) {
+  return [
+    row.caseName || "",
+    row.caseNumber || "",
+    row.children || "",
+    row.hearingType || "",
+    row.courtDate || "",
+    row.hearingTime || "",
+    row.judge || "",
+    row.dueDate || "",
+    row.started || "",
+    row.submitted === undefined ? false : row.submitted,
+    row.dateSubmitted || "",
+    row.notes || "",
+    row.link || ""
+  ];
+}
+
+/**
+ * Rows for the Hearing Tracker tab.
+ * @param {Object[]} rows Passed to hearingRow()
+ */
+function hearingTrackerRows(rows) {
+  return [HEARING_TRACKER_HEADERS.slice()].concat(rows.map(hearingRow));
+}
+
+function defaultAutomationInfo() {
+  return {
+    "Variables": variablesRows(),
+    "CPSEmployeeInfo": workerRows([MAIN_WORKER]),
+    "Additional Workers Info": workerRows([OTHER_WORKER])
+  };
+}
+
+function defaultCaseTracker() {
+  return {
+    "Hearing Tracker": hearingTrackerRows([]),
+    "January Contacts": contactSheetRows([])
+  };
+}
+
+/**
+ * Globals the reminder engines read, matching the fixture people.
+ */
+function defaultGlobals() {
+  return {
+    CASE_TRACKER_URL,
+    SSM_NAME: SSM.name,
+    SSM_EMAIL: SSM.email,
+    MAIN_WORKER_NAME: MAIN_WORKER.workerName,
+    MAIN_WORKER_EMAIL: MAIN_WORKER.workerEmail,
+    MAIN_SUPERVISOR_NAME: MAIN_WORKER.supervisorName,
+    MAIN_SUPERVISOR_EMAIL: MAIN_WORKER.supervisorEmail
+  };
+}
+
+module.exports = {
+  AUTOMATION_INFO_URL,
+  CASE_TRACKER_URL,
+  CONTACT_HEADERS,
+  HEARING_TRACKER_HEADERS,
+  EMPLOYEE_HEADERS,
+  MAIN_WORKER,
+  OTHER_WORKER,
+  SSM,
+  variablesRows,
+  variable,
+  workerRows,
+  contactRow,
+  contactSheetRows,
+  hearingRow,
+  hearingTrackerRows,
+  defaultAutomationInfo,
+  defaultCaseTracker,
+  defaultGlobals
+};
@@ -0,0 +1,196 @@
+/*************************************************************
+ * Offline Test Harness
+ *
+ * Loads the project's .js files, unchanged, into a sandbox
+ * wired to the in-memory fakes in fakes.js. Files are evaluated
+ * in alphabetical order, the same order the Apps Script editor
+ * uses after `clasp push`, so later files win for duplicated
+ * function names exactly as they do in production.
+ *
+ * Usage:
+ *   const h = createHarness({ today: new Date(2026, 0, 14, 9) });
+ *   h.context.sendMonthlyContactReminders();
+ *   h.sent    // emails GmailApp.sendEmail() was asked to send
+ *   h.writes  // every cell written, in order
+ *************************************************************/
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const fakes = require("./fakes");
+const fixtures = require("./fixtures");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..", "..");
+const APPSSCRIPT = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, "appsscript.json"), "utf8"));
+
+// Match Apps Script, where local Date methods use the script time zone.
+// Set on require so fixture dates built by tests use it too.
+process.env.TZ = APPSSCRIPT.timeZone;
+
+/**
+ * Lists the project's server-side script files in load order.
+ * @returns {string[]} File names relative to the project root
+ */
+function listProjectFiles() {
+  return fs.readdirSync(PROJECT_ROOT)
+    .filter(name => /\.(js|gs)$/.test(name))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Builds a Date class whose no-argument constructor and Date.now()
+ * return the pinned "today". Real dates (including ones created by
+ * tests) still pass `instanceof Date` inside the sandbox.
+ * @param {function(): number} now Returns the pinned epoch millis
+ */
+function createPinnedDate(now) {
+  const HostDate = Date;
+  class PinnedDate extends HostDate {
+    constructor(...args) {
+      if (args.length === 0) super(now());
+      else super(...args);
+    }
+    static now() { return now(); }
+    static [Symbol.hasInstance](value) { return value instanceof HostDate; }
+  }
+  return PinnedDate;
+}
+
+/**
+ * Creates a sandbox with fakes, seeds fixture workbooks and loads
+ * the project.
+ *
+ * @param {Object} options
+ * @param {Date} [options.today] Pinned "now" (default 2026-01-14 09:00)
+ * @param {string} [options.userEmail] Address Session reports for the active user
+ * @param {Object} [options.automationInfo] Tabs for the Automation Info workbook
+ * @param {Object} [options.caseTracker] Tabs for the Case Tracker workbook
+ * @param {Object} [options.globals] Globals to assign after loading
+ * @param {boolean} [options.registerAutomationInfoUrl] Store the Automation Info URL
+ *   in user properties like "Set Automation Info Sheet URL" does (default true)
+ * @param {boolean} [options.echoLogs] Print Logger output to the console
+ * @returns {Object} Harness handle
+ */
+function createHarness(options = {}) {
+  const timeZone = APPSSCRIPT.timeZone;
+  let nowMillis = (options.today || new Date(2026, 0, 14, 9, 0, 0)).getTime();
+
+  const spreadsheetApp = new fakes.FakeSpreadsheetApp(timeZone);
+  const gmailApp = new fakes.FakeGmailApp();
+  const calendarApp = new fakes.FakeCalendarApp();
+  const driveApp = new fakes.FakeDriveApp();
+  const scriptCache = new fakes.FakeCache();
+  const userCache = new fakes.FakeCache();
+  const scriptProperties = new fakes.FakeProperties();
+  const userProperties = new fakes.FakeProperties();
+  const documentProperties = new fakes.FakeProperties();
+  const scriptApp = new fakes.FakeScriptApp();
+  const logger = new fakes.FakeLogger(options.echoLogs || !!process.env.HARNESS_LOGS);
+  const readProjectFile = name => fs.readFileSync(path.join(PROJECT_ROOT, name), "utf8");
+
+  const automationInfo = spreadsheetApp.addWorkbook(
+    "Automation Info",
+    fixtures.AUTOMATION_INFO_URL,
+    options.automationInfo || fixtures.defaultAutomationInfo()
+  );
+  const caseTracker = spreadsheetApp.addWorkbook(
+    "Case Tracker",
+    fixtures.CASE_TRACKER_URL,
+    options.caseTracker || fixtures.defaultCaseTracker()
+  );
+  spreadsheetApp.setActive(caseTracker);
+
+  if (options.registerAutomationInfoUrl !== false) {
+    userProperties.setProperty("AUTOMATION_INFO_SHEET_URL", fixtures.AUTOMATION_INFO_URL);
+  }
+
+  const sandbox = {
+    console,
+    Date: createPinnedDate(() => nowMillis),
+    SpreadsheetApp: spreadsheetApp,
+    GmailApp: gmailApp,
+    CalendarApp: calendarApp,
+    DriveApp: driveApp,
+    MimeType: fakes.MIME_TYPES,
+    CacheService: {
+      getScriptCache: () => scriptCache,
+      getUserCache: () => userCache,
+      getDocumentCache: () => scriptCache
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+      getDocumentProperties: () => documentProperties
+    },
+    ScriptApp: scriptApp,
+    Session: new fakes.FakeSession(timeZone, options.userEmail || "automation.owner@example.org"),
+    Utilities: new fakes.FakeUtilities(),
+    Logger: logger,
+    HtmlService: new fakes.FakeHtmlService(readProjectFile)
+  };
+  const context = vm.createContext(sandbox);
+
+  const files = listProjectFiles();
+  files.forEach(name => {
+    vm.runInContext(readProjectFile(name), context, { filename: name });
+  });
+
+  if (options.globals) {
+    Object.keys(options.globals).forEach(key => { context[key] = options.globals[key]; });
+  }
+
+  return {
+    context,
+    files,
+    timeZone,
+    automationInfo,
+    caseTracker,
+    spreadsheetApp,
+    gmailApp,
+    calendarApp,
+    driveApp,
+    scriptApp,
+    scriptCache,
+    scriptProperties,
+    userProperties,
+    logger,
+    ui: spreadsheetApp.ui,
+
+    /** Emails recorded by GmailApp.sendEmail(), in send order. */
+    get sent() { return gmailApp.sent; },
+
+    /** Every cell write across all workbooks, in order. */
+    get writes() { return spreadsheetApp.writes; },
+
+    /** Moves the pinned clock. */
+    setToday(date) { nowMillis = date.getTime(); },
+
+    /** Returns the pinned clock as a Date. */
+    today() { return new Date(nowMillis); },
+
+    /** Assigns sandbox globals (e.g. MAIN_WORKER_NAME). */
+    setGlobals(values) {
+      Object.keys(values).forEach(key => { context[key] = values[key]; });
+    },
+
+    /** Looks up a tab in either fixture workbook. */
+    sheet(name) {
+      return caseTracker.getSheetByName(name) || automationInfo.getSheetByName(name);
+    },
+
+    /** Cell writes filtered to one tab. */
+    writesTo(sheetName) {
+      return spreadsheetApp.writes.filter(w => w.sheet === sheetName);
+    },
+
+    /** Forgets recorded emails, writes and log lines. */
+    resetRecords() {
+      gmailApp.sent.length = 0;
+      spreadsheetApp.writes.length = 0;
+      logger.clear();
+    }
+  };
+}
+
+module.exports = { createHarness, listProjectFiles, fixtures, fakes };